@@ -0,0 +1,124 @@
+/**
+ * Browser pool
+ *
+ * One headless Chromium shared by every source's scraping fallback, instead
+ * of a launch per fetch. The browser starts on first use, is relaunched if it
+ * crashes, and is closed after sitting idle so a quiet night does not keep it
+ * in memory. At most `concurrency` pages are open at once; further callers
+ * wait their turn. Pages skip images, fonts and media, which the listing
+ * markup does not need.
+ */
+
+const log = require('./logger');
+
+const BLOCKED_RESOURCES = ['image', 'font', 'media'];
+
+/**
+ * Launches headless Chromium through Puppeteer (required here so commands
+ * that never scrape do not load it)
+ * @returns {Promise<Object>} Puppeteer Browser
+ */
+const launchChromium = () => require('puppeteer').launch({
+  headless: true,
+  args: ['--no-sandbox', '--disable-setuid-sandbox']
+});
+
+/**
+ * Creates a pool around one lazily launched browser
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Pages open at once
+ * @param {number} [options.idleTimeout] - Close the browser after this long unused (ms)
+ * @param {() => Promise<Object>} [options.launch] - Starts a browser (default: Chromium)
+ * @returns {{withPage:Function, close:() => Promise<void>, stats:() => Object}}
+ */
+const createBrowserPool = ({ concurrency = 2, idleTimeout = 10 * 60 * 1000, launch = launchChromium } = {}) => {
+  let browser = null; // Promise of the running browser
+  let active = 0;
+  let launches = 0;
+  const waiting = [];
+  let idleTimer = null;
+
+  const acquire = () => {
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  };
+
+  // Hands the slot straight to the next caller, or starts the idle countdown
+  const release = () => {
+    const next = waiting.shift();
+    if (next) return next();
+    active--;
+    if (active === 0 && browser) {
+      idleTimer = setTimeout(() => {
+        log.debug('browser.idle', 'Closing the idle browser');
+        close();
+      }, idleTimeout);
+      idleTimer.unref();
+    }
+  };
+
+  const getBrowser = () => {
+    if (browser) return browser;
+    const launching = launch();
+    browser = launching;
+    launches++;
+    launching.then(
+      (instance) => instance.on('disconnected', () => {
+        if (browser === launching) browser = null;
+      }),
+      () => {
+        if (browser === launching) browser = null;
+      }
+    );
+    return launching;
+  };
+
+  /**
+   * Runs a function with a fresh page, closed afterwards
+   * @param {(page:Object) => Promise<*>} fn
+   * @returns {Promise<*>} What fn returns
+   */
+  const withPage = async (fn) => {
+    await acquire();
+    clearTimeout(idleTimer);
+    let page = null;
+    try {
+      page = await (await getBrowser()).newPage();
+      await page.setRequestInterception(true);
+      // Both reject once the page has closed mid-request, which is harmless
+      page.on('request', (request) => (BLOCKED_RESOURCES.includes(request.resourceType())
+        ? request.abort().catch(() => {})
+        : request.continue().catch(() => {})));
+      return await fn(page);
+    } finally {
+      if (page) await page.close().catch(() => {});
+      release();
+    }
+  };
+
+  /**
+   * Closes the browser; the next withPage launches a new one
+   * @returns {Promise<void>}
+   */
+  const close = async () => {
+    clearTimeout(idleTimer);
+    const current = browser;
+    browser = null;
+    const instance = current ? await current.catch(() => null) : null;
+    if (instance) await instance.close().catch(() => {});
+  };
+
+  return {
+    withPage,
+    close,
+    stats: () => ({ running: Boolean(browser), active, waiting: waiting.length, launches })
+  };
+};
+
+module.exports = {
+  BLOCKED_RESOURCES,
+  createBrowserPool
+};
@@ -0,0 +1,237 @@
+/**
+ * Publication classification
+ *
+ * Gives every parsed publication:
+ * - kind: what sort of publication it is (one of KINDS), from the URL path,
+ *   the page's "Publication type" and the title
+ * - tags: the taxonomy topics (taxonomy.json) whose terms appear in its title
+ *   or summary
+ * - suppliers / networks: the energy companies from the entity list
+ *   (entities.json) that its title or summary names
+ *
+ * Watch rules and subscribers can filter on these fields (compileFilter),
+ * digests and alerts can be grouped by them (digest.groupDigestItems) and
+ * templates show them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+/**
+ * Publication kinds, most specific first. A specific kind wins wherever its
+ * wording appears (a "final order" filed under /decision/ is enforcement);
+ * otherwise the page's own type counts before the URL path, and the path
+ * before the title.
+ */
+const KINDS = [
+  { id: 'enforcement', label: 'Enforcement', specific: true, pattern: /\b(final|provisional|confirmation) orders?\b|\benforcement\b|\bpenalt(y|ies)\b|\binvestigations?\b|\bredress\b/i },
+  { id: 'licence-modification', label: 'Licence modification', specific: true, pattern: /\blicen[cs]e (conditions?|modifications?|changes?)\b|\bmodif(y|ications?) (to|of) (the )?([\w'’-]+ ){0,4}licen[cs]es?\b/i },
+  { id: 'open-letter', label: 'Open letter', specific: true, pattern: /\bopen letters?\b|\bdear ceo\b/i },
+  { id: 'guidance', label: 'Guidance', pattern: /\bguidance\b|\bguidelines?\b/i },
+  { id: 'consultation', label: 'Consultation', pattern: /\bconsultations?\b|\bcall for (evidence|input)\b/i },
+  { id: 'decision', label: 'Decision', pattern: /\bdecisions?\b/i },
+  { id: 'other', label: 'Other' }
+];
+const KIND_IDS = KINDS.map(kind => kind.id);
+const ENTITY_KINDS = ['supplier', 'network'];
+const FILTER_KEYS = ['kinds', 'tags', 'entities'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, so "SSE" does not match "assessment"
+const wordPattern = (term) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term.trim())}(?![\\p{L}\\p{N}])`, 'iu');
+
+const toList = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+const readDocument = (filePath) => {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.yaml' || ext === '.yml' ? YAML.parse(raw) : JSON.parse(raw);
+};
+
+const checkTerms = (value, where, key) => {
+  const list = toList(value);
+  if (list.some(term => typeof term !== 'string' || term.trim() === '')) {
+    throw new Error(`${where}: "${key}" must contain non-empty strings`);
+  }
+  return list;
+};
+
+/**
+ * Parses and compiles a taxonomy
+ * @param {Object|Array} document - { topics: [{name, terms}] } or a bare array
+ * @returns {Array<{name:string, terms:Array<string>, patterns:Array<RegExp>}>}
+ */
+const compileTaxonomy = (document) => {
+  const definitions = Array.isArray(document) ? document : document?.topics;
+  if (!Array.isArray(definitions)) throw new Error('Taxonomy must contain a "topics" array');
+
+  const seen = new Set();
+  return definitions.map((definition) => {
+    const name = typeof definition?.name === 'string' ? definition.name.trim() : '';
+    if (!name) throw new Error('Each taxonomy topic needs a non-empty "name"');
+    if (seen.has(name.toLowerCase())) throw new Error(`Duplicate taxonomy topic "${name}"`);
+    seen.add(name.toLowerCase());
+    const terms = checkTerms(definition.terms, `Topic "${name}"`, 'terms');
+    if (terms.length === 0) throw new Error(`Topic "${name}": needs at least one term`);
+    return { name, terms, patterns: terms.map(wordPattern) };
+  });
+};
+
+/**
+ * Parses and compiles an entity list
+ * @param {Object|Array} document - { entities: [{name, kind, aliases?}] } or a bare array
+ * @returns {Array<{name:string, kind:string, aliases:Array<string>, patterns:Array<RegExp>}>}
+ */
+const compileEntities = (document) => {
+  const definitions = Array.isArray(document) ? document : document?.entities;
+  if (!Array.isArray(definitions)) throw new Error('Entity list must contain an "entities" array');
+
+  const seen = new Set();
+  return definitions.map((definition) => {
+    const name = typeof definition?.name === 'string' ? definition.name.trim() : '';
+    if (!name) throw new Error('Each entity needs a non-empty "name"');
+    if (seen.has(name.toLowerCase())) throw new Error(`Duplicate entity "${name}"`);
+    seen.add(name.toLowerCase());
+    if (!ENTITY_KINDS.includes(definition.kind)) {
+      throw new Error(`Entity "${name}": "kind" must be one of ${ENTITY_KINDS.join(', ')}`);
+    }
+    const aliases = checkTerms(definition.aliases, `Entity "${name}"`, 'aliases');
+    return { name, kind: definition.kind, aliases, patterns: [name, ...aliases].map(wordPattern) };
+  });
+};
+
+/**
+ * Loads a taxonomy from a JSON or YAML file; a missing file means no topics
+ * @param {string} filePath
+ * @returns {Array<Object>} Compiled topics
+ */
+const loadTaxonomy = (filePath) => filePath && fs.existsSync(filePath) ? compileTaxonomy(readDocument(filePath)) : [];
+
+/**
+ * Loads an entity list from a JSON or YAML file; a missing file means no entities
+ * @param {string} filePath
+ * @returns {Array<Object>} Compiled entities
+ */
+const loadEntities = (filePath) => filePath && fs.existsSync(filePath) ? compileEntities(readDocument(filePath)) : [];
+
+// "/decision/final-order-senapt-ltd" -> "decision final order senapt ltd"
+const pathWords = (link) => {
+  try {
+    return decodeURIComponent(new URL(link).pathname).replace(/[/_-]+/g, ' ').trim();
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Works out a publication's kind
+ * @param {{link:string, title:string, type?:string}} publication
+ * @returns {string} One of KINDS' ids
+ */
+const classifyKind = (publication) => {
+  const signals = [publication.type || '', pathWords(publication.link), publication.title || ''];
+  const matching = KINDS.filter(kind => kind.pattern);
+  const specific = matching.find(kind => kind.specific && signals.some(text => kind.pattern.test(text)));
+  if (specific) return specific.id;
+  for (const text of signals) {
+    const kind = matching.find(k => !k.specific && k.pattern.test(text));
+    if (kind) return kind.id;
+  }
+  return 'other';
+};
+
+/**
+ * Display label of a kind id
+ * @param {string} id
+ * @returns {string}
+ */
+const kindLabel = (id) => KINDS.find(kind => kind.id === id)?.label || '';
+
+/**
+ * Creates a classifier for a taxonomy and entity list
+ * @param {{taxonomy?:Array<Object>, entities?:Array<Object>}} [lists] - Compiled topics and entities
+ * @returns {{classify:(publication:Object) => {kind:string, tags:Array<string>, suppliers:Array<string>, networks:Array<string>},
+ *   tags:Array<string>, entities:Array<string>}} tags and entities are the known names
+ */
+const createClassifier = ({ taxonomy = [], entities = [] } = {}) => ({
+  classify: (publication) => {
+    const text = [publication.title, publication.summary].filter(Boolean).join('\n');
+    const named = (kind) => entities
+      .filter(entity => entity.kind === kind && entity.patterns.some(pattern => pattern.test(text)))
+      .map(entity => entity.name);
+    return {
+      kind: classifyKind(publication),
+      tags: taxonomy.filter(topic => topic.patterns.some(pattern => pattern.test(text))).map(topic => topic.name),
+      suppliers: named('supplier'),
+      networks: named('network')
+    };
+  },
+  tags: taxonomy.map(topic => topic.name),
+  entities: entities.map(entity => entity.name)
+});
+
+/**
+ * Reads the kinds/tags/entities filter from a rule or subscriber definition
+ * @param {Object} definition - Raw rule or subscriber
+ * @param {string} where - e.g. `Rule "x"`, for messages
+ * @returns {{kinds:Array<string>, tags:Array<string>, entities:Array<string>}|null} null when
+ *   the definition has none of the keys
+ */
+const compileFilter = (definition, where) => {
+  if (!FILTER_KEYS.some(key => definition[key] !== undefined)) return null;
+  const filter = Object.fromEntries(FILTER_KEYS.map(key => [key, checkTerms(definition[key], where, key).map(term => term.trim())]));
+  const unknownKind = filter.kinds.find(kind => !KIND_IDS.includes(kind));
+  if (unknownKind) throw new Error(`${where}: unknown kind "${unknownKind}" (expected ${KIND_IDS.join(', ')})`);
+  return filter;
+};
+
+/**
+ * Whether a classified publication passes a filter. Each list that is set
+ * must have a match (kinds AND tags AND entities); within a list any will do.
+ * @param {{kinds:Array<string>, tags:Array<string>, entities:Array<string>}|null} filter
+ * @param {Object} publication - Classified publication
+ * @returns {boolean}
+ */
+const matchesFilter = (filter, publication) => {
+  if (!filter) return true;
+  const has = (wanted, values) => wanted.length === 0 ||
+    (values || []).some(value => wanted.some(name => name.toLowerCase() === value.toLowerCase()));
+  return (filter.kinds.length === 0 || filter.kinds.includes(publication.kind)) &&
+    has(filter.tags, publication.tags) &&
+    has(filter.entities, [...(publication.suppliers || []), ...(publication.networks || [])]);
+};
+
+/**
+ * Checks that the tags and entities rules and subscribers filter on exist
+ * @param {Array<{where:string, filter:Object|null}>} filters
+ * @param {{tags:Array<string>, entities:Array<string>}} classifier
+ * @throws {Error} On the first unknown name
+ */
+const validateFilterNames = (filters, classifier) => {
+  for (const { where, filter } of filters.filter(f => f.filter)) {
+    for (const [key, known] of [['tags', classifier.tags], ['entities', classifier.entities]]) {
+      const lower = known.map(name => name.toLowerCase());
+      const unknown = filter[key].find(name => !lower.includes(name.toLowerCase()));
+      if (unknown) {
+        throw new Error(`${where}: unknown ${key === 'tags' ? 'taxonomy topic' : 'entity'} "${unknown}"` +
+          (known.length ? ` (known: ${known.join(', ')})` : ` (the ${key === 'tags' ? 'taxonomy' : 'entity list'} is empty)`));
+      }
+    }
+  }
+};
+
+module.exports = {
+  KINDS,
+  compileTaxonomy,
+  compileEntities,
+  loadTaxonomy,
+  loadEntities,
+  classifyKind,
+  kindLabel,
+  createClassifier,
+  compileFilter,
+  matchesFilter,
+  validateFilterNames
+};
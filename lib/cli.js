@@ -0,0 +1,171 @@
+/**
+ * Command-line interface
+ *
+ * Parses `node ofgem-poll.js <command> [options]` into a command name and
+ * flag values. Every setting in lib/config.js has a flag, which wins over the
+ * environment and the config file. The flags used before subcommands existed
+ * (--sync-state, --backfill, --dry-run, ...) still work.
+ */
+
+const { parseArgs } = require('util');
+const { SETTINGS } = require('./config');
+
+/**
+ * Exit codes shared by every command, so cron and CI wrappers can react
+ */
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1, // the command ran but failed (a poll, a send, an invalid rules file)
+  NOTHING_FOUND: 2, // no publications could be fetched or matched the request
+  ATTENTION: 3, // finished, but something needs a look (a source failed, dead letters)
+  USAGE: 64, // unknown command or flag
+  CONFIG: 78 // the configuration could not be loaded
+};
+
+const COMMANDS = [
+  { name: 'watch', usage: 'watch [--serve]', summary: 'Poll on the publishing calendar until stopped or max-run-minutes pass (the default command); --serve also runs the dashboard', exits: '0' },
+  { name: 'poll', usage: 'poll [--dry-run] [--preview-dir <dir>]', summary: 'Poll once and exit; --dry-run prints what would be sent and saves nothing', exits: '0, 1, 3 (a source failed)' },
+  { name: 'sync-state', usage: 'sync-state', summary: 'Record the current listings as seen without notifying anyone', exits: '0, 1, 2 (nothing fetched)' },
+  { name: 'list', usage: 'list [--limit <n>] [--matched] [--source <id>]', summary: 'Show the most recent stored publications', exits: '0' },
+  { name: 'list consultations', usage: 'list consultations', summary: 'Show open consultations and the days left', exits: '0' },
+  { name: 'test-email', usage: 'test-email [--to <address>] [--channel <id>]', summary: 'Send a sample alert now, bypassing the outbox (default: every email subscriber)', exits: '0, 1' },
+  { name: 'preview', usage: 'preview [--template <name>] [--event <event>] [--out <file>]', summary: 'Render a message template against sample publications to an HTML file (event: new, updated, digest or reminder)', exits: '0, 1' },
+  { name: 'config validate', usage: 'config validate', summary: 'Load the whole configuration and report every problem, without running anything', exits: '0, 1 (invalid)' },
+  { name: 'rules validate', usage: 'rules validate [file]', summary: 'Check a rules file (default: the configured one) and print its rules', exits: '0, 1 (invalid)' },
+  { name: 'status', usage: 'status [--json]', summary: 'Show the store, last poll per source, outbox and open source problems', exits: '0, 3 (open problems or dead letters)' },
+  { name: 'backfill', usage: 'backfill --since <YYYY-MM-DD> [--notify] [--details] [--source <id>] [--dry-run]', summary: 'Record and evaluate history back to a date', exits: '0, 1, 2 (nothing found)' },
+  { name: 'replay', usage: 'replay --rules <file> [--since <YYYY-MM-DD>] [--source <id>]', summary: 'Compare proposed rules with the current ones over stored publications', exits: '0, 1' },
+  { name: 'dead-letters', usage: 'dead-letters [--retry]', summary: 'List notifications that gave up; --retry queues them again', exits: '0, 1' },
+  { name: 'help', usage: 'help', summary: 'Show this help', exits: '0' }
+];
+
+// Command options, plus the flags used before subcommands existed
+const COMMAND_OPTIONS = {
+  serve: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  'preview-dir': { type: 'string' },
+  limit: { type: 'string' },
+  matched: { type: 'boolean' },
+  source: { type: 'string' },
+  to: { type: 'string', multiple: true },
+  channel: { type: 'string' },
+  json: { type: 'boolean' },
+  since: { type: 'string' },
+  notify: { type: 'boolean' },
+  details: { type: 'boolean' },
+  rules: { type: 'string' },
+  retry: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  'sync-state': { type: 'boolean' },
+  backfill: { type: 'boolean' },
+  consultations: { type: 'boolean' },
+  'dead-letters': { type: 'boolean' },
+  config: { type: 'string' },
+  template: { type: 'string' },
+  event: { type: 'string' },
+  out: { type: 'string' }
+};
+
+/**
+ * Parses the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{command:string, args:Array<string>, flags:Object}} command is one of
+ *   COMMANDS' names; args are its remaining positional arguments
+ * @throws {Error} On an unknown command or flag, or a flag missing its value
+ */
+const parseCommandLine = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        ...COMMAND_OPTIONS,
+        ...Object.fromEntries(SETTINGS.map(setting => [setting.flag, { type: 'string' }]))
+      },
+      allowPositionals: true,
+      strict: true
+    });
+  } catch (error) {
+    const unknown = error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' && error.message.match(/'([^']+)'/);
+    throw new Error(unknown ? `Unknown option ${unknown[1]}` : error.message);
+  }
+
+  const { positionals } = parsed;
+  const flags = { ...parsed.values };
+  if (flags.help) return { command: 'help', args: [], flags };
+
+  if (positionals.length === 0) {
+    const legacy = flags['sync-state'] ? 'sync-state'
+      : flags.backfill ? 'backfill'
+        : flags.consultations ? 'list consultations'
+          : flags['dead-letters'] ? 'dead-letters'
+            : flags['dry-run'] ? 'poll'
+              : 'watch';
+    return { command: legacy, args: [], flags };
+  }
+
+  const [first, second, ...rest] = positionals;
+  const twoWords = `${first} ${second}`;
+  if (COMMANDS.some(command => command.name === twoWords)) {
+    return { command: twoWords, args: rest, flags };
+  }
+  if (first === 'rules' || first === 'config') {
+    throw new Error(`Unknown command "${positionals.slice(0, 2).join(' ')}" (expected "${first} validate")`);
+  }
+  if (!COMMANDS.some(command => command.name === first)) {
+    const known = [...new Set(COMMANDS.map(command => command.name.split(' ')[0]))];
+    throw new Error(`Unknown command "${first}" (expected ${known.join(', ')})`);
+  }
+  if (second !== undefined) {
+    throw new Error(`Unexpected argument "${second}" for ${first}`);
+  }
+  return { command: first, args: [], flags };
+};
+
+const getPath = (object, key) => key.split('.').reduce((value, part) => value?.[part], object);
+
+/**
+ * Usage text listing commands, settings with their defaults, and exit codes
+ * @param {Object} defaults - CONFIG with its built-in values
+ * @returns {string}
+ */
+const formatHelp = (defaults) => {
+  const column = (rows) => {
+    const width = Math.max(...rows.map(([left]) => left.length));
+    return rows.map(([left, right]) => `  ${left.padEnd(width)}  ${right}`).join('\n');
+  };
+  const shown = (value) => Array.isArray(value) ? value.join(',') || 'none' : value ?? 'none';
+
+  return [
+    'Usage: node ofgem-poll.js <command> [options]',
+    '',
+    'Commands:',
+    COMMANDS.map(command => `  ${command.usage}\n      ${command.summary}`).join('\n'),
+    '',
+    'Settings (flag / environment variable, default); all but secrets can also go under',
+    '"settings" in the config file (--config <file> / CONFIG_FILE, default ofgem-watch.yaml):',
+    column(SETTINGS.map(setting => [
+      `--${setting.flag} / ${setting.env}`,
+      `${setting.description} (default: ${setting.secret ? 'none; secret, not in the config file' : shown(getPath(defaults, setting.key))})`
+    ])),
+    '',
+    'Exit codes:',
+    column([
+      [String(EXIT_CODES.OK), 'success'],
+      [String(EXIT_CODES.FAILURE), 'the command failed'],
+      [String(EXIT_CODES.NOTHING_FOUND), 'nothing could be fetched or found'],
+      [String(EXIT_CODES.ATTENTION), 'finished, but something needs attention'],
+      [String(EXIT_CODES.USAGE), 'unknown command or option'],
+      [String(EXIT_CODES.CONFIG), 'configuration error']
+    ]),
+    '',
+    'Per command: ' + COMMANDS.filter(command => command.exits !== '0').map(command => `${command.name} ${command.exits}`).join('; ')
+  ].join('\n');
+};
+
+module.exports = {
+  EXIT_CODES,
+  COMMANDS,
+  parseCommandLine,
+  formatHelp
+};
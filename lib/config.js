@@ -0,0 +1,443 @@
+/**
+ * Configuration
+ *
+ * Settings are layered: built-in defaults, then the config file
+ * (ofgem-watch.yaml, or the file named by CONFIG_FILE / --config), then
+ * environment variables, then command-line flags. The config file can also
+ * hold the sources, channels, watch rules, subscribers, taxonomy and entity
+ * list, each of which otherwise comes from its own file. Secrets never go in the file: the
+ * dashboard token comes from the environment and channels name the
+ * environment variables holding their keys and URLs.
+ *
+ * Loading checks everything and reports every problem it finds, each
+ * prefixed with where it came from, rather than stopping at the first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { compileRules, loadRules } = require('./rules');
+const { loadSubscribers, parseSubscribers } = require('./subscribers');
+const { loadSources } = require('./sources');
+const { loadChannels, validateRuleChannels, resolveOperatorTargets } = require('./notifiers');
+const { parseReminderDays } = require('./consultations');
+const { loadTemplates, validateTemplateNames, SAMPLE_PUBLICATIONS } = require('./templates');
+const { buildBatchMessage } = require('./messages');
+const { WEEKDAYS } = require('./digest');
+const { createCalendar, loadBankHolidays } = require('./scheduler');
+const { createBrowserPool } = require('./browser');
+const { createHttpClient } = require('./http-client');
+const { LEVELS, FORMATS } = require('./logger');
+const { compileTaxonomy, compileEntities, loadTaxonomy, loadEntities, createClassifier, validateFilterNames } = require('./classify');
+
+const DEFAULT_CONFIG_FILE = 'ofgem-watch.yaml';
+const SECTIONS = ['settings', 'sources', 'channels', 'rules', 'subscribers', 'taxonomy', 'entities'];
+
+/**
+ * Every overridable setting. `key` is the CONFIG property (dotted for nested
+ * values); integers are in the unit CONFIG uses (milliseconds unless named
+ * otherwise); lists are comma-separated in flags and the environment.
+ * Secret settings are refused in the config file.
+ */
+const SETTINGS = [
+  { key: 'rulesFile', flag: 'rules-file', env: 'RULES_FILE', type: 'string', description: 'Watch rules file (JSON or YAML), when the config file has no rules' },
+  { key: 'subscribersFile', flag: 'subscribers-file', env: 'SUBSCRIBERS_FILE', type: 'string', description: 'Subscribers file, when the config file has no subscribers' },
+  { key: 'sourcesFile', flag: 'sources-file', env: 'SOURCES_FILE', type: 'string', description: 'Sources file; replaces the built-in Ofgem listing' },
+  { key: 'channelsFile', flag: 'channels-file', env: 'CHANNELS_FILE', type: 'string', description: 'Channels file; replaces the built-in Resend email channel' },
+  { key: 'notifyEmails', flag: 'notify-emails', env: 'NOTIFY_EMAILS', type: 'list', description: 'Instant email recipients when there are no subscribers' },
+  { key: 'senderEmail', flag: 'sender-email', env: 'SENDER_EMAIL', type: 'string', description: 'From address for email' },
+  { key: 'operatorEmails', flag: 'operator-emails', env: 'OPERATOR_EMAILS', type: 'list', description: 'Who hears about source problems' },
+  { key: 'operatorChannels', flag: 'operator-channels', env: 'OPERATOR_CHANNELS', type: 'list', description: 'Channels for operator alerts' },
+  { key: 'fetchFailureAlertAfter', flag: 'fetch-failure-alert-after', env: 'FETCH_FAILURE_ALERT_AFTER', type: 'integer', min: 1, description: 'Polls in a row a source can fetch nothing before operators are alerted' },
+  { key: 'quietAlertDays', flag: 'quiet-alert-days', env: 'QUIET_ALERT_DAYS', type: 'integer', min: 1, description: 'Working days a source can go without a new publication before operators are alerted' },
+  { key: 'deliveryFailureAlertAfter', flag: 'delivery-failure-alert-after', env: 'DELIVERY_FAILURE_ALERT_AFTER', type: 'integer', min: 1, description: 'Failed notification sends in a row before operators are alerted' },
+  { key: 'heartbeatHour', flag: 'heartbeat-hour', env: 'HEARTBEAT_HOUR', type: 'integer', max: 23, description: 'Hour (London time) of the daily heartbeat to operators; unset for none' },
+  { key: 'stateFile', flag: 'state-file', env: 'STATE_FILE', type: 'string', description: 'Seen-publication store' },
+  { key: 'outboxFile', flag: 'outbox-file', env: 'OUTBOX_FILE', type: 'string', description: 'Notification outbox' },
+  { key: 'digestStateFile', flag: 'digest-state-file', env: 'DIGEST_STATE_FILE', type: 'string', description: 'Digest progress per subscriber' },
+  { key: 'healthStateFile', flag: 'health-state-file', env: 'HEALTH_STATE_FILE', type: 'string', description: 'Source health history' },
+  { key: 'pollInterval', flag: 'poll-interval', env: 'POLL_INTERVAL', type: 'integer', min: 1000, description: 'Time between polls in watch mode while Ofgem is publishing (ms)' },
+  { key: 'offHoursPollInterval', flag: 'off-hours-poll-interval', env: 'OFF_HOURS_POLL_INTERVAL', type: 'integer', min: 1000, description: 'Time between polls overnight, at weekends and on bank holidays (ms)' },
+  { key: 'publishingHours', flag: 'publishing-hours', env: 'PUBLISHING_HOURS', type: 'string', pattern: /^\d\d:\d\d\s*-\s*\d\d:\d\d$/, format: 'a London time range such as 07:00-18:00', description: 'When Ofgem publishes on working days (London time)' },
+  { key: 'bankHolidaysFile', flag: 'bank-holidays-file', env: 'BANK_HOLIDAYS_FILE', type: 'string', description: 'Cache of the England and Wales bank holidays' },
+  { key: 'bankHolidaysUrl', flag: 'bank-holidays-url', env: 'BANK_HOLIDAYS_URL', type: 'string', description: 'Where the bank holidays are refreshed from each week' },
+  { key: 'maxRunMinutes', flag: 'max-run-minutes', env: 'MAX_RUN_MINUTES', type: 'integer', description: 'Exit watch after this many minutes, for cron-started runs (0 runs until stopped; not with --serve)' },
+  { key: 'dailyDigestHour', flag: 'daily-digest-hour', env: 'DAILY_DIGEST_HOUR', type: 'integer', max: 23, description: 'Hour digests go out (London time)' },
+  { key: 'digestDay', flag: 'digest-day', env: 'DIGEST_DAY', type: 'string', values: WEEKDAYS, description: 'Weekday weekly digests go out' },
+  { key: 'reminderDays', flag: 'reminder-days', env: 'REMINDER_DAYS', type: 'string', description: 'Days before a consultation closes to send reminders' },
+  { key: 'notifyTimeout', flag: 'notify-timeout', env: 'NOTIFY_TIMEOUT', type: 'integer', min: 1, description: 'Timeout for each notification (ms)' },
+  { key: 'deliveryRetry.maxAttempts', flag: 'delivery-max-attempts', env: 'DELIVERY_MAX_ATTEMPTS', type: 'integer', min: 1, description: 'Send attempts before a notification is dead-lettered' },
+  { key: 'deliveryRetry.baseDelay', flag: 'delivery-base-delay', env: 'DELIVERY_BASE_DELAY', type: 'integer', description: 'First retry delay, doubled on each attempt (ms)' },
+  { key: 'deliveryRetry.maxDelay', flag: 'delivery-max-delay', env: 'DELIVERY_MAX_DELAY', type: 'integer', description: 'Longest retry delay (ms)' },
+  { key: 'userAgent', flag: 'user-agent', env: 'USER_AGENT', type: 'string', description: 'User-Agent sent with every request; add a contact address so site owners can reach you' },
+  { key: 'httpCacheFile', flag: 'http-cache-file', env: 'HTTP_CACHE_FILE', type: 'string', description: 'Cached responses (revalidated with ETag / Last-Modified) and paused sites' },
+  { key: 'circuitBreakerThreshold', flag: 'circuit-breaker-threshold', env: 'CIRCUIT_BREAKER_THRESHOLD', type: 'integer', min: 1, description: 'Failed requests in a row to a site before requests to it are paused' },
+  { key: 'circuitBreakerCooldown', flag: 'circuit-breaker-cooldown', env: 'CIRCUIT_BREAKER_COOLDOWN', type: 'integer', min: 1000, description: 'How long requests to a failing site are paused (ms)' },
+  { key: 'apiTimeout', flag: 'api-timeout', env: 'API_TIMEOUT', type: 'integer', min: 1, description: 'Listing API request timeout (ms)' },
+  { key: 'detailTimeout', flag: 'detail-timeout', env: 'DETAIL_TIMEOUT', type: 'integer', min: 1, description: 'Publication page timeout (ms)' },
+  { key: 'browserTimeout', flag: 'browser-timeout', env: 'BROWSER_TIMEOUT', type: 'integer', min: 1, description: 'Scraping fallback page load timeout (ms)' },
+  { key: 'browserConcurrency', flag: 'browser-concurrency', env: 'BROWSER_CONCURRENCY', type: 'integer', min: 1, description: 'Pages the scraping fallback\'s shared browser opens at once' },
+  { key: 'browserIdleTimeout', flag: 'browser-idle-timeout', env: 'BROWSER_IDLE_TIMEOUT', type: 'integer', min: 1000, description: 'Close the shared browser after it has been unused this long (ms)' },
+  { key: 'selectorTimeout', flag: 'selector-timeout', env: 'SELECTOR_TIMEOUT', type: 'integer', min: 1, description: 'Scraping fallback wait for results (ms)' },
+  { key: 'rateLimitDelay', flag: 'rate-limit-delay', env: 'RATE_LIMIT_DELAY', type: 'integer', description: 'Pause between listing requests (ms)' },
+  { key: 'maxRetries', flag: 'max-retries', env: 'MAX_RETRIES', type: 'integer', description: 'Listing request retries' },
+  { key: 'maxPages', flag: 'max-pages', env: 'MAX_PAGES', type: 'integer', min: 1, description: 'Listing pages followed per poll' },
+  { key: 'maxBackfillPages', flag: 'max-backfill-pages', env: 'MAX_BACKFILL_PAGES', type: 'integer', min: 1, description: 'Listing pages followed by backfill' },
+  { key: 'maxDetailFetches', flag: 'max-detail-fetches', env: 'MAX_DETAIL_FETCHES', type: 'integer', min: 1, description: 'Publication pages loaded per poll' },
+  { key: 'contentCheckDays', flag: 'content-check-days', env: 'CONTENT_CHECK_DAYS', type: 'integer', description: 'Reload the pages of publications this recent to spot content edits (0: never)' },
+  { key: 'contentCheckInterval', flag: 'content-check-interval', env: 'CONTENT_CHECK_INTERVAL', type: 'integer', min: 1, description: 'How often each recent publication\'s page is reloaded (ms)' },
+  { key: 'taxonomyFile', flag: 'taxonomy-file', env: 'TAXONOMY_FILE', type: 'string', description: 'Topic taxonomy for tagging publications, when the config file has none' },
+  { key: 'entitiesFile', flag: 'entities-file', env: 'ENTITIES_FILE', type: 'string', description: 'Suppliers and network companies to spot in publications, when the config file has none' },
+  { key: 'templatesDir', flag: 'templates-dir', env: 'TEMPLATES_DIR', type: 'string', description: 'Your own message templates (added to the built-in ones in templates/)' },
+  { key: 'brandName', flag: 'brand-name', env: 'BRAND_NAME', type: 'string', description: 'Name shown in the footer of HTML messages' },
+  { key: 'brandColor', flag: 'brand-color', env: 'BRAND_COLOR', type: 'string', pattern: /^#[0-9a-f]{6}$/i, format: 'a hex colour such as #2d3748', description: 'Header and button colour of HTML messages' },
+  { key: 'feedDir', flag: 'feed-dir', env: 'FEED_DIR', type: 'string', description: 'Write feeds and the calendar here after each poll' },
+  { key: 'feedBaseUrl', flag: 'feed-base-url', env: 'FEED_BASE_URL', type: 'string', description: 'Public URL of the feed directory' },
+  { key: 'feedSize', flag: 'feed-size', env: 'FEED_SIZE', type: 'integer', min: 1, description: 'Entries per feed' },
+  { key: 'logLevel', flag: 'log-level', env: 'LOG_LEVEL', type: 'string', values: LEVELS, description: 'Least severe log entries written' },
+  { key: 'logFormat', flag: 'log-format', env: 'LOG_FORMAT', type: 'string', values: FORMATS, description: 'Log as JSON lines or text (auto: text on a terminal, JSON otherwise)' },
+  { key: 'metricsFile', flag: 'metrics-file', env: 'METRICS_FILE', type: 'string', description: 'Write Prometheus metrics here after each poll, for a textfile collector' },
+  { key: 'serverPort', flag: 'port', env: 'PORT', type: 'integer', max: 65535, description: 'Dashboard port (--serve)' },
+  { key: 'serverHost', flag: 'host', env: 'HOST', type: 'string', description: 'Dashboard address (--serve)' },
+  { key: 'dashboardToken', flag: 'dashboard-token', env: 'DASHBOARD_TOKEN', type: 'string', secret: true, description: 'Token required by the dashboard and API' }
+];
+
+// Settings a running watch process cannot switch; a reload keeps the running values
+const RESTART_SETTINGS = ['stateFile', 'outboxFile', 'digestStateFile', 'healthStateFile', 'maxRunMinutes', 'browserConcurrency', 'browserIdleTimeout', 'userAgent', 'httpCacheFile', 'circuitBreakerThreshold', 'circuitBreakerCooldown', 'serverPort', 'serverHost', 'dashboardToken'];
+
+/**
+ * Error carrying every configuration problem found
+ * @param {Array<string>} problems
+ * @returns {Error} With `problems`
+ */
+const invalid = (problems) => {
+  const error = new Error(problems.join('\n'));
+  error.problems = problems;
+  return error;
+};
+
+// Edit distance, for "did you mean" hints on misspelt names
+const distance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const suggest = (name, candidates) => {
+  const [best] = candidates
+    .map(candidate => ({ candidate, score: distance(name.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.score - b.score);
+  return best && best.score <= 3 ? ` (did you mean "${best.candidate}"?)` : '';
+};
+
+/**
+ * Checks and converts one value; flags and environment variables are text,
+ * config file values may already be numbers or lists
+ * @param {Object} setting - Entry from SETTINGS
+ * @param {*} raw
+ * @param {string} origin - Where the value came from, for messages
+ * @returns {*}
+ */
+const parseValue = (setting, raw, origin) => {
+  if (setting.type === 'integer') {
+    const value = typeof raw === 'number' ? raw : typeof raw === 'string' && /^\s*\d+\s*$/.test(raw) ? Number(raw) : NaN;
+    if (!Number.isInteger(value) || value < 0) throw new Error(`${origin} must be a whole number (got ${JSON.stringify(raw)})`);
+    if (setting.min !== undefined && value < setting.min) throw new Error(`${origin} must be at least ${setting.min} (got ${value})`);
+    if (setting.max !== undefined && value > setting.max) throw new Error(`${origin} must be at most ${setting.max} (got ${value})`);
+    return value;
+  }
+  if (setting.type === 'list') {
+    const items = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : null;
+    if (!items || items.some(item => typeof item !== 'string')) {
+      throw new Error(`${origin} must be a list or a comma-separated string (got ${JSON.stringify(raw)})`);
+    }
+    return items.map(item => item.trim()).filter(Boolean);
+  }
+  if (typeof raw !== 'string') throw new Error(`${origin} must be text (got ${JSON.stringify(raw)})`);
+  if (setting.values) {
+    const value = raw.trim().toLowerCase();
+    if (!setting.values.includes(value)) throw new Error(`${origin} must be one of ${setting.values.join(', ')} (got ${JSON.stringify(raw)})`);
+    return value;
+  }
+  if (setting.pattern && !setting.pattern.test(raw.trim())) throw new Error(`${origin} must be ${setting.format} (got ${JSON.stringify(raw)})`);
+  return setting.pattern ? raw.trim() : raw;
+};
+
+const flatten = (object, prefix = '') => Object.entries(object).flatMap(([key, value]) =>
+  value && typeof value === 'object' && !Array.isArray(value) ? flatten(value, `${prefix}${key}.`) : [[`${prefix}${key}`, value]]);
+
+const setPath = (target, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((object, part) => {
+    object[part] = { ...object[part] };
+    return object[part];
+  }, target);
+  parent[last] = value;
+};
+
+/**
+ * Layers overrides onto a copy of the defaults: the config file's settings,
+ * then environment variables, then flags. Empty environment variables and
+ * null file values count as unset.
+ * @param {Object} defaults - CONFIG with its built-in values
+ * @param {{file?:Object, env?:Object, flags?:Object}} [layers] - file is the config file's
+ *   `settings` section; flags are parsed command-line flags
+ * @returns {Object} The resolved configuration
+ * @throws {Error} Listing every unknown setting and invalid value (also as `error.problems`)
+ */
+const applySettings = (defaults, { file = {}, env = {}, flags = {} } = {}) => {
+  const config = { ...defaults };
+  const problems = [];
+  const byKey = new Map(SETTINGS.map(setting => [setting.key, setting]));
+  const apply = (setting, raw, origin) => {
+    try {
+      setPath(config, setting.key, parseValue(setting, raw, origin));
+    } catch (error) {
+      problems.push(error.message);
+    }
+  };
+
+  for (const [key, value] of flatten(file)) {
+    const setting = byKey.get(key);
+    if (!setting) {
+      problems.push(`settings.${key} is not a setting${suggest(key, [...byKey.keys()])}`);
+    } else if (setting.secret) {
+      problems.push(`settings.${key} is a secret; set ${setting.env} in the environment instead`);
+    } else if (value !== null) {
+      apply(setting, value, `settings.${key}`);
+    }
+  }
+  for (const setting of SETTINGS) {
+    if (flags[setting.flag] !== undefined) {
+      apply(setting, flags[setting.flag], `--${setting.flag}`);
+    } else if (env[setting.env]) {
+      apply(setting, env[setting.env], setting.env);
+    }
+  }
+
+  if (problems.length > 0) throw invalid(problems);
+  return config;
+};
+
+/**
+ * Reads the config file and checks its outline
+ * @param {string} filePath
+ * @param {boolean} required - A missing file is an error (it was named explicitly)
+ * @returns {Object|null} The parsed document, or null when there is no file
+ */
+const readConfigFile = (filePath, required) => {
+  if (!fs.existsSync(filePath)) {
+    if (required) throw invalid([`${filePath}: file not found`]);
+    return null;
+  }
+
+  let document;
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    document = (ext === '.json' ? JSON.parse(raw) : YAML.parse(raw)) ?? {};
+  } catch (error) {
+    throw invalid([`${filePath}: ${error.message}`]);
+  }
+  if (typeof document !== 'object' || Array.isArray(document)) {
+    throw invalid([`${filePath}: expected a mapping with any of ${SECTIONS.join(', ')}`]);
+  }
+
+  const problems = Object.keys(document)
+    .filter(key => !SECTIONS.includes(key))
+    .map(key => `${filePath}: unknown section "${key}"${suggest(key, SECTIONS)}`);
+  const { settings } = document;
+  if (settings !== undefined && settings !== null && (typeof settings !== 'object' || Array.isArray(settings))) {
+    problems.push(`${filePath}: "settings" must be a mapping of setting names to values`);
+  }
+  for (const key of SECTIONS.slice(1)) {
+    if (document[key] !== undefined && !Array.isArray(document[key])) problems.push(`${filePath}: "${key}" must be a list`);
+  }
+  if (problems.length > 0) throw invalid(problems);
+  return document;
+};
+
+/**
+ * Resolves the settings alone, for commands that need no rules or channels
+ * @param {{defaults:Object, flags?:Object, env?:Object}} options - flags.config or
+ *   env.CONFIG_FILE name the config file
+ * @returns {{config:Object, file:string|null, document:Object|null}} file is the config file
+ *   read, if any
+ * @throws {Error} Listing every problem found (also as `error.problems`)
+ */
+const loadSettings = ({ defaults, flags = {}, env = {} }) => {
+  const named = flags.config || env.CONFIG_FILE;
+  const filePath = named || DEFAULT_CONFIG_FILE;
+  const document = readConfigFile(filePath, Boolean(named));
+  try {
+    const config = applySettings(defaults, { file: document?.settings || {}, env, flags });
+    return { config, file: document ? filePath : null, document };
+  } catch (error) {
+    throw invalid(error.problems.map(problem => problem.startsWith('settings.') ? `${filePath}: ${problem}` : problem));
+  }
+};
+
+/**
+ * Loads and checks the whole configuration. Sources, channels, rules,
+ * subscribers, the taxonomy and the entity list come from the config file's
+ * section when it has one, and from their own file otherwise.
+ * @param {{defaults:Object, flags?:Object, env?:Object, browserPool?:Object, http?:Object}} options
+ *   browserPool (lib/browser.js) is shared by the sources' scraping fallbacks and http
+ *   (lib/http-client.js) by their requests; pass the running ones when reloading. Without
+ *   them the sources get their own.
+ * @returns {{config:Object, watchRules:Array<Object>, channels:Array<Object>, operatorTargets:Array<Object>,
+ *   subscribers:Array<Object>, reminderDays:Array<number>, sources:Array<Object>, templates:Object,
+ *   classifier:Object, calendar:Object, files:Array<string>}}
+ *   files lists every file the configuration was read from (including your own templates)
+ * @throws {Error} Listing every problem found (also as `error.problems`)
+ */
+const loadConfiguration = ({ defaults, flags = {}, env = {}, browserPool = null, http = null }) => {
+  const { config, file, document } = loadSettings({ defaults, flags, env });
+  const files = file ? [file] : [];
+  const problems = [];
+
+  const origin = (section, ownFile) => {
+    if (document?.[section]) return `${file} (${section})`;
+    if (ownFile && fs.existsSync(ownFile)) files.push(ownFile);
+    return ownFile;
+  };
+  const attempt = (where, load) => {
+    try {
+      return load();
+    } catch (error) {
+      problems.push(`${where}: ${error.message}`);
+      return undefined;
+    }
+  };
+
+  const rulesFrom = origin('rules', config.rulesFile);
+  const watchRules = attempt(rulesFrom, () =>
+    document?.rules ? compileRules({ rules: document.rules }) : loadRules(config.rulesFile));
+
+  const channelsFrom = origin('channels', config.channelsFile);
+  const channels = attempt(channelsFrom, () => loadChannels(
+    document?.channels ? null : config.channelsFile,
+    document?.channels || config.channels,
+    { env, senderEmail: config.senderEmail, timeout: config.notifyTimeout }
+  ));
+
+  let operatorTargets;
+  let subscribers;
+  if (watchRules && channels) {
+    attempt(rulesFrom, () => validateRuleChannels(watchRules, channels));
+    operatorTargets = attempt('operatorChannels / operatorEmails', () =>
+      resolveOperatorTargets(config.operatorChannels, config.operatorEmails, channels));
+    subscribers = attempt(origin('subscribers', config.subscribersFile), () => document?.subscribers
+      ? parseSubscribers(document.subscribers, watchRules, channels)
+      : loadSubscribers(config.subscribersFile, watchRules, config.notifyEmails, channels));
+  }
+  if (subscribers && subscribers.length === 0 && !watchRules.some(rule => rule.channels.length > 0)) {
+    problems.push('Nobody would receive alerts: set NOTIFY_EMAILS, add subscribers, or give a watch rule its own channels');
+  }
+  if (operatorTargets && operatorTargets.length === 0 && config.heartbeatHour !== null && config.heartbeatHour !== undefined) {
+    problems.push('heartbeatHour: nobody would receive the heartbeat; set OPERATOR_EMAILS or OPERATOR_CHANNELS');
+  }
+
+  const reminderDays = attempt('reminderDays', () => parseReminderDays(config.reminderDays));
+
+  const taxonomy = attempt(origin('taxonomy', config.taxonomyFile), () =>
+    document?.taxonomy ? compileTaxonomy(document.taxonomy) : loadTaxonomy(config.taxonomyFile));
+  const entities = attempt(origin('entities', config.entitiesFile), () =>
+    document?.entities ? compileEntities(document.entities) : loadEntities(config.entitiesFile));
+  const classifier = taxonomy && entities ? createClassifier({ taxonomy, entities }) : undefined;
+  if (classifier && watchRules && subscribers) {
+    attempt('kinds / tags / entities', () => validateFilterNames([
+      ...watchRules.map(rule => ({ where: `Rule "${rule.name}"`, filter: rule.filter })),
+      ...subscribers.map(subscriber => ({ where: `Subscriber ${subscriber.email}`, filter: subscriber.filter }))
+    ], classifier));
+  }
+
+  // Templates are rendered once against sample publications so a missing
+  // partial or helper shows up now rather than in the middle of a poll
+  const templates = attempt('templates', () => loadTemplates(config.templatesDir));
+  if (templates) {
+    files.push(...templates.files);
+    templates.names.forEach(name => attempt(`templates (${config.templatesDir ? path.join(config.templatesDir, name) : name})`, () =>
+      buildBatchMessage(SAMPLE_PUBLICATIONS, { templates, template: name })));
+    if (watchRules && subscribers) attempt('templates', () => validateTemplateNames(watchRules, subscribers, templates));
+  }
+
+  // Publishing hours and bank holidays: when to poll often, and when today's items are due
+  const calendar = attempt('publishingHours', () => createCalendar({
+    publishingHours: config.publishingHours,
+    bankHolidays: loadBankHolidays(config.bankHolidaysFile).dates
+  }));
+
+  const sources = attempt(origin('sources', config.sourcesFile), () => loadSources(
+    document?.sources ? null : config.sourcesFile,
+    document?.sources || config.sources,
+    {
+      apiTimeout: config.apiTimeout,
+      browserTimeout: config.browserTimeout,
+      selectorTimeout: config.selectorTimeout,
+      rateLimitDelay: config.rateLimitDelay,
+      maxRetries: config.maxRetries,
+      maxPages: config.maxPages,
+      maxBackfillPages: config.maxBackfillPages,
+      http: http || createHttpClient({ userAgent: config.userAgent }),
+      isPublishingTime: calendar?.isPublishingTime,
+      browserPool: browserPool || createBrowserPool({ concurrency: config.browserConcurrency, idleTimeout: config.browserIdleTimeout })
+    }
+  ));
+
+  if (problems.length > 0) throw invalid(problems);
+  return { config, watchRules, channels, operatorTargets, subscribers, reminderDays, sources, templates, classifier, calendar, files };
+};
+
+/**
+ * Keeps the running values of settings that only take effect on restart
+ * @param {Object} running - Configuration in use
+ * @param {Object} next - Freshly loaded configuration
+ * @returns {{config:Object, ignored:Array<string>}} ignored lists the settings whose change was held back
+ */
+const keepRestartSettings = (running, next) => {
+  const ignored = RESTART_SETTINGS.filter(key => JSON.stringify(running[key]) !== JSON.stringify(next[key]));
+  const kept = Object.fromEntries(RESTART_SETTINGS.map(key => [key, running[key]]));
+  return { config: { ...next, ...kept }, ignored };
+};
+
+/**
+ * Calls onChange once a burst of modifications to any of the files settles.
+ * Polls the files' modification times, which survives editors that save by
+ * replacing the file.
+ * @param {Array<string>} files
+ * @param {() => void} onChange
+ * @param {number} [interval] - How often each file is checked (ms)
+ * @returns {() => void} Stops watching
+ */
+const watchFiles = (files, onChange, interval = 1000) => {
+  let timer = null;
+  const listener = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    clearTimeout(timer);
+    timer = setTimeout(onChange, interval);
+  };
+  files.forEach(file => fs.watchFile(file, { interval }, listener));
+  return () => {
+    clearTimeout(timer);
+    files.forEach(file => fs.unwatchFile(file, listener));
+  };
+};
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  SETTINGS,
+  RESTART_SETTINGS,
+  applySettings,
+  loadSettings,
+  loadConfiguration,
+  keepRestartSettings,
+  watchFiles
+};
@@ -0,0 +1,110 @@
+/**
+ * Consultation deadline tracking
+ *
+ * Consultations are recognised by their publication type or URL, and their
+ * closing date comes from the detail page (see details.js). Matched
+ * consultations stay tracked in the seen store until they close; reminders
+ * go out a configurable number of days before the deadline, and the offsets
+ * already reminded are recorded on the stored entry as `remindersSent`.
+ */
+
+const { londonDay, addDays, daysBetween } = require('./time');
+
+/**
+ * Whether a stored publication is a consultation
+ * @param {Object} entry - Stored publication
+ * @returns {boolean}
+ */
+const isConsultation = (entry) =>
+  /consultation/i.test(entry.type || '') || /^\/consultations?(\/|$)/.test(entry.key || '');
+
+/**
+ * Whole days from today (London) until a closing date; 0 means it closes today
+ * @param {string} closingDate - YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {number}
+ */
+const daysLeft = (closingDate, now = new Date()) => daysBetween(londonDay(now), closingDate);
+
+/**
+ * Consultations that have not closed yet, soonest deadline first
+ * @param {Object} state - Whole seen store
+ * @param {Date} [now]
+ * @returns {Array<{source:string, entry:Object, daysLeft:number}>}
+ */
+const openConsultations = (state, now = new Date()) => {
+  const open = [];
+  for (const [source, ns] of Object.entries(state.sources)) {
+    for (const entry of Object.values(ns.publications)) {
+      if (!entry.closingDate || !isConsultation(entry)) continue;
+      const left = daysLeft(entry.closingDate, now);
+      if (left >= 0) open.push({ source, entry, daysLeft: left });
+    }
+  }
+  return open.sort((a, b) => a.entry.closingDate.localeCompare(b.entry.closingDate));
+};
+
+/**
+ * Works out which matched consultations need a reminder now. A reminder for
+ * offset N is due from N days before the deadline; offsets whose day had
+ * already arrived when the consultation was first seen are skipped, since the
+ * original alert covered them. When several offsets are due at once (e.g.
+ * after downtime) only the one nearest the deadline is sent.
+ * @param {Object} state - Whole seen store
+ * @param {Array<number>} offsets - Days before the deadline, e.g. [14, 7, 1]
+ * @param {Date} [now]
+ * @returns {Array<{source:string, entry:Object, daysLeft:number, offset:number, covered:Array<number>}>}
+ *   covered: every offset this reminder settles
+ */
+const dueReminders = (state, offsets, now = new Date()) => {
+  const today = londonDay(now);
+  const due = [];
+
+  for (const { source, entry, daysLeft: left } of openConsultations(state, now)) {
+    if (!(entry.matchedRules || []).length) continue;
+
+    const firstSeenDay = Number.isNaN(Date.parse(entry.firstSeen)) ? today : londonDay(entry.firstSeen);
+    const sent = entry.remindersSent || [];
+    const covered = offsets.filter((offset) => {
+      // YYYY-MM-DD days compare in calendar order
+      const reminderDay = addDays(entry.closingDate, -offset);
+      return !sent.includes(offset) && reminderDay <= today && reminderDay > firstSeenDay;
+    });
+    if (covered.length === 0) continue;
+
+    due.push({ source, entry, daysLeft: left, offset: Math.min(...covered), covered });
+  }
+
+  return due;
+};
+
+/**
+ * Records reminder offsets as sent on a stored publication
+ * @param {Object} entry - Stored publication (mutated)
+ * @param {Array<number>} offsets
+ */
+const markReminded = (entry, offsets) => {
+  entry.remindersSent = [...new Set([...(entry.remindersSent || []), ...offsets])].sort((a, b) => b - a);
+};
+
+/**
+ * Parses a comma-separated list of reminder offsets in days
+ * @param {string} value - e.g. "14,7,1"
+ * @returns {Array<number>} Distinct offsets, largest first
+ */
+const parseReminderDays = (value) => {
+  const offsets = String(value).split(',').map(part => part.trim()).filter(Boolean).map(Number);
+  if (offsets.some(offset => !Number.isInteger(offset) || offset < 0)) {
+    throw new Error(`Reminder days must be whole numbers of days, e.g. "14,7,1" (got "${value}")`);
+  }
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+module.exports = {
+  isConsultation,
+  daysLeft,
+  openConsultations,
+  dueReminders,
+  markReminded,
+  parseReminderDays
+};
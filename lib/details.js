@@ -0,0 +1,188 @@
+/**
+ * Publication detail fetcher
+ *
+ * Loads a publication's own page and extracts the summary, body text,
+ * publication type, consultation closing date and linked documents (PDF,
+ * XLSX, etc.) so watch rules can look beyond the headline.
+ */
+
+const cheerio = require('cheerio');
+const log = require('./logger');
+const { londonDay } = require('./time');
+
+const ATTACHMENT_PATTERN = /\.(pdf|xlsx?|docx?|csv|odt|ods|zip)(?:$|[?#])/i;
+const SIZE_PATTERN = /(\d+(?:[.,]\d+)?)\s*(bytes|[KMG]B)\b/i;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+// "Closing date: 3 November 2025", "This consultation closes on Friday 3rd November 2025"
+const CLOSING_PATTERN = new RegExp(
+  '(?:closing date(?: for responses)?|closes on|deadline for responses)\\s*:?\\s*' +
+  '(?:[a-z]+day,?\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(' + MONTHS.join('|') + '),?\\s+(\\d{4})',
+  'i'
+);
+
+const collapse = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Finds a consultation closing date in page text
+ * @param {string} text - Collapsed page text
+ * @returns {string|null} YYYY-MM-DD
+ */
+const parseClosingDate = (text) => {
+  const match = (text || '').match(CLOSING_PATTERN);
+  if (!match) return null;
+  const month = MONTHS.indexOf(match[2].toLowerCase());
+  const date = new Date(Date.UTC(Number(match[3]), month, Number(match[1])));
+  // Reject impossible dates such as 31 November
+  if (date.getUTCMonth() !== month) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Derives a publication type from the first URL path segment
+ * (e.g. /consultation/... -> "Consultation")
+ * @param {string} link - Publication URL
+ * @returns {string|null}
+ */
+const typeFromPath = (link) => {
+  try {
+    const segment = new URL(link).pathname.split('/').filter(Boolean)[0];
+    if (!segment) return null;
+    const words = segment.replace(/[-_]+/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Extracts structured details from a publication page
+ * @param {string} html - Page HTML
+ * @param {string} link - Page URL, used to resolve relative links
+ * @returns {{summary:string, body:string, type:string|null, closingDate:string|null,
+ *   attachments:Array<{name:string,url:string,format:string,size:string|null}>}}
+ */
+const parsePublicationPage = (html, link) => {
+  const $ = cheerio.load(html);
+
+  const summary = collapse(
+    $('meta[name="description"]').attr('content') ||
+    $('meta[property="og:description"]').attr('content') ||
+    $('.field--name-field-summary, .summary, .lead').first().text()
+  );
+
+  // Prefer a labelled "Publication type" field, fall back to the URL
+  let type = null;
+  $('dt, span, strong, div').each((_, el) => {
+    if (type) return;
+    const label = collapse($(el).text());
+    if (/^publication type:?$/i.test(label)) {
+      type = collapse($(el).next().text()) || null;
+    } else if (/^publication type:\s*\S/i.test(label) && label.length < 80) {
+      type = label.replace(/^publication type:\s*/i, '');
+    }
+  });
+  type = type || typeFromPath(link);
+
+  // A labelled field with a machine-readable <time> wins over free text
+  let closingDate = null;
+  $('dt, span, strong, div, h2, h3').each((_, el) => {
+    if (closingDate) return;
+    if (!/^closing date/i.test(collapse($(el).text())) || collapse($(el).text()).length > 60) return;
+    const datetime = $(el).next().find('time[datetime]').addBack('time[datetime]').attr('datetime') ||
+      $(el).parent().find('time[datetime]').attr('datetime');
+    if (datetime && !Number.isNaN(Date.parse(datetime))) {
+      // The London day: midnight BST is still the previous day in UTC
+      closingDate = londonDay(Date.parse(datetime));
+    }
+  });
+
+  const attachments = [];
+  const seen = new Set();
+  $('a[href]').each((_, el) => {
+    const href = $(el).attr('href');
+    const match = href.match(ATTACHMENT_PATTERN);
+    if (!match) return;
+
+    let url;
+    try {
+      url = new URL(href, link).toString();
+    } catch {
+      return;
+    }
+    if (seen.has(url)) return;
+    seen.add(url);
+
+    const name = collapse($(el).text()) || decodeURIComponent(url.split('/').pop().split('?')[0]);
+    // Sizes are usually printed next to the link, e.g. "PDF, 1.04 MB"
+    const sizeMatch = collapse($(el).parent().text()).match(SIZE_PATTERN);
+    attachments.push({
+      name,
+      url,
+      format: match[1].toUpperCase(),
+      size: sizeMatch ? `${sizeMatch[1]} ${sizeMatch[2].toUpperCase() === 'BYTES' ? 'bytes' : sizeMatch[2].toUpperCase()}` : null
+    });
+  });
+
+  $('script, style, noscript, nav, header, footer').remove();
+  // Keep words in adjacent blocks apart once tags are stripped
+  $('p, div, li, dt, dd, td, th, h1, h2, h3, h4, h5, h6, br').append(' ');
+  const body = collapse(($('main').length ? $('main') : $('body')).text());
+  closingDate = closingDate || parseClosingDate(body);
+
+  return { summary, body, type, closingDate, attachments };
+};
+
+const formatBytes = (bytes) => {
+  if (!Number.isFinite(bytes) || bytes <= 0) return null;
+  const units = ['bytes', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} bytes` : `${value.toFixed(1)} ${units[unit]}`;
+};
+
+/**
+ * Loads a publication's detail page and extracts its content. Attachment sizes
+ * missing from the page are looked up with a HEAD request.
+ * @param {string} link - Publication URL
+ * @param {{http:Object, timeout:number, maxSizeLookups?:number}} options - http is the shared
+ *   client (lib/http-client.js)
+ * @returns {Promise<Object|null>} Details, or null if the page could not be read
+ */
+const fetchPublicationDetails = async (link, { http, timeout, maxSizeLookups = 5 }) => {
+  try {
+    // Failing pages and documents must not pause the listing, so they have their own circuit
+    const circuit = `${new URL(link).host} pages`;
+    // Pages are read rarely, so they are not worth a place in the cache
+    const response = await http.request(link, { headers: { 'Accept': 'text/html' }, timeout, cache: false, circuit });
+    if (!response.ok) throw new Error(`status ${response.status}`);
+
+    const details = parsePublicationPage(response.body, link);
+
+    for (const attachment of details.attachments.filter(a => !a.size).slice(0, maxSizeLookups)) {
+      try {
+        const head = await http.request(attachment.url, { method: 'HEAD', timeout, circuit });
+        attachment.size = formatBytes(Number(head.headers.get('content-length')));
+      } catch {
+        // Size is informational only
+      }
+    }
+
+    return details;
+  } catch (error) {
+    log.warn('details.fetch_failed', 'Failed to fetch publication page', { link, error: error.message });
+    return null;
+  }
+};
+
+module.exports = {
+  parsePublicationPage,
+  fetchPublicationDetails,
+  parseClosingDate,
+  typeFromPath
+};
@@ -0,0 +1,180 @@
+/**
+ * Digest scheduler
+ *
+ * Builds daily or weekly digests straight from the seen store. Each digest
+ * covers the publications first seen (or edited) between two scheduled send
+ * times, and the end of the last window sent is kept per subscriber in a
+ * small cursor file. A restart therefore neither repeats nor skips items:
+ * the next digest starts exactly where the previous one stopped. Send times
+ * are London wall-clock times, so a digest keeps its hour across clock changes.
+ */
+
+const fs = require('fs');
+const { KINDS, matchesFilter } = require('./classify');
+const time = require('./time');
+const log = require('./logger');
+
+const CADENCES = ['daily', 'weekly'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const GROUP_BY = ['rule', 'kind', 'tag', 'entity'];
+
+/**
+ * Loads the digest cursors
+ * @param {string} filePath
+ * @returns {Object<string, {lastWindowEnd:string}>} Keyed by subscriber email
+ */
+const loadDigestState = (filePath) => {
+  try {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  } catch (error) {
+    log.warn('digest.state_corrupted', 'Digest state file corrupted, starting fresh', { file: filePath });
+    return {};
+  }
+};
+
+/**
+ * Writes the digest cursors atomically; throws on failure
+ * @param {string} filePath
+ * @param {Object} state
+ */
+const saveDigestState = (filePath, state) => {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+const periodDays = (schedule) => schedule.cadence === 'weekly' ? 7 : 1;
+
+/**
+ * The most recent scheduled send time at or before `now`
+ * @param {{cadence:string, hour:number, weekday:number}} schedule - hour is London time;
+ *   weekday is 0 (Sunday) to 6
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+const lastScheduledTime = (schedule, now = new Date()) => {
+  let day = time.londonDay(now);
+  if (schedule.cadence === 'weekly') {
+    day = time.addDays(day, -((time.weekday(day) - schedule.weekday + 7) % 7));
+  }
+  const slot = time.londonTime(day, schedule.hour);
+  return slot > now ? time.londonTime(time.addDays(day, -periodDays(schedule)), schedule.hour) : slot;
+};
+
+/**
+ * The window a due digest covers, or null if nothing is due yet. Without a
+ * cursor the first digest covers one full period.
+ * @param {{cadence:string, hour:number, weekday:number}} schedule
+ * @param {string|undefined} lastWindowEnd - End of the previous digest's window (ISO)
+ * @param {Date} [now]
+ * @returns {{from:Date, to:Date}|null}
+ */
+const dueWindow = (schedule, lastWindowEnd, now = new Date()) => {
+  const to = lastScheduledTime(schedule, now);
+  const from = lastWindowEnd
+    ? new Date(lastWindowEnd)
+    : time.londonTime(time.addDays(time.londonDay(to), -periodDays(schedule)), schedule.hour);
+  return from < to ? { from, to } : null;
+};
+
+const inWindow = (iso, { from, to }) => {
+  if (!iso) return false;
+  const time = Date.parse(iso);
+  return time > from.getTime() && time <= to.getTime();
+};
+
+/**
+ * Collects stored publications first seen or edited within a window
+ * @param {Object} state - Whole seen store
+ * @param {{from:Date, to:Date}} window
+ * @param {{followed:Set<string>, scope:'matched'|'all', filter?:Object|null, classify?:Function,
+ *   sourceNames?:Object<string,string>}} options
+ *   followed: rule names the subscriber follows; scope "all" also includes unmatched items;
+ *   filter: the subscriber's kinds/tags/entities filter; classify: classifies entries
+ *   recorded before classification existed
+ * @returns {Array<Object>} Publications with matchedRules narrowed to `followed`,
+ *   and `changes` when the item was edited (rather than first seen) in the window
+ */
+const collectDigestItems = (state, window, { followed, scope, filter = null, classify = null, sourceNames = {} }) => {
+  const items = [];
+  for (const [sourceId, ns] of Object.entries(state.sources)) {
+    for (const stored of Object.values(ns.publications)) {
+      const entry = stored.kind === undefined && classify ? { ...stored, ...classify(stored) } : stored;
+      // Items recorded by --backfill are history, not news
+      if (entry.backfilled) continue;
+      const isNew = inWindow(entry.firstSeen, window);
+      const isEdited = !isNew && inWindow(entry.updatedAt, window);
+      if (!isNew && !isEdited) continue;
+
+      const matchedRules = (entry.matchedRules || []).filter(name => followed.has(name));
+      if (matchedRules.length === 0 && scope !== 'all') continue;
+      if (!matchesFilter(filter, entry)) continue;
+
+      items.push({
+        ...entry,
+        source: sourceId,
+        sourceName: sourceNames[sourceId] || sourceId,
+        matchedRules,
+        changes: isEdited ? entry.changes : undefined
+      });
+    }
+  }
+  return items.sort((a, b) => (Date.parse(b.isoDate) || 0) - (Date.parse(a.isoDate) || 0));
+};
+
+// Section title and rank of an item for each way of grouping (rank orders the
+// sections; titles break ties)
+const SECTION_OF = {
+  rule: (item, ruleOrder) => {
+    const rule = ruleOrder.find(name => (item.matchedRules || []).includes(name));
+    return { title: `${rule || 'Other publications'} · ${item.type || 'Publication'}`, rank: rule ? ruleOrder.indexOf(rule) : ruleOrder.length };
+  },
+  kind: (item) => {
+    const index = KINDS.findIndex(kind => kind.id === item.kind);
+    const kind = KINDS[index === -1 ? KINDS.length - 1 : index];
+    return { title: kind.label, rank: KINDS.indexOf(kind) };
+  },
+  tag: (item) => item.tags?.length ? { title: item.tags[0], rank: 0 } : { title: 'Other topics', rank: 1 },
+  entity: (item) => {
+    const [company] = [...(item.suppliers || []), ...(item.networks || [])];
+    return company ? { title: company, rank: 0 } : { title: 'No company named', rank: 1 };
+  }
+};
+
+/**
+ * Groups digest (or alert) items into sections. By rule, sections are rule
+ * then publication type, under the first rule (in rules-file order) an item
+ * matched; by kind they follow the order of classify.KINDS; by tag or entity
+ * an item goes under its first topic or first company named. Each item is
+ * listed once, and items without a rule, topic or company go last.
+ * @param {Array<Object>} items - Output of collectDigestItems, or classified publications
+ * @param {Array<Object>} rules - Compiled watch rules
+ * @param {string} [groupBy] - One of GROUP_BY
+ * @returns {Array<{title:string, publications:Array<Object>}>}
+ */
+const groupDigestItems = (items, rules, groupBy = 'rule') => {
+  const ruleOrder = rules.map(rule => rule.name);
+  const sections = new Map();
+
+  for (const item of items) {
+    const { title, rank } = SECTION_OF[groupBy](item, ruleOrder);
+    if (!sections.has(title)) sections.set(title, { title, rank, publications: [] });
+    sections.get(title).publications.push(item);
+  }
+
+  return [...sections.values()]
+    .sort((a, b) => a.rank - b.rank || a.title.localeCompare(b.title))
+    .map(({ title, publications }) => ({ title, publications }));
+};
+
+module.exports = {
+  CADENCES,
+  WEEKDAYS,
+  GROUP_BY,
+  loadDigestState,
+  saveDigestState,
+  lastScheduledTime,
+  dueWindow,
+  collectDigestItems,
+  groupDigestItems
+};
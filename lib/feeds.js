@@ -0,0 +1,238 @@
+/**
+ * Feed output
+ *
+ * Renders the seen store as Atom, RSS 2.0 and JSON Feed documents (one set
+ * for every publication and one per watch rule), plus an iCalendar file of
+ * consultation closing dates. The same documents are written to a directory
+ * after each poll and served by --serve under /feeds/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.atom': 'application/atom+xml; charset=utf-8',
+  '.rss': 'application/rss+xml; charset=utf-8',
+  '.json': 'application/feed+json; charset=utf-8',
+  '.ics': 'text/calendar; charset=utf-8'
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Turns a rule name into a file-name-safe slug
+ * @param {string} name
+ * @returns {string}
+ */
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'rule';
+
+// Publication time, falling back to when the watcher first saw the item
+const entryTime = (entry) => {
+  const time = Date.parse(entry.isoDate || entry.firstSeen);
+  return Number.isNaN(time) ? new Date(0) : new Date(time);
+};
+
+/**
+ * @typedef {Object} Feed
+ * @property {string} id - Stable identifier, e.g. "all" or "rule/price-cap"
+ * @property {string} title
+ * @property {string|null} selfUrl - Public URL of this document, when known
+ * @property {Array<Object>} entries - Stored publications, newest first
+ */
+
+/**
+ * @param {Feed} feed
+ * @returns {string} Atom 1.0 XML
+ */
+const renderAtom = (feed) => {
+  const updated = feed.entries.length > 0 ? entryTime(feed.entries[0]) : new Date(0);
+  const entries = feed.entries.map(entry => `  <entry>
+    <id>${escapeXml(entry.link)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" href="${escapeXml(entry.link)}"/>
+    <updated>${entryTime(entry).toISOString()}</updated>
+${entry.summary ? `    <summary>${escapeXml(entry.summary)}</summary>\n` : ''}${[entry.type, ...(entry.matchedRules || [])].filter(Boolean).map(term => `    <category term="${escapeXml(term)}"/>\n`).join('')}  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:ofgem-watch:${escapeXml(feed.id)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>Ofgem</name></author>
+  <generator>Ofgem Watch</generator>
+${feed.selfUrl ? `  <link rel="self" href="${escapeXml(feed.selfUrl)}"/>\n` : ''}${entries}
+</feed>
+`;
+};
+
+/**
+ * @param {Feed} feed
+ * @returns {string} RSS 2.0 XML
+ */
+const renderRss = (feed) => {
+  const items = feed.entries.map(entry => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.link)}</link>
+      <guid isPermaLink="true">${escapeXml(entry.link)}</guid>
+      <pubDate>${entryTime(entry).toUTCString()}</pubDate>
+${entry.summary ? `      <description>${escapeXml(entry.summary)}</description>\n` : ''}${[entry.type, ...(entry.matchedRules || [])].filter(Boolean).map(term => `      <category>${escapeXml(term)}</category>\n`).join('')}    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.selfUrl || 'https://www.ofgem.gov.uk/')}</link>
+    <description>${escapeXml(feed.title)}, collected by Ofgem Watch</description>
+    <generator>Ofgem Watch</generator>
+${items}
+  </channel>
+</rss>
+`;
+};
+
+/**
+ * @param {Feed} feed
+ * @returns {string} JSON Feed 1.1
+ */
+const renderJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  ...(feed.selfUrl ? { feed_url: feed.selfUrl } : {}),
+  items: feed.entries.map(entry => ({
+    id: entry.link,
+    url: entry.link,
+    title: entry.title,
+    ...(entry.summary ? { summary: entry.summary, content_text: entry.summary } : { content_text: entry.title }),
+    date_published: entryTime(entry).toISOString(),
+    tags: [entry.type, ...(entry.matchedRules || [])].filter(Boolean)
+  }))
+}, null, 2);
+
+// iCalendar text values escape backslashes, semicolons, commas and newlines
+const escapeIcs = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const icsDate = (isoDay) => isoDay.replace(/-/g, '');
+
+/**
+ * Renders an all-day event for each consultation's closing date
+ * @param {Array<Object>} consultations - Stored publications with a closingDate
+ * @param {Date} [now] - DTSTAMP
+ * @returns {string} iCalendar document
+ */
+const renderCalendar = (consultations, now = new Date()) => {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const events = consultations.flatMap((entry) => {
+    const end = new Date(Date.parse(`${entry.closingDate}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    return [
+      'BEGIN:VEVENT',
+      `UID:${entry.key.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '')}@ofgem-watch`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(entry.closingDate)}`,
+      `DTEND;VALUE=DATE:${icsDate(end)}`,
+      `SUMMARY:${escapeIcs(`Consultation closes: ${entry.title}`)}`,
+      `DESCRIPTION:${escapeIcs([entry.summary, entry.link].filter(Boolean).join('\n\n'))}`,
+      `URL:${entry.link}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ];
+  });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Ofgem Watch//Consultation deadlines//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Ofgem consultation deadlines',
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Builds every feed document from the seen store
+ * @param {Object} state - Whole seen store
+ * @param {Array<Object>} rules - Compiled watch rules
+ * @param {{limit:number, baseUrl?:string}} options - Entries per feed; public URL of the feeds directory
+ * @returns {Map<string, {contentType:string, body:string}>} Keyed by relative path, e.g. "rules/price-cap.atom"
+ */
+const buildFeeds = (state, rules, { limit, baseUrl }) => {
+  const entries = Object.values(state.sources)
+    .flatMap(ns => Object.values(ns.publications))
+    .sort((a, b) => entryTime(b) - entryTime(a));
+
+  const feeds = [
+    { id: 'all', file: 'all', title: 'Ofgem publications', entries },
+    ...rules.map(rule => ({
+      id: `rule/${rule.name}`,
+      file: `rules/${slugify(rule.name)}`,
+      title: `Ofgem publications: ${rule.name}`,
+      entries: entries.filter(entry => (entry.matchedRules || []).includes(rule.name))
+    }))
+  ];
+
+  const documents = new Map();
+  const add = (file, body) => documents.set(file, { contentType: CONTENT_TYPES[path.extname(file)], body });
+  const selfUrl = (file) => baseUrl ? `${baseUrl.replace(/\/+$/, '')}/${file}` : null;
+
+  for (const feed of feeds) {
+    const limited = { ...feed, entries: feed.entries.slice(0, limit) };
+    add(`${feed.file}.atom`, renderAtom({ ...limited, selfUrl: selfUrl(`${feed.file}.atom`) }));
+    add(`${feed.file}.rss`, renderRss({ ...limited, selfUrl: selfUrl(`${feed.file}.rss`) }));
+    add(`${feed.file}.json`, renderJsonFeed({ ...limited, selfUrl: selfUrl(`${feed.file}.json`) }));
+  }
+
+  const consultations = entries
+    .filter(entry => entry.closingDate)
+    .sort((a, b) => a.closingDate.localeCompare(b.closingDate));
+  add('consultations.ics', renderCalendar(consultations));
+
+  return documents;
+};
+
+/**
+ * Writes feed documents under a directory, replacing earlier versions
+ * @param {string} dir
+ * @param {Map<string, {body:string}>} documents - Output of buildFeeds
+ */
+const writeFeeds = (dir, documents) => {
+  for (const [file, { body }] of documents) {
+    const target = path.join(dir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(`${target}.tmp`, body);
+    fs.renameSync(`${target}.tmp`, target);
+  }
+};
+
+module.exports = {
+  slugify,
+  renderAtom,
+  renderRss,
+  renderJsonFeed,
+  renderCalendar,
+  buildFeeds,
+  writeFeeds
+};
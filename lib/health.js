@@ -0,0 +1,338 @@
+/**
+ * Source and watcher health checks
+ *
+ * Each poll records, per source, how many raw items the listing returned,
+ * how many of them parsed into publications, whether the scraping fallback
+ * had to be used and how many publications were new. A structure change on
+ * the publisher's side shows up here before anyone notices missing alerts:
+ * items keep arriving but stop parsing, the parse rate drops well below its
+ * usual level, or the API keeps coming back empty so every poll falls back
+ * to the browser. Polls that fetch nothing at all, and sources that go
+ * several working days without a new publication, are flagged too.
+ *
+ * Notification sends are counted as well, so a run of failures (an expired
+ * API key, a bounced sender domain) is reported rather than left in the logs.
+ *
+ * Problems are alerted once when they start, repeated while they persist
+ * (at most once per `repeatAfter`) and followed by a recovery notice when
+ * they clear. The history, open alerts and the counts for the daily
+ * heartbeat live in a small state file so they survive restarts.
+ */
+
+const fs = require('fs');
+const time = require('./time');
+const log = require('./logger');
+
+const HISTORY_SIZE = 20;
+
+// Source id of delivery alerts, which belong to no source
+const DELIVERY = 'notifications';
+
+const DEFAULT_THRESHOLDS = {
+  dropRatio: 0.5, // alert when the parse rate falls below half its usual level
+  minSamples: 3, // healthy polls needed before the usual level is trusted
+  fallbackRuns: 3, // consecutive polls that needed the scraping fallback
+  fetchFailures: 3, // consecutive polls that fetched nothing at all
+  quietDays: 3, // full working days without a new publication
+  deliveryFailures: 3, // consecutive failed notification sends
+  repeatAfter: 24 * 60 * 60 * 1000 // re-alert while a problem persists
+};
+
+const emptyStats = (now = new Date()) => ({ since: now.toISOString(), polls: 0, failedPolls: 0, newItems: 0, matched: 0, sent: 0, failedSends: 0 });
+
+const emptyHealth = () => ({
+  sources: {},
+  delivery: { failures: 0, lastError: null, alerts: {} },
+  stats: emptyStats(),
+  heartbeat: { lastSentAt: null }
+});
+
+/**
+ * Loads the health history
+ * @param {string} filePath
+ * @returns {{sources:Object<string, {samples:Array<Object>, alerts:Object, lastNewAt?:string}>,
+ *   delivery:{failures:number, lastError:string|null, alerts:Object}, stats:Object, heartbeat:{lastSentAt:string|null}}}
+ */
+const loadHealth = (filePath) => {
+  try {
+    if (!fs.existsSync(filePath)) return emptyHealth();
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const object = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    const fresh = emptyHealth();
+    // Files written before delivery checks and heartbeats only have sources
+    return {
+      sources: object(data?.sources) ? data.sources : {},
+      delivery: object(data?.delivery) ? { ...fresh.delivery, ...data.delivery } : fresh.delivery,
+      stats: object(data?.stats) ? { ...fresh.stats, ...data.stats } : fresh.stats,
+      heartbeat: object(data?.heartbeat) ? { ...fresh.heartbeat, ...data.heartbeat } : fresh.heartbeat
+    };
+  } catch (error) {
+    log.warn('health.state_corrupted', 'Health state file corrupted, starting fresh', { file: filePath });
+    return emptyHealth();
+  }
+};
+
+/**
+ * Writes the health history atomically (temp file + rename)
+ * @param {string} filePath
+ * @param {Object} health
+ */
+const saveHealth = (filePath, health) => {
+  try {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(health, null, 2));
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    log.error('health.state_save_failed', 'Failed to save health state', { file: filePath, error: error.message });
+  }
+};
+
+const sourceRecord = (health, sourceId) => {
+  if (!health.sources[sourceId]) health.sources[sourceId] = { samples: [], alerts: {} };
+  return health.sources[sourceId];
+};
+
+const parseRate = (sample) => sample.items > 0 ? sample.parsed / sample.items : null;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+// Nothing came back at all: the request failed, or the listing and the fallback were both empty
+const fetchFailed = (sample) => Boolean(sample.error) || (sample.fetched === 0 && !(sample.items > 0));
+
+/**
+ * Works out which problems a new sample shows, given the earlier samples
+ * @param {Array<Object>} previous - Earlier samples, oldest first
+ * @param {{items:number, parsed:number, fallback:boolean, fetched?:number, error?:string}} sample
+ * @param {Object} thresholds - See DEFAULT_THRESHOLDS
+ * @returns {Object<string, string>} Problem message keyed by condition
+ *   ("parse-failure", "parse-drop", "fallback" or "fetch-failure")
+ */
+const detectProblems = (previous, sample, thresholds) => {
+  const problems = {};
+  const rate = parseRate(sample);
+
+  if (rate === 0) {
+    problems['parse-failure'] = `The listing returned ${sample.items} item(s) but none could be parsed`;
+  } else if (rate !== null) {
+    // The usual level only counts polls that were not themselves flagged
+    const usual = previous.filter(s => !s.flagged).map(parseRate).filter(r => r !== null);
+    if (usual.length >= thresholds.minSamples) {
+      const baseline = median(usual);
+      if (rate < baseline * thresholds.dropRatio) {
+        problems['parse-drop'] = `Parse rate fell to ${percent(rate)} (${sample.parsed} of ${sample.items} items); usually ${percent(baseline)}`;
+      }
+    }
+  }
+
+  if (sample.fallback) {
+    let runs = 1;
+    for (let i = previous.length - 1; i >= 0 && previous[i].fallback; i--) runs++;
+    if (runs >= thresholds.fallbackRuns) {
+      problems.fallback = `No usable publications came back from the listing on ${runs} consecutive polls, so the fallback was needed each time`;
+    }
+  }
+
+  if (fetchFailed(sample)) {
+    let runs = 1;
+    for (let i = previous.length - 1; i >= 0 && fetchFailed(previous[i]); i--) runs++;
+    if (runs >= thresholds.fetchFailures) {
+      problems['fetch-failure'] = `Nothing could be fetched on ${runs} consecutive polls` +
+        (sample.error ? ` (last error: ${sample.error})` : ', from the listing or the fallback');
+      // The fallback is failing too, which this already says
+      delete problems.fallback;
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Full working days between the day of an instant and today, both excluded
+ * @param {string} since - ISO timestamp
+ * @param {Date} now
+ * @param {(day:string) => boolean} isWorkingDay
+ * @returns {number}
+ */
+const workingDaysSince = (since, now, isWorkingDay) => {
+  const today = time.londonDay(now);
+  let count = 0;
+  for (let day = time.addDays(time.londonDay(since), 1); day < today; day = time.addDays(day, 1)) {
+    if (isWorkingDay(day)) count++;
+  }
+  return count;
+};
+
+/**
+ * Opens, repeats and closes the alerts of one source (or of notifications)
+ * @param {{alerts:Object}} record - Mutated
+ * @param {string} source
+ * @param {Object<string, string>} problems - Current problem message keyed by condition
+ * @param {Object} thresholds
+ * @param {Date} now
+ * @returns {Array<Object>} Alerts, as recordSample returns them
+ */
+const updateAlerts = (record, source, problems, thresholds, now) => {
+  const alerts = [];
+  for (const [condition, message] of Object.entries(problems)) {
+    const open = record.alerts[condition];
+    if (!open) {
+      record.alerts[condition] = { since: now.toISOString(), alertedAt: now.toISOString(), message };
+      alerts.push({ source, condition, status: 'raised', message, since: now.toISOString() });
+    } else {
+      open.message = message;
+      if (now.getTime() - Date.parse(open.alertedAt) >= thresholds.repeatAfter) {
+        open.alertedAt = now.toISOString();
+        alerts.push({ source, condition, status: 'ongoing', message, since: open.since });
+      }
+    }
+  }
+
+  for (const [condition, open] of Object.entries(record.alerts)) {
+    if (problems[condition]) continue;
+    delete record.alerts[condition];
+    alerts.push({ source, condition, status: 'resolved', message: open.message, since: open.since });
+  }
+  return alerts;
+};
+
+/**
+ * Records a poll's sample for a source and returns the alerts it triggers
+ * @param {Object} health - Loaded health history (mutated)
+ * @param {string} sourceId
+ * @param {{items:number, parsed:number, fallback:boolean, fetched?:number, unseen?:number, error?:string}} sample
+ *   fetched and unseen are the publications the poll ended up with and how many were new;
+ *   error is set when polling the source threw
+ * @param {Object} [thresholds]
+ * @param {Date} [now]
+ * @param {(day:string) => boolean} [isWorkingDay] - Days that count towards a quiet period
+ *   (default: every day)
+ * @returns {Array<{source:string, condition:string, status:'raised'|'ongoing'|'resolved', message:string, since:string}>}
+ */
+const recordSample = (health, sourceId, sample, thresholds = DEFAULT_THRESHOLDS, now = new Date(), isWorkingDay = () => true) => {
+  const record = sourceRecord(health, sourceId);
+  const problems = detectProblems(record.samples, sample, thresholds);
+
+  // The quiet period counts from the last new publication, or from when this source was first polled
+  if (sample.unseen > 0 || !record.lastNewAt) record.lastNewAt = now.toISOString();
+  const quietDays = workingDaysSince(record.lastNewAt, now, isWorkingDay);
+  if (quietDays >= thresholds.quietDays && !fetchFailed(sample)) {
+    problems.quiet = `No new publications for ${quietDays} working days (last on ${time.formatLondon(record.lastNewAt)})`;
+  } else if (record.alerts.quiet && fetchFailed(sample)) {
+    // A failed fetch says nothing about whether anything was published
+    problems.quiet = record.alerts.quiet.message;
+  }
+
+  record.samples.push({
+    at: now.toISOString(),
+    items: sample.items,
+    parsed: sample.parsed,
+    fallback: Boolean(sample.fallback),
+    fetched: sample.fetched ?? null,
+    ...(sample.error ? { error: sample.error } : {}),
+    flagged: Object.keys(problems).length > 0
+  });
+  if (record.samples.length > HISTORY_SIZE) {
+    record.samples.splice(0, record.samples.length - HISTORY_SIZE);
+  }
+
+  return updateAlerts(record, sourceId, problems, thresholds, now);
+};
+
+/**
+ * Records the outcome of a round of notification sends. A run of failures
+ * with no success in between raises a "delivery-failure" alert; the next
+ * successful send resolves it.
+ * @param {Object} health - Loaded health history (mutated)
+ * @param {{sent:number, failed:number, lastError?:string|null}} results
+ * @param {Object} [thresholds]
+ * @param {Date} [now]
+ * @returns {Array<Object>} Alerts, as recordSample returns them
+ */
+const recordDeliveries = (health, { sent, failed, lastError = null }, thresholds = DEFAULT_THRESHOLDS, now = new Date()) => {
+  const record = health.delivery;
+  health.stats.sent += sent;
+  health.stats.failedSends += failed;
+  if (sent + failed === 0) return [];
+
+  // Failures after the last success in this round still count towards the next alert
+  record.failures = sent > 0 ? 0 : record.failures + failed;
+  if (failed > 0) record.lastError = lastError;
+
+  const problems = {};
+  if (record.failures >= thresholds.deliveryFailures) {
+    problems['delivery-failure'] = `${record.failures} notification send(s) in a row have failed (last error: ${record.lastError})`;
+  } else if (record.alerts['delivery-failure'] && sent === 0) {
+    problems['delivery-failure'] = record.alerts['delivery-failure'].message;
+  }
+  return updateAlerts(record, DELIVERY, problems, thresholds, now);
+};
+
+/**
+ * Adds a finished poll to the counts the heartbeat reports
+ * @param {Object} health - Loaded health history (mutated)
+ * @param {{ok:boolean, matched:number, sources:Array<{new?:number, error?:string|null}>}} poll - Poll record
+ */
+const recordPoll = (health, poll) => {
+  health.stats.polls++;
+  if (!poll.ok || poll.sources.some(source => source.error)) health.stats.failedPolls++;
+  health.stats.newItems += poll.sources.reduce((sum, source) => sum + (source.new || 0), 0);
+  health.stats.matched += poll.matched;
+};
+
+/**
+ * Whether the daily heartbeat is due: its hour (London time) has passed
+ * since the last one was sent
+ * @param {Object} health
+ * @param {number|null} hour - null turns the heartbeat off
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const heartbeatDue = (health, hour, now = new Date()) => {
+  if (hour === null || hour === undefined) return false;
+  let slot = time.londonTime(time.londonDay(now), hour);
+  if (slot > now) slot = time.londonTime(time.addDays(time.londonDay(now), -1), hour);
+  const last = health.heartbeat.lastSentAt;
+  return !last || Date.parse(last) < slot.getTime();
+};
+
+/**
+ * Marks the heartbeat as sent and starts counting afresh
+ * @param {Object} health - Loaded health history (mutated)
+ * @param {Date} [now]
+ * @returns {Object} The counts the heartbeat covered
+ */
+const resetStats = (health, now = new Date()) => {
+  const stats = health.stats;
+  health.stats = emptyStats(now);
+  health.heartbeat.lastSentAt = now.toISOString();
+  return stats;
+};
+
+/**
+ * Every problem still open, for status reporting
+ * @param {Object} health
+ * @returns {Array<{source:string, condition:string, message:string, since:string}>}
+ */
+const openProblems = (health) =>
+  [...Object.entries(health.sources), [DELIVERY, health.delivery || { alerts: {} }]].flatMap(([source, record]) =>
+    Object.entries(record.alerts).map(([condition, open]) => ({ source, condition, message: open.message, since: open.since })));
+
+module.exports = {
+  DELIVERY,
+  DEFAULT_THRESHOLDS,
+  loadHealth,
+  saveHealth,
+  detectProblems,
+  recordSample,
+  recordDeliveries,
+  recordPoll,
+  heartbeatDue,
+  resetStats,
+  openProblems
+};
@@ -0,0 +1,247 @@
+/**
+ * HTTP client
+ *
+ * Every request the watcher makes to a website (listing APIs, scraped pages,
+ * publication pages and their attachments) goes through one client, so they
+ * all identify themselves the same way and back off together:
+ *
+ * - GET responses carrying an ETag or Last-Modified are cached on disk and
+ *   revalidated with If-None-Match / If-Modified-Since; a 304 is answered
+ *   from the cache.
+ * - 429 and 5xx responses, timeouts and network errors are retried with
+ *   jittered exponential backoff, waiting for Retry-After when one is given.
+ * - A circuit breaker pauses a kind of request after repeated failures, or
+ *   when Retry-After asks for longer than is worth waiting in-process. Each
+ *   source's listing has its own circuit, and publication pages and their
+ *   documents share one per site, so failing pages do not stop the listing
+ *   being polled. Other requests use one circuit per site. While paused,
+ *   requests fail straight away; the first one after the pause is a trial
+ *   that closes the circuit or reopens it.
+ *
+ * The cache and the circuits are kept in one file, written by save() (once
+ * per poll), so a `poll` run from cron honours a pause started by the
+ * previous run.
+ */
+
+const fs = require('fs');
+const log = require('./logger');
+const { formatLondon } = require('./time');
+const { version } = require('../package.json');
+
+const USER_AGENT = `Ofgem-Watch/${version} (Node.js ${process.version})`;
+const MAX_CACHE_ENTRIES = 200;
+// Longest wait between retries; a longer Retry-After pauses the site instead
+const MAX_RETRY_DELAY = 60 * 1000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const originOf = (url) => new URL(url).origin;
+
+/**
+ * Reads a Retry-After header
+ * @param {string|null} value - Seconds, or an HTTP date
+ * @param {number} [now]
+ * @returns {number|null} Milliseconds to wait
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+  if (/^\s*\d+\s*$/.test(value)) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+};
+
+/**
+ * Exponential backoff with jitter: between half and all of base × 2^attempt
+ * @param {number} attempt - From 0
+ * @param {number} base - First delay (ms)
+ * @param {number} [max]
+ * @param {() => number} [random]
+ * @returns {number} ms
+ */
+const backoffDelay = (attempt, base, max = MAX_RETRY_DELAY, random = Math.random) => {
+  const ceiling = Math.min(max, base * 2 ** attempt);
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+};
+
+const loadStore = (cacheFile) => {
+  if (!cacheFile || !fs.existsSync(cacheFile)) return { entries: {}, circuits: {} };
+  try {
+    const data = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    return {
+      entries: data?.entries && typeof data.entries === 'object' ? data.entries : {},
+      circuits: data?.circuits && typeof data.circuits === 'object' ? data.circuits : {}
+    };
+  } catch (error) {
+    log.warn('http.cache_corrupted', 'HTTP cache file corrupted, starting fresh', { file: cacheFile, error: error.message });
+    return { entries: {}, circuits: {} };
+  }
+};
+
+/**
+ * Creates the client
+ * @param {Object} [options]
+ * @param {string} [options.userAgent]
+ * @param {string} [options.cacheFile] - Where cached responses and circuits are kept (none: memory only)
+ * @param {boolean} [options.readOnly] - Use the cache file but never write it (dry runs)
+ * @param {number} [options.breakerThreshold] - Failed requests in a row to a site before it is paused
+ * @param {number} [options.breakerCooldown] - How long a site is paused (ms)
+ * @param {Function} [options.fetch] - fetch implementation
+ * @param {(ms:number) => Promise<void>} [options.sleep]
+ * @returns {{request:Function, pausedUntil:(circuit:string) => string|null, save:() => void}}
+ */
+const createHttpClient = ({
+  userAgent = USER_AGENT,
+  cacheFile = null,
+  readOnly = false,
+  breakerThreshold = 5,
+  breakerCooldown = 15 * 60 * 1000,
+  fetch: fetchImpl = fetch,
+  sleep = delay
+} = {}) => {
+  const store = loadStore(cacheFile);
+  let changed = false;
+
+  /**
+   * Writes the cache and circuits, if anything changed since the last save
+   */
+  const save = () => {
+    if (!changed || !cacheFile || readOnly) return;
+    try {
+      const tempPath = `${cacheFile}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(store));
+      fs.renameSync(tempPath, cacheFile);
+      changed = false;
+    } catch (error) {
+      log.warn('http.cache_save_failed', 'Failed to save the HTTP cache', { file: cacheFile, error: error.message });
+    }
+  };
+
+  /**
+   * When requests on a circuit resume, if they are paused
+   * @param {string} circuit - The name passed to request(), or a site's origin
+   * @returns {string|null} ISO timestamp
+   */
+  const pausedUntil = (circuit) => {
+    const state = store.circuits[circuit];
+    return state?.openUntil && Date.parse(state.openUntil) > Date.now() ? state.openUntil : null;
+  };
+
+  const recordFailure = (circuit, reason, until = null) => {
+    const state = store.circuits[circuit] || { failures: 0, openUntil: null };
+    store.circuits[circuit] = state;
+    state.failures++;
+    const openUntil = until || (state.failures >= breakerThreshold ? new Date(Date.now() + breakerCooldown).toISOString() : null);
+    if (openUntil) {
+      state.openUntil = openUntil;
+      log.warn('http.circuit_opened', `Pausing requests (${circuit}) until ${formatLondon(openUntil)}`, {
+        circuit, failures: state.failures, until: openUntil, reason
+      });
+    }
+    changed = true;
+  };
+
+  const recordSuccess = (circuit) => {
+    const state = store.circuits[circuit];
+    if (!state) return;
+    if (state.openUntil) log.info('http.circuit_closed', `Requests (${circuit}) are working again`, { circuit });
+    delete store.circuits[circuit];
+    changed = true;
+  };
+
+  const remember = (url, response, body) => {
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+    if (!etag && !lastModified) return;
+    store.entries[url] = { etag, lastModified, body, storedAt: new Date().toISOString() };
+    // Keep the most recently stored entries
+    const urls = Object.keys(store.entries);
+    if (urls.length > MAX_CACHE_ENTRIES) {
+      urls.sort((a, b) => store.entries[a].storedAt.localeCompare(store.entries[b].storedAt))
+        .slice(0, urls.length - MAX_CACHE_ENTRIES)
+        .forEach(stale => delete store.entries[stale]);
+    }
+    changed = true;
+  };
+
+  /**
+   * Makes a request, retrying and revalidating as described above
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {string} [options.method] - GET or HEAD
+   * @param {Object} [options.headers]
+   * @param {number} [options.timeout] - Per attempt (ms)
+   * @param {number} [options.retries] - Further attempts after the first
+   * @param {number} [options.retryDelay] - First backoff delay (ms)
+   * @param {boolean} [options.cache] - Revalidate and store the response (default: for GET)
+   * @param {string} [options.circuit] - Circuit breaker the request counts towards (default: the site's origin)
+   * @returns {Promise<{status:number, ok:boolean, headers:Headers, body:string, fromCache:boolean}>}
+   *   Any response below 500 other than 429; ok is false for 4xx
+   * @throws {Error} When the site is paused (`code` CIRCUIT_OPEN) or every attempt failed
+   *   (`status` when the server answered); both carry `retryAt` when a pause is in force
+   */
+  const request = async (url, { method = 'GET', headers = {}, timeout = 10000, retries = 0, retryDelay = 1000, cache = method === 'GET', circuit = originOf(url) } = {}) => {
+    const paused = pausedUntil(circuit);
+    if (paused) {
+      throw Object.assign(new Error(`requests (${circuit}) are paused until ${formatLondon(paused)}`), { code: 'CIRCUIT_OPEN', retryAt: paused });
+    }
+
+    const cached = cache ? store.entries[url] : null;
+    const conditional = {};
+    if (cached?.etag) conditional['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) conditional['If-Modified-Since'] = cached.lastModified;
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let failure;
+      try {
+        response = await fetchImpl(url, {
+          method,
+          headers: { 'User-Agent': userAgent, ...headers, ...conditional },
+          signal: AbortSignal.timeout(timeout)
+        });
+        if (response.status === 304 && cached) {
+          recordSuccess(circuit);
+          log.debug('http.not_modified', 'Not modified; using the cached response', { url });
+          return { status: 200, ok: true, headers: response.headers, body: cached.body, fromCache: true };
+        }
+        if (response.status !== 429 && response.status < 500) {
+          const body = method === 'HEAD' ? '' : await response.text();
+          recordSuccess(circuit);
+          if (cache && response.ok) remember(url, response, body);
+          return { status: response.status, ok: response.ok, headers: response.headers, body, fromCache: false };
+        }
+        failure = `status ${response.status}`;
+        await response.arrayBuffer().catch(() => null);
+      } catch (error) {
+        failure = error.name === 'TimeoutError' || error.name === 'AbortError' ? 'timed out' : error.cause?.message || error.message;
+      }
+
+      const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after')) : null;
+      if (retryAfter !== null && retryAfter > MAX_RETRY_DELAY) {
+        // Asked to stay away longer than is worth waiting here
+        const retryAt = new Date(Date.now() + retryAfter).toISOString();
+        recordFailure(circuit, failure, retryAt);
+        throw Object.assign(new Error(failure), { status: response.status, retryAt });
+      }
+      if (attempt >= retries) {
+        recordFailure(circuit, failure);
+        throw Object.assign(new Error(failure), { status: response?.status, retryAt: pausedUntil(circuit) });
+      }
+      const wait = retryAfter ?? backoffDelay(attempt, retryDelay);
+      log.debug('http.retry', `Retrying in ${wait}ms`, { url, attempt: attempt + 1, error: failure });
+      await sleep(wait);
+    }
+  };
+
+  return {
+    request,
+    pausedUntil,
+    save
+  };
+};
+
+module.exports = {
+  USER_AGENT,
+  parseRetryAfter,
+  backoffDelay,
+  createHttpClient
+};
@@ -0,0 +1,83 @@
+/**
+ * Logger
+ *
+ * One line per event, either as JSON for log collectors or as readable text
+ * for a terminal. Every entry has a time, a level, a stable `event` name to
+ * query on (e.g. "notification.failed") and a message, plus its own fields.
+ * Entries written during a poll cycle also carry that cycle's `pollId`, set
+ * once by withContext rather than passed to every call.
+ *
+ * Reports that commands print for a person to read (list, status, replay,
+ * dry-run previews...) are not logs and still go to the console directly.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FORMATS = ['auto', 'json', 'text'];
+
+const context = new AsyncLocalStorage();
+let settings = { level: 'info', format: 'json' };
+
+/**
+ * Sets the level and format
+ * @param {{level?:string, format?:string}} options - format "auto" is text on a terminal and
+ *   JSON otherwise
+ */
+const configure = ({ level = settings.level, format = settings.format } = {}) => {
+  if (!LEVELS.includes(level)) throw new Error(`Unknown log level "${level}" (expected ${LEVELS.join(', ')})`);
+  if (!FORMATS.includes(format)) throw new Error(`Unknown log format "${format}" (expected ${FORMATS.join(', ')})`);
+  settings = { level, format: format === 'auto' ? (process.stdout.isTTY ? 'text' : 'json') : format };
+};
+
+/**
+ * Runs a function with fields added to every entry logged inside it,
+ * including from callbacks and awaited calls
+ * @param {Object} fields - e.g. { pollId }
+ * @param {() => *} fn
+ * @returns {*} What fn returns
+ */
+const withContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+const textValue = (value) => {
+  const text = typeof value === 'string' ? value
+    : Array.isArray(value) && value.every(item => typeof item === 'string') ? value.join(',')
+      : JSON.stringify(value);
+  return /[\s"=]/.test(text) ? JSON.stringify(text) : text;
+};
+
+const format = (entry) => {
+  if (settings.format === 'json') return JSON.stringify(entry);
+  const { time, level, event, msg, ...fields } = entry;
+  const extras = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${textValue(value)}`);
+  return [time.slice(11, 19), level.toUpperCase().padEnd(5), msg, ...extras].join(' ');
+};
+
+/**
+ * Writes one entry when its level is enabled
+ * @param {string} level - One of LEVELS
+ * @param {string} event - Stable dotted name, e.g. "source.fetched"
+ * @param {string} message - For people
+ * @param {Object} [fields]
+ */
+const write = (level, event, message, fields = {}) => {
+  if (LEVELS.indexOf(level) < LEVELS.indexOf(settings.level)) return;
+  const core = { time: new Date().toISOString(), level, event, msg: message };
+  // Fields cannot overwrite the core ones, which keep their place at the front
+  const line = format(Object.assign({ ...core }, context.getStore(), fields, core));
+  const out = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  out(line);
+};
+
+module.exports = {
+  LEVELS,
+  FORMATS,
+  configure,
+  withContext,
+  debug: (event, message, fields) => write('debug', event, message, fields),
+  info: (event, message, fields) => write('info', event, message, fields),
+  warn: (event, message, fields) => write('warn', event, message, fields),
+  error: (event, message, fields) => write('error', event, message, fields)
+};
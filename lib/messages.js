@@ -0,0 +1,221 @@
+/**
+ * Notification messages
+ *
+ * Renders what the watcher sends: publication batches (alerts, edits,
+ * reminders, digests) through the templates in templates.js, and operator
+ * alerts and heartbeats. Every message carries the email
+ * parts ({subject, html, text}) plus `event`, `heading` and `publications`
+ * for channels that build their own payload (see notifiers/index.js).
+ */
+
+const { daysLeft } = require('./consultations');
+const { loadTemplates, DEFAULT_TEMPLATE } = require('./templates');
+const { kindLabel } = require('./classify');
+const { formatLondon } = require('./time');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Only web links reach a template; anything else (javascript:, data:) becomes "#"
+const safeUrl = (value) => /^https?:\/\//i.test(String(value ?? '').trim()) ? String(value).trim() : '#';
+
+const DEFAULT_BRAND = { name: 'Ofgem Watch', color: '#2d3748' };
+
+// Labels for the fields store.diffPublication reports
+const CHANGE_LABELS = { title: 'Title', date: 'Date', documents: 'Documents', content: 'Content' };
+
+// Built-in templates, loaded on first use when the caller passes none
+let builtInTemplates = null;
+
+/**
+ * Closing-date line for a consultation
+ * @param {string} [closingDate] - YYYY-MM-DD
+ * @returns {string} Empty when there is no closing date
+ */
+const describeClosing = (closingDate) => {
+  const left = closingDate ? daysLeft(closingDate) : null;
+  if (left === null) return '';
+  const date = new Date(`${closingDate}T00:00:00Z`).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+  return `Closing date: ${date}` +
+    (left > 1 ? ` (${left} days left)` : left === 1 ? ' (closes tomorrow)' : left === 0 ? ' (closes today)' : ' (closed)');
+};
+
+/**
+ * What a template sees of one publication
+ * @param {Object} p - Publication with optional matchedRules, changes, passages, attachments and
+ *   classification (kind, tags, suppliers, networks)
+ * @param {number} index - Position in its list (numbers restart in each digest section)
+ * @param {boolean} showSource - Include the source name
+ * @returns {Object}
+ */
+const publicationView = (p, index, showSource) => ({
+  number: index + 1,
+  title: p.title,
+  link: safeUrl(p.link),
+  date: p.date,
+  // The page's own type; the classified kind when the page was not loaded
+  type: p.type || (p.kind && p.kind !== 'other' ? kindLabel(p.kind) : ''),
+  kind: p.kind || '',
+  kindLabel: p.kind ? kindLabel(p.kind) : '',
+  tags: p.tags || [],
+  suppliers: p.suppliers || [],
+  networks: p.networks || [],
+  companies: [...(p.suppliers || []), ...(p.networks || [])],
+  summary: p.summary || '',
+  sourceName: showSource ? p.sourceName || '' : '',
+  matchedRules: p.matchedRules || [],
+  changes: (p.changes || []).map(c => ({ field: c.field, label: CHANGE_LABELS[c.field] || c.field, before: c.before, after: c.after })),
+  closing: describeClosing(p.closingDate),
+  // Title matches are obvious from the heading, so only show other fields
+  passages: (p.passages || []).filter(m => m.field !== 'title'),
+  attachments: (p.attachments || []).map(a => ({ ...a, url: safeUrl(a.url) }))
+});
+
+/**
+ * Renders the batch notification for a set of publications
+ * @param {Array<{title:string,link:string,date:string,matchedRules?:Array<string>,changes?:Array<Object>}>} publications
+ * @param {Object} [options]
+ * @param {string} [options.heading] - Overrides the heading
+ * @param {string} [options.subject] - Overrides the default subject (a template can still replace it)
+ * @param {string} [options.event] - Labels the message for webhook channels ("new" by default)
+ * @param {Array<{title:string, publications:Array<Object>}>} [options.sections] - Groups the items under headings (digests)
+ * @param {boolean} [options.showSource] - Name each item's source (when several sources are watched)
+ * @param {Object} [options.templates] - Output of templates.loadTemplates (default: the built-in ones)
+ * @param {string} [options.template] - Template name (default "default")
+ * @param {{name?:string, color?:string}} [options.brand] - Name and colour shown in the HTML
+ * @returns {{event:string, heading:string, publications:Array<Object>, subject:string, html:string, text:string}}
+ */
+const buildBatchMessage = (publications, options = {}) => {
+  const heading = options.heading ||
+    `${publications.length} new Ofgem update${publications.length > 1 ? 's' : ''}`;
+  const defaultSubject = options.subject || options.heading
+    ? options.subject || `📢 ${options.heading}`
+    : `📢 ${publications.length} Ofgem Update${publications.length > 1 ? 's' : ''} Detected`;
+  const event = options.event || 'new';
+  const view = (list) => list.map((p, i) => publicationView(p, i, Boolean(options.showSource)));
+
+  const templates = options.templates || (builtInTemplates = builtInTemplates || loadTemplates());
+  const rendered = templates.render(options.template || DEFAULT_TEMPLATE, {
+    event,
+    heading,
+    defaultSubject,
+    count: publications.length,
+    brand: { name: options.brand?.name || DEFAULT_BRAND.name, color: options.brand?.color || DEFAULT_BRAND.color },
+    publications: view(publications),
+    // Digests arrive grouped into titled sections; alerts are a flat list
+    sections: options.sections ? options.sections.map(section => ({ title: section.title, publications: view(section.publications) })) : null
+  });
+
+  return {
+    event,
+    heading,
+    publications,
+    ...rendered
+  };
+};
+
+const ALERT_LABELS = {
+  raised: '🚨 Problem',
+  ongoing: '🚨 Still failing',
+  resolved: '✅ Recovered'
+};
+
+/**
+ * One log/message line for an operator alert
+ * @param {{source:string, status:string, message:string}} alert
+ * @param {string} [sourceName] - Display name of the alert's source
+ * @returns {string}
+ */
+const describeAlert = (alert, sourceName = alert.source) => alert.status === 'resolved'
+  ? `${ALERT_LABELS.resolved} [${sourceName}] (was: ${alert.message})`
+  : `${ALERT_LABELS[alert.status]} [${sourceName}] ${alert.message}`;
+
+// What to look at first, by alert condition; parse problems are the default
+const SELECTOR_ADVICE = 'If the publisher has changed its page structure, update the selectors in lib/sources/ofgem-listing.js (or the source definition for HTML pages).';
+const ADVICE = {
+  'fetch-failure': 'Check that this machine can reach the publisher\'s website and listing API (network, proxy, or requests being blocked).',
+  quiet: 'Check the publisher\'s website by hand. If new items are there, the listing may have changed or the watcher may be looking at the wrong page.',
+  'delivery-failure': 'Check the notification channel\'s credentials and sender (for email, RESEND_API_KEY or SMTP settings and SENDER_EMAIL). Failed notifications are retried, then kept in the dead-letter list (node ofgem-poll.js dead-letters).'
+};
+
+/**
+ * Renders operator alerts as one message
+ * @param {Array<{source:string, condition?:string, status:string, message:string, since:string}>} alerts
+ * @param {Object<string, string>} [sourceNames] - Display names keyed by source id
+ * @returns {Object} Message with the same shape as buildBatchMessage's, plus `details`: one
+ *   line per alert, which chat and webhook channels show under the heading
+ */
+const buildOperatorMessage = (alerts, sourceNames = {}) => {
+  const open = alerts.filter(alert => alert.status !== 'resolved');
+  const heading = open.length > 0
+    ? `Ofgem Watch needs attention: ${open.length} problem(s)`
+    : 'Ofgem Watch: problems resolved';
+  const lines = alerts.map(alert =>
+    `${describeAlert(alert, sourceNames[alert.source])} (since ${formatLondon(alert.since)})`);
+  const advice = [...new Set(open.map(alert => ADVICE[alert.condition] || SELECTOR_ADVICE))];
+
+  return {
+    event: 'operator-alert',
+    heading,
+    details: lines,
+    publications: [],
+    subject: `${open.length > 0 ? '🚨' : '✅'} ${heading}`,
+    html: `<div style="font-family: Arial, sans-serif;">
+  <h2>${escapeHtml(heading)}</h2>
+  <ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+  ${advice.map(text => `<p>${escapeHtml(text)}</p>`).join('')}
+</div>`,
+    text: [heading, '', ...lines, ...(advice.length > 0 ? ['', ...advice] : [])].join('\n')
+  };
+};
+
+/**
+ * Renders the daily heartbeat: the watcher is alive, with what it has done
+ * since the previous heartbeat
+ * @param {Object} report
+ * @param {{since:string, polls:number, failedPolls:number, newItems:number, matched:number, sent:number, failedSends:number}} report.stats
+ * @param {number} report.tracked - Publications in the seen store
+ * @param {{pending:number, deadLetters:number}} report.outbox
+ * @param {Array<{source:string, message:string, since:string}>} report.problems - Open problems
+ * @param {Array<{name:string, lastNewAt:string|null}>} report.sources - When each source last had something new
+ * @returns {Object} Message with the same shape as buildBatchMessage's, plus `details`: the
+ *   stats lines, which chat and webhook channels show under the heading
+ */
+const buildHeartbeatMessage = ({ stats, tracked, outbox, problems, sources }) => {
+  const heading = problems.length > 0
+    ? `Ofgem Watch is running, with ${problems.length} open problem(s)`
+    : 'Ofgem Watch is running';
+  const lines = [
+    `Since ${formatLondon(stats.since)}: ${stats.polls} poll(s), ${stats.failedPolls} with failures`,
+    `New publications: ${stats.newItems}, of which ${stats.matched} matched a watch rule`,
+    `Notifications: ${stats.sent} sent, ${stats.failedSends} failed send(s); ${outbox.pending} pending, ${outbox.deadLetters} dead-lettered`,
+    `Publications tracked: ${tracked}`,
+    ...sources.map(source => `Last new item from ${source.name}: ${source.lastNewAt ? formatLondon(source.lastNewAt) : 'none yet'}`),
+    ...problems.map(problem => `🚨 [${problem.source}] ${problem.message} (since ${formatLondon(problem.since)})`)
+  ];
+
+  return {
+    event: 'operator-heartbeat',
+    heading,
+    details: lines,
+    publications: [],
+    subject: `${problems.length > 0 ? '⚠️' : '💓'} ${heading}`,
+    html: `<div style="font-family: Arial, sans-serif;">
+  <h2>${escapeHtml(heading)}</h2>
+  <ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+</div>`,
+    text: [heading, '', ...lines].join('\n')
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  safeUrl,
+  buildBatchMessage,
+  describeAlert,
+  buildOperatorMessage,
+  buildHeartbeatMessage
+};
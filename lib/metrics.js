@@ -0,0 +1,108 @@
+/**
+ * Metrics
+ *
+ * Counters, gauges and histograms for the poll cycle, rendered in the
+ * Prometheus text exposition format. `watch --serve` serves them at
+ * /metrics; METRICS_FILE writes them to a file after each poll for
+ * node_exporter's textfile collector. Values live in memory and start from
+ * zero with the process, which Prometheus treats as a counter reset.
+ */
+
+const fs = require('fs');
+
+const PREFIX = 'ofgem_watch_';
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const labelText = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+/**
+ * A metric family: one value (or histogram) per combination of labels
+ * @param {string} type - counter, gauge or histogram
+ * @param {string} name - Without the prefix
+ * @param {string} help
+ * @param {Array<number>} [buckets] - Histogram upper bounds
+ * @returns {Object}
+ */
+const family = (type, name, help, buckets = []) => {
+  const series = new Map();
+  const get = (labels) => {
+    const key = labelText(labels);
+    if (!series.has(key)) {
+      series.set(key, type === 'histogram'
+        ? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 });
+    }
+    return series.get(key);
+  };
+
+  return {
+    inc: (labels = {}, amount = 1) => { get(labels).value += amount; },
+    set: (labels, value) => { get(labels).value = value; },
+    observe: (labels, value) => {
+      const entry = get(labels);
+      buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+      entry.sum += value;
+      entry.count++;
+    },
+    value: (labels = {}) => series.get(labelText(labels))?.value ?? 0,
+    render: () => {
+      const lines = [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} ${type}`];
+      for (const entry of series.values()) {
+        if (type !== 'histogram') {
+          lines.push(`${PREFIX}${name}${labelText(entry.labels)} ${entry.value}`);
+          continue;
+        }
+        buckets.forEach((bound, i) => lines.push(`${PREFIX}${name}_bucket${labelText({ ...entry.labels, le: bound })} ${entry.counts[i]}`));
+        lines.push(`${PREFIX}${name}_bucket${labelText({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${PREFIX}${name}_sum${labelText(entry.labels)} ${entry.sum}`);
+        lines.push(`${PREFIX}${name}_count${labelText(entry.labels)} ${entry.count}`);
+      }
+      return lines.join('\n');
+    }
+  };
+};
+
+/**
+ * Creates the watcher's metrics
+ * @returns {Object} One family per metric, plus render()
+ */
+const createMetrics = () => {
+  const metrics = {
+    polls: family('counter', 'polls_total', 'Poll cycles by result (ok or failed)'),
+    lastPoll: family('gauge', 'last_poll_timestamp_seconds', 'When the last poll cycle finished'),
+    fetches: family('counter', 'fetches_total', 'Source fetches by method (api: the listing request; scrape: the browser fallback) and result (ok, empty, error, or paused by the circuit breaker)'),
+    fetchDuration: family('histogram', 'fetch_duration_seconds', 'Time taken by each source fetch, by method', LATENCY_BUCKETS),
+    listingItems: family('counter', 'listing_items_total', 'Listing items returned by each source'),
+    parseFailures: family('counter', 'parse_failures_total', 'Listing items that could not be parsed'),
+    newPublications: family('counter', 'new_publications_total', 'Publications seen for the first time'),
+    ruleMatches: family('counter', 'rule_matches_total', 'New publications matched, by watch rule'),
+    notifications: family('counter', 'notifications_total', 'Notification send attempts by channel, channel type and result (sent or failed)'),
+    deadLetters: family('counter', 'dead_letters_total', 'Notifications given up on, by channel'),
+    outboxPending: family('gauge', 'outbox_pending', 'Notifications waiting in the outbox')
+  };
+  return {
+    ...metrics,
+    render: () => `${Object.values(metrics).map(metric => metric.render()).join('\n')}\n`
+  };
+};
+
+/**
+ * Writes the metrics for a textfile collector atomically (temp file + rename)
+ * @param {string} filePath - Should end in .prom
+ * @param {Object} metrics - Output of createMetrics
+ */
+const writeMetricsFile = (filePath, metrics) => {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, metrics.render());
+  fs.renameSync(tempPath, filePath);
+};
+
+module.exports = {
+  createMetrics,
+  writeMetricsFile
+};
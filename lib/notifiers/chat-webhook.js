@@ -0,0 +1,85 @@
+/**
+ * Slack and Microsoft Teams notifier
+ *
+ * Posts a short summary of the publications (or an operator message's detail
+ * lines) to an incoming webhook. The webhook URL is read from the environment
+ * so it never lives in config files.
+ */
+
+const { safeUrl } = require('../messages');
+
+const formatRules = (p) => (p.matchedRules?.length ? ` • Matched: ${p.matchedRules.join(', ')}` : '');
+
+/**
+ * Slack mrkdwn needs &, < and > escaped in text
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeSlack = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Teams renders markdown and some HTML, so both are escaped in text
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeTeams = (value) => String(value ?? '')
+  .replace(/[\\`*_[\]()#|~]/g, '\\$&')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// An http(s) link with the characters that would end a Slack or markdown link target encoded
+const linkTarget = (url) => safeUrl(url).replace(/[\s()<>|]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+
+const slackPayload = (message) => ({
+  text: [
+    `*${escapeSlack(message.heading)}*`,
+    ...(message.details || []).map(escapeSlack),
+    ...message.publications.map(p =>
+      `• <${escapeSlack(linkTarget(p.link))}|${escapeSlack(p.title)}>\n   Published: ${escapeSlack(p.date)}${escapeSlack(formatRules(p))}`)
+  ].join('\n'),
+  unfurl_links: false
+});
+
+const teamsPayload = (message) => ({
+  text: [
+    `**${escapeTeams(message.heading)}**`,
+    ...(message.details || []).map(line => `- ${escapeTeams(line)}`),
+    ...message.publications.map(p =>
+      `- [${escapeTeams(p.title)}](${linkTarget(p.link)})  \nPublished: ${escapeTeams(p.date)}${escapeTeams(formatRules(p))}`)
+  ].join('\n\n')
+});
+
+/**
+ * @param {Object} definition - Channel definition ({id, type:'slack'|'teams', urlEnv})
+ * @param {{env:Object, timeout:number}} context
+ * @returns {{send:(message:Object) => Promise<void>}}
+ */
+const createChatWebhookNotifier = (definition, context) => {
+  const url = context.env[definition.urlEnv];
+  if (!definition.urlEnv || !url) {
+    throw new Error(`Channel "${definition.id}": set "urlEnv" to an environment variable holding the webhook URL`);
+  }
+  const toPayload = definition.type === 'teams' ? teamsPayload : slackPayload;
+
+  const send = async (message) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(toPayload(message)),
+      signal: AbortSignal.timeout(context.timeout)
+    });
+    if (!response.ok) {
+      throw new Error(`webhook responded with status: ${response.status}`);
+    }
+  };
+
+  return { send };
+};
+
+module.exports = {
+  createChatWebhookNotifier
+};
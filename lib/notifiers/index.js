@@ -0,0 +1,145 @@
+/**
+ * Notification channels
+ *
+ * A channel wraps one notifier implementation behind a common interface:
+ *
+ *   send(message, recipient) -> Promise (rejects on failure)
+ *
+ * `message` carries the rendered email ({subject, html, text}) plus the raw
+ * `publications`, `heading` and `event` so non-email channels can format
+ * their own payload. Email channels deliver to one recipient address per
+ * call; webhook channels ignore the recipient.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { createResendNotifier } = require('./resend');
+const { createSmtpNotifier } = require('./smtp');
+const { createChatWebhookNotifier } = require('./chat-webhook');
+const { createWebhookNotifier } = require('./webhook');
+
+const NOTIFIER_TYPES = {
+  resend: createResendNotifier,
+  smtp: createSmtpNotifier,
+  slack: createChatWebhookNotifier,
+  teams: createChatWebhookNotifier,
+  webhook: createWebhookNotifier
+};
+
+const EMAIL_TYPES = ['resend', 'smtp'];
+
+// Secrets stay in the environment: definitions name the variable that holds each one
+const SECRET_KEYS = { apiKey: 'apiKeyEnv', url: 'urlEnv', secret: 'secretEnv', user: 'userEnv', password: 'passwordEnv' };
+
+/**
+ * Validates a channel definition and builds its notifier
+ * @param {Object} definition - Raw definition from config
+ * @param {{env:Object, senderEmail:string, timeout:number}} context
+ * @returns {{id:string, type:string, isEmail:boolean, send:Function}}
+ */
+const createChannel = (definition, context) => {
+  const id = typeof definition?.id === 'string' ? definition.id.trim() : '';
+  if (!id) throw new Error('Each channel needs a non-empty "id"');
+
+  const inline = Object.keys(SECRET_KEYS).find(key => definition[key] !== undefined);
+  if (inline) {
+    throw new Error(`Channel "${id}": do not put "${inline}" in the file; set it in an environment variable and name that in "${SECRET_KEYS[inline]}"`);
+  }
+
+  const factory = NOTIFIER_TYPES[definition.type];
+  if (!factory) {
+    throw new Error(`Channel "${id}": unknown type "${definition.type}" (expected ${Object.keys(NOTIFIER_TYPES).join(', ')})`);
+  }
+
+  return {
+    ...factory({ ...definition, id }, context),
+    id,
+    type: definition.type,
+    isEmail: EMAIL_TYPES.includes(definition.type)
+  };
+};
+
+/**
+ * Loads channel definitions from a JSON or YAML file, or uses the defaults
+ * @param {string} filePath - Optional channels file
+ * @param {Array<Object>} defaults - Definitions used when the file is absent
+ * @param {Object} context - env, senderEmail and timeout passed to notifiers
+ * @returns {Array<Object>} Channels
+ */
+const loadChannels = (filePath, defaults, context) => {
+  let definitions = defaults;
+  if (filePath && fs.existsSync(filePath)) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    const document = ext === '.yaml' || ext === '.yml' ? YAML.parse(raw) : JSON.parse(raw);
+    definitions = Array.isArray(document) ? document : document?.channels;
+    if (!Array.isArray(definitions)) {
+      throw new Error('Channels file must contain a "channels" array');
+    }
+  }
+
+  const channels = definitions.filter(d => d.enabled !== false).map(d => createChannel(d, context));
+  const seen = new Set();
+  for (const channel of channels) {
+    if (seen.has(channel.id)) throw new Error(`Duplicate channel id "${channel.id}"`);
+    seen.add(channel.id);
+  }
+  return channels;
+};
+
+/**
+ * Checks that rules only route to existing, non-email channels
+ * (email goes to subscribers, who pick their own channels)
+ * @param {Array<Object>} rules - Compiled watch rules
+ * @param {Array<Object>} channels
+ */
+const validateRuleChannels = (rules, channels) => {
+  const byId = new Map(channels.map(channel => [channel.id, channel]));
+  for (const rule of rules) {
+    for (const id of rule.channels) {
+      const channel = byId.get(id);
+      if (!channel) throw new Error(`Rule "${rule.name}": unknown channel "${id}"`);
+      if (channel.isEmail) {
+        throw new Error(`Rule "${rule.name}": channel "${id}" is an email channel; route email through subscribers instead`);
+      }
+    }
+  }
+};
+
+/**
+ * Works out where operator alerts (problems with the watcher itself) go.
+ * Listed channels are used as given, with email channels sending to every
+ * operator address; without a list the addresses use the first email channel.
+ * @param {Array<string>} channelIds - Operator channel ids, possibly empty
+ * @param {Array<string>} emails - Operator email addresses, possibly empty
+ * @param {Array<Object>} channels - Loaded channels
+ * @returns {Array<{channel:Object, recipient:string|null}>} Empty when nobody is configured
+ */
+const resolveOperatorTargets = (channelIds, emails, channels) => {
+  const byId = new Map(channels.map(channel => [channel.id, channel]));
+  const ids = channelIds.length > 0
+    ? channelIds
+    : (emails.length > 0 ? [channels.find(channel => channel.isEmail)?.id].filter(Boolean) : []);
+  if (emails.length > 0 && ids.length === 0) {
+    throw new Error('Operator email addresses need an email channel (resend or smtp)');
+  }
+
+  return ids.flatMap((id) => {
+    const channel = byId.get(id);
+    if (!channel) throw new Error(`Operator alerts: unknown channel "${id}"`);
+    if (!channel.isEmail) return [{ channel, recipient: null }];
+    if (emails.length === 0) {
+      throw new Error(`Operator alerts: channel "${id}" is an email channel but no operator addresses are set`);
+    }
+    return emails.map(recipient => ({ channel, recipient }));
+  });
+};
+
+module.exports = {
+  NOTIFIER_TYPES,
+  createChannel,
+  loadChannels,
+  validateRuleChannels,
+  resolveOperatorTargets
+};
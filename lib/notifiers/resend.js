@@ -0,0 +1,59 @@
+/**
+ * Resend email notifier
+ *
+ * Delivers the rendered email to one recipient per call through the Resend
+ * API. This is the watcher's original delivery path.
+ */
+
+const { Resend } = require('resend');
+
+/**
+ * @param {Object} definition - Channel definition ({id, from?, apiKeyEnv?})
+ * @param {{env:Object, senderEmail:string, timeout:number}} context
+ * @returns {{send:(message:Object, recipient:string) => Promise<void>}}
+ */
+const createResendNotifier = (definition, context) => {
+  const apiKey = context.env[definition.apiKeyEnv || 'RESEND_API_KEY'];
+  const from = definition.from || context.senderEmail;
+  if (!apiKey) {
+    throw new Error(`Channel "${definition.id}": ${definition.apiKeyEnv || 'RESEND_API_KEY'} is not set`);
+  }
+  if (!from) {
+    throw new Error(`Channel "${definition.id}": needs "from" or SENDER_EMAIL`);
+  }
+
+  const resend = new Resend(apiKey);
+
+  const send = async (message, recipient) => {
+    // The SDK takes no abort signal, so give up on a hung call ourselves and
+    // leave the message in the outbox for the next attempt
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Resend API timed out after ${context.timeout}ms`)), context.timeout);
+    });
+    try {
+      const { error } = await Promise.race([
+        resend.emails.send({
+          from,
+          to: [recipient], // Send to individual recipient only
+          subject: message.subject,
+          html: message.html,
+          text: message.text
+        }),
+        timedOut
+      ]);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return { send };
+};
+
+module.exports = {
+  createResendNotifier
+};
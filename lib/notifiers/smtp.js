@@ -0,0 +1,59 @@
+/**
+ * SMTP email notifier
+ *
+ * Sends the rendered email through an SMTP server, typically a local relay.
+ * Credentials, when the relay needs them, are read from the environment.
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * @param {Object} definition - Channel definition
+ * @param {string} definition.id
+ * @param {string} [definition.host] - Defaults to localhost
+ * @param {number} [definition.port] - Defaults to 25
+ * @param {boolean} [definition.secure] - Use TLS from the start (port 465)
+ * @param {string} [definition.userEnv] - Env var holding the username
+ * @param {string} [definition.passwordEnv] - Env var holding the password
+ * @param {string} [definition.from] - Defaults to SENDER_EMAIL
+ * @param {{env:Object, senderEmail:string, timeout:number}} context
+ * @returns {{send:(message:Object, recipient:string) => Promise<void>}}
+ */
+const createSmtpNotifier = (definition, context) => {
+  const from = definition.from || context.senderEmail;
+  if (!from) {
+    throw new Error(`Channel "${definition.id}": needs "from" or SENDER_EMAIL`);
+  }
+
+  const user = definition.userEnv ? context.env[definition.userEnv] : undefined;
+  const pass = definition.passwordEnv ? context.env[definition.passwordEnv] : undefined;
+  if (definition.userEnv && !user) {
+    throw new Error(`Channel "${definition.id}": ${definition.userEnv} is not set`);
+  }
+
+  const transport = nodemailer.createTransport({
+    host: definition.host || 'localhost',
+    port: definition.port || 25,
+    secure: Boolean(definition.secure),
+    auth: user ? { user, pass } : undefined,
+    connectionTimeout: context.timeout,
+    greetingTimeout: context.timeout,
+    socketTimeout: context.timeout
+  });
+
+  const send = async (message, recipient) => {
+    await transport.sendMail({
+      from,
+      to: recipient,
+      subject: message.subject,
+      html: message.html,
+      text: message.text
+    });
+  };
+
+  return { send };
+};
+
+module.exports = {
+  createSmtpNotifier
+};
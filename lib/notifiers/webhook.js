@@ -0,0 +1,64 @@
+/**
+ * Generic JSON webhook notifier
+ *
+ * POSTs the matched publications as JSON. When a secret is configured the
+ * body is signed with HMAC-SHA256 so the receiver can verify it:
+ *
+ *   X-Ofgem-Watch-Signature: sha256=<hex hmac of the raw body>
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Computes the signature header value for a body
+ * @param {string} secret
+ * @param {string} body - Raw request body
+ * @returns {string}
+ */
+const sign = (secret, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * @param {Object} definition - Channel definition ({id, urlEnv, secretEnv?})
+ * @param {{env:Object, timeout:number}} context
+ * @returns {{send:(message:Object) => Promise<void>}}
+ */
+const createWebhookNotifier = (definition, context) => {
+  const url = context.env[definition.urlEnv];
+  if (!definition.urlEnv || !url) {
+    throw new Error(`Channel "${definition.id}": set "urlEnv" to an environment variable holding the webhook URL`);
+  }
+  const secret = definition.secretEnv ? context.env[definition.secretEnv] : undefined;
+  if (definition.secretEnv && !secret) {
+    throw new Error(`Channel "${definition.id}": ${definition.secretEnv} is not set`);
+  }
+
+  const send = async (message) => {
+    const body = JSON.stringify({
+      event: message.event,
+      heading: message.heading,
+      details: message.details || [],
+      sentAt: new Date().toISOString(),
+      publications: message.publications
+    });
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) headers['X-Ofgem-Watch-Signature'] = sign(secret, body);
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(context.timeout)
+    });
+    if (!response.ok) {
+      throw new Error(`webhook responded with status: ${response.status}`);
+    }
+  };
+
+  return { send };
+};
+
+module.exports = {
+  createWebhookNotifier,
+  sign
+};
@@ -0,0 +1,190 @@
+/**
+ * Notification outbox
+ *
+ * Every notification is written here before it is sent and stays pending
+ * until its channel confirms delivery. Failed sends are retried with
+ * exponential backoff on later polls, including after a restart; once an
+ * entry has used up its attempts it moves to the dead-letter list. The
+ * outcome of every attempt is kept in a short delivery history.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const OUTBOX_VERSION = 1;
+const HISTORY_LIMIT = 500;
+
+const emptyOutbox = () => ({ version: OUTBOX_VERSION, pending: [], deadLetters: [], history: [] });
+
+/**
+ * Loads the outbox file
+ * @param {string} filePath - Outbox file path
+ * @returns {{version:number, pending:Array<Object>, deadLetters:Array<Object>, history:Array<Object>}}
+ */
+const loadOutbox = (filePath) => {
+  if (!fs.existsSync(filePath)) return emptyOutbox();
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    ...emptyOutbox(),
+    pending: Array.isArray(data.pending) ? data.pending : [],
+    deadLetters: Array.isArray(data.deadLetters) ? data.deadLetters : [],
+    history: Array.isArray(data.history) ? data.history : []
+  };
+};
+
+/**
+ * Writes the outbox atomically (temp file + rename). Unlike the other state
+ * files a failed write throws: callers must not treat notifications as
+ * queued unless they are on disk.
+ * @param {string} filePath
+ * @param {Object} outbox
+ */
+const saveOutbox = (filePath, outbox) => {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(outbox, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Adds a notification to the pending list, due immediately
+ * @param {Object} outbox - Loaded outbox
+ * @param {{channel:string, recipient:string|null, message:Object, key?:string}} delivery
+ *   Channel id, recipient address (null for webhooks) and the rendered message. An
+ *   optional key makes the call idempotent while an entry with that key is still
+ *   pending or dead-lettered.
+ * @param {Date} [now]
+ * @returns {Object|null} The new entry, or null if the key is already queued
+ */
+const enqueue = (outbox, { channel, recipient, message, key }, now = new Date()) => {
+  if (key && [...outbox.pending, ...outbox.deadLetters].some(entry => entry.key === key)) {
+    return null;
+  }
+  const entry = {
+    id: crypto.randomUUID(),
+    key: key || null,
+    channel,
+    recipient,
+    message,
+    attempts: 0,
+    createdAt: now.toISOString(),
+    nextAttemptAt: now.toISOString(),
+    lastError: null
+  };
+  outbox.pending.push(entry);
+  return entry;
+};
+
+/**
+ * Pending entries whose next attempt is due, oldest first
+ * @param {Object} outbox
+ * @param {Date} [now]
+ * @returns {Array<Object>}
+ */
+const dueEntries = (outbox, now = new Date()) =>
+  outbox.pending.filter(entry => Date.parse(entry.nextAttemptAt) <= now.getTime());
+
+/**
+ * Delay before the next attempt: baseDelay doubled per failed attempt, capped at maxDelay
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @param {{baseDelay:number, maxDelay:number}} policy - Delays in ms
+ * @returns {number}
+ */
+const backoffDelay = (attempts, { baseDelay, maxDelay }) =>
+  Math.min(maxDelay, baseDelay * 2 ** Math.max(0, attempts - 1));
+
+/**
+ * Appends an attempt to the delivery history, newest last, dropping the oldest
+ * records beyond HISTORY_LIMIT. Only the message subject and event are kept.
+ * @param {Object} outbox
+ * @param {Object} entry - Outbox entry the attempt was for
+ * @param {'sent'|'retry'|'dead'} status
+ * @param {Date} now
+ */
+const recordHistory = (outbox, entry, status, now) => {
+  outbox.history.push({
+    id: entry.id,
+    channel: entry.channel,
+    recipient: entry.recipient,
+    event: entry.message?.event || null,
+    subject: entry.message?.subject || null,
+    status,
+    attempts: entry.attempts,
+    error: status === 'sent' ? null : entry.lastError,
+    at: now.toISOString()
+  });
+  if (outbox.history.length > HISTORY_LIMIT) {
+    outbox.history.splice(0, outbox.history.length - HISTORY_LIMIT);
+  }
+};
+
+/**
+ * Removes a delivered entry
+ * @param {Object} outbox
+ * @param {string} id
+ * @param {Date} [now]
+ */
+const markDelivered = (outbox, id, now = new Date()) => {
+  const entry = outbox.pending.find(e => e.id === id);
+  if (!entry) return;
+  outbox.pending = outbox.pending.filter(e => e.id !== id);
+  recordHistory(outbox, { ...entry, attempts: entry.attempts + 1 }, 'sent', now);
+};
+
+/**
+ * Records a failed attempt: schedules a retry, or moves the entry to the
+ * dead-letter list once it has used up its attempts
+ * @param {Object} outbox
+ * @param {string} id
+ * @param {string} error - Failure reason
+ * @param {{maxAttempts:number, baseDelay:number, maxDelay:number}} policy
+ * @param {Date} [now]
+ * @returns {'retry'|'dead'|null} null if the entry is not pending
+ */
+const markFailed = (outbox, id, error, policy, now = new Date()) => {
+  const entry = outbox.pending.find(e => e.id === id);
+  if (!entry) return null;
+
+  entry.attempts += 1;
+  entry.lastError = error;
+  entry.lastAttemptAt = now.toISOString();
+
+  if (entry.attempts >= policy.maxAttempts) {
+    outbox.pending = outbox.pending.filter(e => e.id !== id);
+    outbox.deadLetters.push({ ...entry, nextAttemptAt: null, deadAt: now.toISOString() });
+    recordHistory(outbox, entry, 'dead', now);
+    return 'dead';
+  }
+
+  entry.nextAttemptAt = new Date(now.getTime() + backoffDelay(entry.attempts, policy)).toISOString();
+  recordHistory(outbox, entry, 'retry', now);
+  return 'retry';
+};
+
+/**
+ * Moves every dead letter back to the pending list with a fresh attempt count
+ * @param {Object} outbox
+ * @param {Date} [now]
+ * @returns {number} Number of entries requeued
+ */
+const requeueDeadLetters = (outbox, now = new Date()) => {
+  const count = outbox.deadLetters.length;
+  for (const { deadAt, ...entry } of outbox.deadLetters) {
+    outbox.pending.push({ ...entry, attempts: 0, nextAttemptAt: now.toISOString() });
+  }
+  outbox.deadLetters = [];
+  return count;
+};
+
+module.exports = {
+  OUTBOX_VERSION,
+  HISTORY_LIMIT,
+  emptyOutbox,
+  loadOutbox,
+  saveOutbox,
+  enqueue,
+  dueEntries,
+  backoffDelay,
+  markDelivered,
+  markFailed,
+  requeueDeadLetters
+};
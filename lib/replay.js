@@ -0,0 +1,71 @@
+/**
+ * Rule replay
+ *
+ * Evaluates a proposed rule set against the publications already in the
+ * seen store and compares the outcome with the current rules, so keyword
+ * changes can be judged on history before they go live. Only stored fields
+ * are available (title, link, summary, type and attachment names): page body
+ * text is not kept, so rules that search `body` are judged on their other
+ * fields.
+ */
+
+const { evaluateRules } = require('./rules');
+
+/**
+ * @param {Object} state - Whole seen store
+ * @param {Array<Object>} currentRules - Compiled rules in use
+ * @param {Array<Object>} proposedRules - Compiled rules to try
+ * @param {{since?:number, sourceId?:string, classify?:(entry:Object) => Object}} [options] - Earliest
+ *   publication time (ms); one source only; re-classifies each entry, so rules filtering on kind,
+ *   topic or company see the current taxonomy and entity list
+ * @returns {{evaluated:number,
+ *   rules:Array<{name:string, current:number, proposed:number, gained:number, lost:number}>,
+ *   gained:Array<Object>, lost:Array<Object>, changed:Array<Object>}}
+ *   gained: publications only the proposed rules alert on; lost: only the current rules;
+ *   changed: both alert, but through different rules. Each is {source, entry, before, after}.
+ */
+const replayRules = (state, currentRules, proposedRules, { since, sourceId, classify } = {}) => {
+  const results = [];
+  for (const [source, ns] of Object.entries(state.sources)) {
+    if (sourceId && source !== sourceId) continue;
+    for (const entry of Object.values(ns.publications)) {
+      // Undated items count from when the watcher first saw them
+      const time = Date.parse(entry.isoDate || entry.firstSeen);
+      if (since !== undefined && !(time >= since)) continue;
+      const publication = classify ? { ...entry, ...classify(entry) } : entry;
+      results.push({
+        source,
+        entry,
+        before: evaluateRules(publication, currentRules),
+        after: evaluateRules(publication, proposedRules)
+      });
+    }
+  }
+  results.sort((a, b) => (Date.parse(b.entry.isoDate) || 0) - (Date.parse(a.entry.isoDate) || 0));
+
+  const names = [...new Set([...currentRules, ...proposedRules].map(rule => rule.name))];
+  const rules = names.map((name) => {
+    const current = results.filter(r => r.before.includes(name));
+    const proposed = results.filter(r => r.after.includes(name));
+    return {
+      name,
+      current: current.length,
+      proposed: proposed.length,
+      gained: proposed.filter(r => !r.before.includes(name)).length,
+      lost: current.filter(r => !r.after.includes(name)).length
+    };
+  });
+
+  const sameRules = (r) => r.before.length === r.after.length && r.before.every(name => r.after.includes(name));
+  return {
+    evaluated: results.length,
+    rules,
+    gained: results.filter(r => r.before.length === 0 && r.after.length > 0),
+    lost: results.filter(r => r.before.length > 0 && r.after.length === 0),
+    changed: results.filter(r => r.before.length > 0 && r.after.length > 0 && !sameRules(r))
+  };
+};
+
+module.exports = {
+  replayRules
+};
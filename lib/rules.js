@@ -0,0 +1,309 @@
+/**
+ * Watch rules
+ *
+ * Loads named keyword rules from a JSON or YAML file and evaluates them
+ * against parsed publications. Each rule can combine any/all terms with
+ * exclusions, choose substring, whole-word or regex matching, and restrict
+ * itself to a publication date range. Rules may also carry topic labels so
+ * subscribers can follow a whole topic rather than individual rules.
+ *
+ * Besides the listing's title and link path, rules can search the detail-page
+ * fields (summary, body, attachment names, publication type) once a
+ * publication has been enriched; findPassages() reports where a rule matched.
+ * A rule can also be limited to publication kinds, taxonomy topics and named
+ * companies (see classify.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { compileFilter, matchesFilter } = require('./classify');
+const { dayBound } = require('./time');
+
+const MATCH_MODES = ['substring', 'word', 'regex'];
+const FIELDS = ['title', 'path', 'summary', 'body', 'attachments', 'type'];
+const PASSAGE_RADIUS = 80;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds a locator for a single term according to the rule's match mode
+ * @param {string} term - Term as written in the rules file
+ * @param {string} mode - One of MATCH_MODES
+ * @param {boolean} caseSensitive - Whether case must match exactly
+ * @returns {(text:string) => {index:number, length:number}|null}
+ */
+const compileTerm = (term, mode, caseSensitive) => {
+  const flags = caseSensitive ? 'u' : 'iu';
+
+  if (mode === 'regex' || mode === 'word') {
+    const source = mode === 'regex'
+      ? term
+      : `(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`;
+    const pattern = new RegExp(source, flags);
+    return (text) => {
+      const match = pattern.exec(text);
+      return match ? { index: match.index, length: match[0].length } : null;
+    };
+  }
+
+  const needle = caseSensitive ? term : term.toLowerCase();
+  return (text) => {
+    const index = (caseSensitive ? text : text.toLowerCase()).indexOf(needle);
+    return index >= 0 ? { index, length: needle.length } : null;
+  };
+};
+
+const toTermList = (value, ruleName, key) => {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  for (const term of list) {
+    if (typeof term !== 'string' || term.trim() === '') {
+      throw new Error(`Rule "${ruleName}": "${key}" must contain non-empty strings`);
+    }
+  }
+  return list;
+};
+
+const parseDateBound = (value, ruleName, key) => {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value);
+  // A date-only bound is a London day; as dateTo it includes the whole of it
+  const time = dayBound(text, key === 'dateTo');
+  if (Number.isNaN(time)) {
+    throw new Error(`Rule "${ruleName}": "${key}" is not a valid date (${text})`);
+  }
+  return time;
+};
+
+/**
+ * Validates a rule definition and compiles its term matchers
+ * @param {Object} definition - Raw rule object from the rules file
+ * @returns {Object} Compiled rule
+ */
+const compileRule = (definition) => {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Each rule must be an object');
+  }
+
+  const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+  if (!name) throw new Error('Each rule needs a non-empty "name"');
+
+  const mode = definition.match || 'substring';
+  if (!MATCH_MODES.includes(mode)) {
+    throw new Error(`Rule "${name}": "match" must be one of ${MATCH_MODES.join(', ')}`);
+  }
+
+  const fields = definition.fields ? [].concat(definition.fields) : ['title'];
+  const unknownField = fields.find(field => !FIELDS.includes(field));
+  if (unknownField) {
+    throw new Error(`Rule "${name}": unknown field "${unknownField}" (expected ${FIELDS.join(', ')})`);
+  }
+
+  const caseSensitive = Boolean(definition.caseSensitive);
+  const compile = (key) => toTermList(definition[key], name, key).map((term) => {
+    try {
+      return { term, find: compileTerm(term, mode, caseSensitive) };
+    } catch (error) {
+      throw new Error(`Rule "${name}": invalid ${key} pattern "${term}" (${error.message})`);
+    }
+  });
+
+  const any = compile('any');
+  const all = compile('all');
+  const exclude = compile('exclude');
+  const dateFrom = parseDateBound(definition.dateFrom, name, 'dateFrom');
+  const dateTo = parseDateBound(definition.dateTo, name, 'dateTo');
+  const filter = compileFilter(definition, `Rule "${name}"`);
+
+  if (any.length === 0 && all.length === 0 && dateFrom === null && dateTo === null && !filter) {
+    throw new Error(`Rule "${name}": needs at least one of "any", "all", "dateFrom", "dateTo", "kinds", "tags" or "entities"`);
+  }
+  if (definition.template !== undefined && (typeof definition.template !== 'string' || definition.template.trim() === '')) {
+    throw new Error(`Rule "${name}": "template" must be a template name`);
+  }
+
+  return {
+    name,
+    description: definition.description || '',
+    topics: toTermList(definition.topics, name, 'topics'),
+    // Extra non-email channels (e.g. a Slack webhook) that receive this rule's matches
+    channels: toTermList(definition.channels, name, 'channels'),
+    // Message template for deliveries led by this rule (see templates.selectTemplate)
+    template: definition.template ? definition.template.trim() : null,
+    enabled: definition.enabled !== false,
+    mode,
+    caseSensitive,
+    fields,
+    any,
+    all,
+    exclude,
+    dateFrom,
+    dateTo,
+    // Publication kinds, taxonomy topics and companies the publication must have
+    filter
+  };
+};
+
+/**
+ * Parses and compiles a rules document
+ * @param {Object|Array} document - Parsed file contents ({ rules: [...] } or a bare array)
+ * @returns {Array<Object>} Compiled rules
+ */
+const compileRules = (document) => {
+  const definitions = Array.isArray(document) ? document : document?.rules;
+  if (!Array.isArray(definitions)) {
+    throw new Error('Rules file must contain a "rules" array');
+  }
+
+  const rules = definitions.map(compileRule);
+  const seen = new Set();
+  for (const rule of rules) {
+    if (seen.has(rule.name)) throw new Error(`Duplicate rule name "${rule.name}"`);
+    seen.add(rule.name);
+  }
+  return rules;
+};
+
+/**
+ * Loads watch rules from a JSON or YAML file
+ * @param {string} filePath - Path to the rules file
+ * @returns {Array<Object>} Compiled rules
+ */
+const loadRules = (filePath) => {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  const document = ext === '.yaml' || ext === '.yml' ? YAML.parse(raw) : JSON.parse(raw);
+  return compileRules(document);
+};
+
+/**
+ * Returns the text a rule should search for a given field
+ * @param {Object} publication - Parsed publication
+ * @param {string} field - Field name
+ * @returns {string}
+ */
+const fieldText = (publication, field) => {
+  if (field === 'path') {
+    try {
+      return decodeURIComponent(new URL(publication.link).pathname);
+    } catch {
+      return publication.link || '';
+    }
+  }
+  if (field === 'attachments') {
+    return (publication.attachments || []).map(a => a.name).join('\n');
+  }
+  return publication[field] || '';
+};
+
+/**
+ * Cuts a short excerpt around a match
+ * @param {string} text - Field text
+ * @param {{index:number, length:number}} hit - Match location
+ * @returns {string}
+ */
+const excerpt = (text, hit) => {
+  const start = Math.max(0, hit.index - PASSAGE_RADIUS);
+  const end = Math.min(text.length, hit.index + hit.length + PASSAGE_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Checks whether a single compiled rule matches a publication
+ * @param {Object} rule - Compiled rule
+ * @param {Object} publication - Parsed publication
+ * @returns {boolean}
+ */
+const matchRule = (rule, publication) => {
+  if (!rule.enabled) return false;
+
+  if (rule.dateFrom !== null || rule.dateTo !== null) {
+    const published = Date.parse(publication.isoDate);
+    if (Number.isNaN(published)) return false;
+    if (rule.dateFrom !== null && published < rule.dateFrom) return false;
+    if (rule.dateTo !== null && published > rule.dateTo) return false;
+  }
+  if (!matchesFilter(rule.filter, publication)) return false;
+
+  const texts = rule.fields.map(field => fieldText(publication, field));
+  const hits = (matcher) => texts.some(text => matcher.find(text) !== null);
+
+  if (rule.exclude.some(hits)) return false;
+  if (rule.all.length > 0 && !rule.all.every(hits)) return false;
+  if (rule.any.length > 0 && !rule.any.some(hits)) return false;
+
+  return true;
+};
+
+/**
+ * Evaluates every rule against a publication
+ * @param {Object} publication - Parsed publication
+ * @param {Array<Object>} rules - Compiled rules
+ * @returns {Array<string>} Names of the rules that fired
+ */
+const evaluateRules = (publication, rules) =>
+  rules.filter(rule => matchRule(rule, publication)).map(rule => rule.name);
+
+/**
+ * Reports where each matching rule fired, for display in notifications
+ * @param {Object} publication - Parsed (optionally enriched) publication
+ * @param {Array<Object>} rules - Compiled rules
+ * @returns {Array<{rule:string, field:string, term:string, passage:string}>}
+ */
+const findPassages = (publication, rules) => {
+  const passages = [];
+  for (const rule of rules) {
+    if (!matchRule(rule, publication)) continue;
+
+    let found = null;
+    for (const matcher of [...rule.all, ...rule.any]) {
+      for (const field of rule.fields) {
+        const text = fieldText(publication, field);
+        const hit = matcher.find(text);
+        if (hit) {
+          found = { rule: rule.name, field, term: matcher.term, passage: excerpt(text, hit) };
+          break;
+        }
+      }
+      if (found) break;
+    }
+    if (found) passages.push(found);
+  }
+  return passages;
+};
+
+/**
+ * Plain description of a compiled rule (terms instead of matchers), for display
+ * @param {Object} rule - Compiled rule
+ * @returns {Object}
+ */
+const describeRule = (rule) => ({
+  name: rule.name,
+  description: rule.description,
+  topics: rule.topics,
+  channels: rule.channels,
+  template: rule.template,
+  enabled: rule.enabled,
+  match: rule.mode,
+  caseSensitive: rule.caseSensitive,
+  fields: rule.fields,
+  any: rule.any.map(t => t.term),
+  all: rule.all.map(t => t.term),
+  exclude: rule.exclude.map(t => t.term),
+  dateFrom: rule.dateFrom === null ? null : new Date(rule.dateFrom).toISOString(),
+  dateTo: rule.dateTo === null ? null : new Date(rule.dateTo).toISOString(),
+  kinds: rule.filter?.kinds || [],
+  tags: rule.filter?.tags || [],
+  entities: rule.filter?.entities || []
+});
+
+module.exports = {
+  loadRules,
+  compileRules,
+  compileRule,
+  matchRule,
+  evaluateRules,
+  findPassages,
+  describeRule
+};
@@ -0,0 +1,202 @@
+/**
+ * Publishing calendar and poll scheduler
+ *
+ * Ofgem publishes on working days during office hours (London time). The
+ * calendar knows those hours, weekends and England and Wales bank holidays;
+ * the scheduler polls every poll interval while Ofgem is publishing, and
+ * otherwise every off-hours interval, waking in time for the next opening.
+ *
+ * Bank holidays come from GOV.UK's bank-holidays.json, cached in a local file
+ * and refreshed weekly, with a built-in list for when neither is available.
+ */
+
+const fs = require('fs');
+const time = require('./time');
+const log = require('./logger');
+const { createHttpClient } = require('./http-client');
+
+const DIVISION = 'england-and-wales';
+const DEFAULT_PUBLISHING_HOURS = '07:00-18:00';
+const REFRESH_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Used until GOV.UK's list has been fetched once
+const BUILT_IN_BANK_HOLIDAYS = [
+  '2025-01-01', '2025-04-18', '2025-04-21', '2025-05-05', '2025-05-26', '2025-08-25', '2025-12-25', '2025-12-26',
+  '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-04', '2026-05-25', '2026-08-31', '2026-12-25', '2026-12-28',
+  '2027-01-01', '2027-03-26', '2027-03-29', '2027-05-03', '2027-05-31', '2027-08-30', '2027-12-27', '2027-12-28'
+];
+
+/**
+ * Parses publishing hours such as "07:00-18:00"
+ * @param {string} text
+ * @returns {{start:number, end:number}} Minutes after midnight
+ * @throws {Error} When the text is not two times in order
+ */
+const parsePublishingHours = (text) => {
+  const match = String(text).trim().match(/^([01]\d|2[0-3]):([0-5]\d)\s*-\s*([01]\d|2[0-3]):([0-5]\d)$/);
+  if (!match) throw new Error(`must look like 07:00-18:00 (got ${JSON.stringify(text)})`);
+  const start = Number(match[1]) * 60 + Number(match[2]);
+  const end = Number(match[3]) * 60 + Number(match[4]);
+  if (start >= end) throw new Error(`must start before it ends (got ${JSON.stringify(text)})`);
+  return { start, end };
+};
+
+/**
+ * Bank holidays from the cache file, added to the built-in list
+ * @param {string|null} filePath - Cache written by refreshBankHolidays
+ * @returns {{dates:Array<string>, fetchedAt:string|null}} fetchedAt is null without a usable cache
+ */
+const loadBankHolidays = (filePath) => {
+  let cache = null;
+  try {
+    cache = filePath && fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+  } catch (error) {
+    log.warn('bank_holidays.cache_corrupted', 'Bank holiday cache corrupted, using the built-in list', { file: filePath });
+  }
+  const cached = Array.isArray(cache?.dates) ? cache.dates.filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date)) : [];
+  return {
+    dates: [...new Set([...BUILT_IN_BANK_HOLIDAYS, ...cached])].sort(),
+    fetchedAt: cached.length > 0 ? cache.fetchedAt || null : null
+  };
+};
+
+/**
+ * Fetches GOV.UK's bank holidays and writes them to the cache file
+ * @param {{file:string, url:string, timeout?:number, http?:Object}} options - http is the
+ *   shared client (lib/http-client.js)
+ * @returns {Promise<Array<string>>} The England and Wales dates
+ * @throws {Error} When the list cannot be fetched, read or saved
+ */
+const refreshBankHolidays = async ({ file, url, timeout = 10000, http = createHttpClient() }) => {
+  const response = await http.request(url, { headers: { 'Accept': 'application/json' }, timeout });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const events = JSON.parse(response.body)?.[DIVISION]?.events;
+  if (!Array.isArray(events) || events.length === 0) throw new Error(`no "${DIVISION}" events in the response`);
+
+  const dates = events.map(event => event.date).filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date)).sort();
+  const tempPath = `${file}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ fetchedAt: new Date().toISOString(), source: url, dates }, null, 2));
+  fs.renameSync(tempPath, file);
+  return dates;
+};
+
+/**
+ * Creates the publishing calendar
+ * @param {{publishingHours?:string, bankHolidays?:Array<string>}} [options] - publishingHours
+ *   is a London time range on working days
+ * @returns {Object} Calendar
+ */
+const createCalendar = ({ publishingHours = DEFAULT_PUBLISHING_HOURS, bankHolidays = BUILT_IN_BANK_HOLIDAYS } = {}) => {
+  const hours = parsePublishingHours(publishingHours);
+  const holidays = new Set(bankHolidays);
+
+  /**
+   * @param {string} day - YYYY-MM-DD
+   * @returns {boolean} A weekday that is not a bank holiday
+   */
+  const isWorkingDay = (day) => time.weekday(day) >= 1 && time.weekday(day) <= 5 && !holidays.has(day);
+
+  /**
+   * Whether Ofgem is publishing at an instant
+   * @param {Date} [now]
+   * @returns {boolean}
+   */
+  const isPublishingTime = (now = new Date()) => {
+    const { day, hour, minute } = time.londonParts(now);
+    const minutes = hour * 60 + minute;
+    return isWorkingDay(day) && minutes >= hours.start && minutes < hours.end;
+  };
+
+  /**
+   * When publishing next starts, at or after an instant
+   * @param {Date} [now]
+   * @returns {Date}
+   */
+  const nextPublishingStart = (now = new Date()) => {
+    let day = time.londonDay(now);
+    // Long enough to cross Christmas and a run of bank holidays
+    for (let i = 0; i < 14; i++, day = time.addDays(day, 1)) {
+      const start = time.londonTime(day, Math.floor(hours.start / 60), hours.start % 60);
+      if (isWorkingDay(day) && start >= now) return start;
+    }
+    return time.londonTime(day, Math.floor(hours.start / 60), hours.start % 60);
+  };
+
+  return {
+    isWorkingDay,
+    isPublishingDay: (now = new Date()) => isWorkingDay(time.londonDay(now)),
+    isPublishingTime,
+    nextPublishingStart,
+    bankHolidays: [...holidays].sort()
+  };
+};
+
+/**
+ * Time until the next poll: the poll interval while Ofgem is publishing,
+ * otherwise the off-hours interval, cut short when publishing starts sooner
+ * @param {Object} calendar - Output of createCalendar
+ * @param {{pollInterval:number, offHoursPollInterval:number}} intervals - ms
+ * @param {Date} [now]
+ * @returns {number} ms
+ */
+const nextPollDelay = (calendar, { pollInterval, offHoursPollInterval }, now = new Date()) => {
+  if (calendar.isPublishingTime(now)) return pollInterval;
+  const untilOpening = calendar.nextPublishingStart(now).getTime() - now.getTime();
+  return Math.max(1000, Math.min(offHoursPollInterval, untilOpening));
+};
+
+/**
+ * Runs a task now and then again after each delay nextDelay() gives, never
+ * overlapping: the next run is timed from the end of the previous one
+ * @param {{run:() => Promise<*>, nextDelay:(now:Date) => number, onScheduled?:(at:Date) => void}} options
+ * @returns {{start:() => void, stop:() => void, reschedule:() => void}} reschedule re-times
+ *   the pending run, e.g. after the intervals change
+ */
+const createScheduler = ({ run, nextDelay, onScheduled = () => {} }) => {
+  let timer = null;
+  let running = false;
+  let stopped = false;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    if (stopped || running) return;
+    const delay = nextDelay(new Date());
+    onScheduled(new Date(Date.now() + delay));
+    timer = setTimeout(tick, delay);
+  };
+  const tick = async () => {
+    running = true;
+    try {
+      await run();
+    } catch (error) {
+      log.error('schedule.poll_failed', 'Scheduled poll failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+    schedule();
+  };
+
+  return {
+    start: () => {
+      stopped = false;
+      tick();
+    },
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    },
+    reschedule: schedule
+  };
+};
+
+module.exports = {
+  DEFAULT_PUBLISHING_HOURS,
+  BUILT_IN_BANK_HOLIDAYS,
+  REFRESH_AFTER_MS,
+  parsePublishingHours,
+  loadBankHolidays,
+  refreshBankHolidays,
+  createCalendar,
+  nextPollDelay,
+  createScheduler
+};
@@ -0,0 +1,328 @@
+/**
+ * HTTP API and dashboard
+ *
+ * Serves what the watcher has captured: stored publications (searchable by
+ * keyword, date range, matched rule and source), the watch rules, the last
+ * poll result and the delivery history. JSON lives under /api, Atom/RSS/JSON
+ * feeds and the consultation calendar under /feeds, Prometheus metrics at
+ * /metrics; / is a small
+ * server-rendered HTML dashboard built from the same data. Everything is read
+ * through callbacks on each request, so responses always reflect the running
+ * watcher.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { slugify } = require('./feeds');
+const { openConsultations } = require('./consultations');
+const { formatLondon, dayBound } = require('./time');
+const { safeUrl } = require('./messages');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+/**
+ * Parses a from/to query bound. A date-only bound is a London day; as the
+ * upper bound it includes that whole day.
+ * @param {string|undefined} value
+ * @param {'from'|'to'} key
+ * @returns {number|null} ms since epoch
+ */
+const parseBound = (value, key) => {
+  if (!value) return null;
+  const time = dayBound(value, key === 'to');
+  if (Number.isNaN(time)) throw badRequest(`"${key}" is not a valid date (${value})`);
+  return time;
+};
+
+const parseCount = (value, key, fallback, max = Infinity) => {
+  if (value === undefined || value === '') return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) throw badRequest(`"${key}" must be a non-negative integer`);
+  return Math.min(count, max);
+};
+
+/**
+ * Searches the seen store, newest first
+ * @param {Object} state - Whole seen store
+ * @param {Object} [query]
+ * @param {string} [query.q] - Words that must all appear in the title, summary, type or attachment names
+ * @param {string} [query.from] - Earliest publication date (YYYY-MM-DD or ISO)
+ * @param {string} [query.to] - Latest publication date, inclusive
+ * @param {string} [query.rule] - Only items this watch rule matched
+ * @param {string} [query.source] - Only items from this source id
+ * @param {string|number} [query.limit] - Page size (default 50, max 500)
+ * @param {string|number} [query.offset]
+ * @returns {{total:number, offset:number, limit:number, items:Array<Object>}}
+ */
+const searchPublications = (state, query = {}) => {
+  const words = String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const from = parseBound(query.from, 'from');
+  const to = parseBound(query.to, 'to');
+  const limit = parseCount(query.limit, 'limit', DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = parseCount(query.offset, 'offset', 0);
+
+  const matches = [];
+  for (const [sourceId, ns] of Object.entries(state.sources)) {
+    if (query.source && query.source !== sourceId) continue;
+    for (const entry of Object.values(ns.publications)) {
+      if (query.rule && !(entry.matchedRules || []).includes(query.rule)) continue;
+
+      // Items without a parsed date fall back to when they were first seen
+      const time = Date.parse(entry.isoDate || entry.firstSeen);
+      if (from !== null && !(time >= from)) continue;
+      if (to !== null && !(time <= to)) continue;
+
+      if (words.length > 0) {
+        const haystack = [entry.title, entry.summary, entry.type, ...(entry.attachments || []).map(a => a.name)]
+          .filter(Boolean).join(' ').toLowerCase();
+        if (!words.every(word => haystack.includes(word))) continue;
+      }
+
+      matches.push({ ...entry, source: sourceId, time });
+    }
+  }
+
+  matches.sort((a, b) => (b.time || 0) - (a.time || 0));
+  return {
+    total: matches.length,
+    offset,
+    limit,
+    items: matches.slice(offset, offset + limit).map(({ time, ...entry }) => entry)
+  };
+};
+
+/**
+ * Outbox contents without rendered message bodies
+ * @param {Object} box - Loaded outbox
+ * @param {number} limit - History records to return, newest first
+ * @returns {{pending:Array<Object>, deadLetters:Array<Object>, history:Array<Object>}}
+ */
+const summariseDeliveries = (box, limit) => {
+  const summarise = ({ message, ...entry }) => ({ ...entry, event: message?.event || null, subject: message?.subject || null });
+  return {
+    pending: box.pending.map(summarise),
+    deadLetters: box.deadLetters.map(summarise),
+    history: box.history.slice(-limit).reverse()
+  };
+};
+
+const table = (headings, rows) => rows.length === 0
+  ? '<p class="muted">Nothing yet.</p>'
+  : `<table><thead><tr>${headings.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows.map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+const formatTime = (iso) => iso ? escapeHtml(formatLondon(iso)) : '—';
+
+/**
+ * Renders the dashboard page
+ * @param {Object} data
+ * @returns {string} HTML
+ */
+const renderDashboard = ({ query, results, rules, status, deliveries, sources, token }) => {
+  const option = (value, label, selected) =>
+    `<option value="${escapeHtml(value)}"${selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+  const lastPoll = status.lastPoll;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Ofgem Watch</title>
+  <style>
+    body { font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif; line-height:1.5; color:#2d3748; margin:0; background:#f7fafc; }
+    header { background:#2d3748; color:#fff; padding:16px 24px; }
+    header h1 { margin:0; font-size:20px; font-weight:600; }
+    main { max-width:1100px; margin:0 auto; padding:16px 24px; }
+    section { background:#fff; border:1px solid #e2e8f0; border-radius:8px; padding:16px; margin:16px 0; }
+    h2 { font-size:16px; margin:0 0 12px 0; }
+    table { width:100%; border-collapse:collapse; font-size:14px; }
+    th, td { text-align:left; padding:6px 8px; border-bottom:1px solid #e2e8f0; vertical-align:top; }
+    th { color:#4a5568; font-weight:600; }
+    form { display:flex; flex-wrap:wrap; gap:8px; align-items:end; }
+    label { display:flex; flex-direction:column; font-size:13px; color:#4a5568; }
+    input, select, button { font:inherit; padding:6px 8px; border:1px solid #cbd5e0; border-radius:6px; }
+    button { background:#2d3748; color:#fff; border:none; cursor:pointer; }
+    a { color:#2b6cb0; }
+    .muted { color:#718096; }
+    .failed { color:#c53030; }
+  </style>
+</head>
+<body>
+  <header><h1>Ofgem Watch</h1></header>
+  <main>
+    <section>
+      <h2>Last poll</h2>
+      ${lastPoll ? `
+        <p>${formatTime(lastPoll.finishedAt || lastPoll.startedAt)}:
+          ${lastPoll.ok ? `${lastPoll.matched} match(es), ${lastPoll.edited} edit(s)` : `<span class="failed">failed: ${escapeHtml(lastPoll.error)}</span>`}
+          <span class="muted">• ${status.publications} publications tracked • ${deliveries.pending.length} pending, ${deliveries.deadLetters.length} dead-lettered</span></p>
+        ${table(['Source', 'Parsed', 'Fetched', 'New', 'Matched', 'Edited', 'Result'], lastPoll.sources.map(s => [
+          escapeHtml(s.id),
+          s.items ? `${s.parsed}/${s.items}${s.fallback ? ' (fallback)' : ''}` : (s.fallback ? 'fallback' : '—'),
+          s.fetched ?? '—', s.new ?? '—', s.matched ?? '—', s.edited ?? '—',
+          s.error ? `<span class="failed">${escapeHtml(s.error)}</span>` : 'ok'
+        ]))}` : '<p class="muted">No poll has finished since the server started.</p>'}
+      ${(status.sourceProblems || []).map(problem =>
+        `<p class="failed">🚨 ${escapeHtml(problem.source)}: ${escapeHtml(problem.message)} (since ${formatTime(problem.since)})</p>`).join('')}
+    </section>
+
+    <section>
+      <h2>Publications</h2>
+      <form method="get" action="/">
+        ${token ? `<input type="hidden" name="token" value="${escapeHtml(token)}">` : ''}
+        <label>Keywords <input name="q" value="${escapeHtml(query.q)}"></label>
+        <label>From <input type="date" name="from" value="${escapeHtml(query.from)}"></label>
+        <label>To <input type="date" name="to" value="${escapeHtml(query.to)}"></label>
+        <label>Rule <select name="rule">${option('', 'Any', !query.rule)}${rules.map(r => option(r.name, r.name, query.rule === r.name)).join('')}</select></label>
+        ${sources.length > 1 ? `<label>Source <select name="source">${option('', 'Any', !query.source)}${sources.map(s => option(s.id, s.name, query.source === s.id)).join('')}</select></label>` : ''}
+        <button type="submit">Search</button>
+      </form>
+      <p class="muted">${results.total} publication(s)${results.total > results.items.length ? `, showing the newest ${results.items.length}` : ''}</p>
+      ${table(['Published', 'Title', 'Type', 'Matched rules', 'First seen'], results.items.map(p => [
+        escapeHtml(p.date),
+        `<a href="${escapeHtml(safeUrl(p.link))}" target="_blank">${escapeHtml(p.title)}</a>`,
+        escapeHtml(p.type || ''),
+        escapeHtml((p.matchedRules || []).join(', ')),
+        formatTime(p.firstSeen)
+      ]))}
+    </section>
+
+    <section>
+      <h2>Watch rules</h2>
+      <p class="muted">Feeds: <a href="/feeds/all.atom">Atom</a> • <a href="/feeds/all.rss">RSS</a> • <a href="/feeds/all.json">JSON</a> • <a href="/feeds/consultations.ics">consultation deadlines (.ics)</a></p>
+      ${table(['Name', 'Description', 'Terms', 'Fields', 'Enabled', 'Feed'], rules.map(r => [
+        escapeHtml(r.name),
+        escapeHtml(r.description),
+        escapeHtml([
+          r.any.length ? `any: ${r.any.join(', ')}` : '',
+          r.all.length ? `all: ${r.all.join(', ')}` : '',
+          r.exclude.length ? `exclude: ${r.exclude.join(', ')}` : ''
+        ].filter(Boolean).join('; ')),
+        escapeHtml(r.fields.join(', ')),
+        r.enabled ? 'yes' : 'no',
+        `<a href="/feeds/rules/${escapeHtml(slugify(r.name))}.atom">Atom</a>`
+      ]))}
+    </section>
+
+    <section>
+      <h2>Recent deliveries</h2>
+      ${table(['Time', 'Channel', 'Recipient', 'Subject', 'Result'], deliveries.history.map(d => [
+        formatTime(d.at),
+        escapeHtml(d.channel),
+        escapeHtml(d.recipient || '—'),
+        escapeHtml(d.subject),
+        d.status === 'sent' ? 'sent' : `<span class="failed">${escapeHtml(d.status)} (attempt ${d.attempts}): ${escapeHtml(d.error)}</span>`
+      ]))}
+    </section>
+  </main>
+</body>
+</html>`;
+};
+
+/**
+ * Checks a request's bearer token (or ?token=) in constant time
+ * @param {http.IncomingMessage} req
+ * @param {URL} url
+ * @param {string} token
+ * @returns {boolean}
+ */
+const isAuthorised = (req, url, token) => {
+  const header = req.headers.authorization || '';
+  const supplied = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token') || '';
+  const a = Buffer.from(supplied);
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Creates the HTTP server (not yet listening)
+ * @param {Object} options
+ * @param {() => Object} options.loadState - Returns the whole seen store
+ * @param {() => Array<Object>} options.getRules - Returns the compiled watch rules
+ * @param {() => Object} options.getStatus - Returns {lastPoll, publications, sourceProblems}
+ * @param {() => Object} options.loadOutbox - Returns the outbox
+ * @param {() => Array<{id:string, name:string}>} options.getSources - Returns the configured sources
+ * @param {(rule:Object) => Object} options.describeRule - Plain view of a compiled rule
+ * @param {(file:string) => {contentType:string, body:string}|undefined} options.getFeed
+ *   Feed document by relative path (e.g. "all.atom")
+ * @param {() => string} [options.getMetrics] - Metrics in the Prometheus text format
+ * @param {string} [options.token] - Require this bearer token on every request
+ * @returns {http.Server}
+ */
+const createServer = ({ loadState, getRules, getStatus, loadOutbox, getSources, describeRule, getFeed, getMetrics, token }) => {
+  const sendJson = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+  };
+
+  const routes = {
+    '/api/publications': (query) => searchPublications(loadState(), query),
+    '/api/rules': () => ({ rules: getRules().map(describeRule) }),
+    '/api/consultations': () => ({
+      consultations: openConsultations(loadState()).map(({ source, entry, daysLeft }) => ({ ...entry, source, daysLeft }))
+    }),
+    '/api/status': () => ({
+      ...getStatus(),
+      sources: getSources().map(({ id, name, type }) => ({ id, name, type }))
+    }),
+    '/api/deliveries': (query) => summariseDeliveries(loadOutbox(), parseCount(query.limit, 'limit', DEFAULT_LIMIT, MAX_LIMIT))
+  };
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+    if (token && !isAuthorised(req, url, token)) {
+      sendJson(res, 401, { error: 'Missing or invalid token' });
+      return;
+    }
+
+    try {
+      const feed = url.pathname.startsWith('/feeds/') ? getFeed(url.pathname.slice('/feeds/'.length)) : null;
+      if (routes[url.pathname]) {
+        sendJson(res, 200, routes[url.pathname](query));
+      } else if (url.pathname === '/metrics' && getMetrics) {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(getMetrics());
+      } else if (feed) {
+        res.writeHead(200, { 'Content-Type': feed.contentType });
+        res.end(feed.body);
+      } else if (url.pathname === '/') {
+        const html = renderDashboard({
+          query,
+          results: searchPublications(loadState(), { ...query, limit: query.limit || 100 }),
+          rules: getRules().map(describeRule),
+          status: getStatus(),
+          deliveries: summariseDeliveries(loadOutbox(), 20),
+          sources: getSources(),
+          token: url.searchParams.get('token') ? token : null
+        });
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(html);
+      } else {
+        sendJson(res, 404, { error: `No route for ${url.pathname}` });
+      }
+    } catch (error) {
+      sendJson(res, error.statusCode || 500, { error: error.message });
+    }
+  });
+};
+
+module.exports = {
+  createServer,
+  searchPublications
+};
@@ -0,0 +1,117 @@
+/**
+ * HTML page source
+ *
+ * Generic source for regulator and government news pages without an API
+ * (e.g. Elexon or DESNZ). Items are picked out of the page with CSS
+ * selectors given in the source definition.
+ */
+
+const cheerio = require('cheerio');
+const { parsePublishedDate } = require('../time');
+const { createHttpClient } = require('../http-client');
+const log = require('../logger');
+
+const collapse = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Creates an HTML page source
+ * @param {Object} definition - Source definition from config
+ * @param {string} definition.id
+ * @param {string} [definition.name]
+ * @param {string} definition.url - Page listing the publications, newest first
+ * @param {string} definition.itemSelector - Selector for each publication
+ * @param {string} [definition.titleSelector] - Within an item; defaults to the item's first link
+ * @param {string} [definition.linkSelector] - Within an item; defaults to "a[href]"
+ * @param {string} [definition.dateSelector] - Within an item; defaults to "time"
+ * @param {string} [definition.dateAttribute] - Attribute holding a machine-readable date; defaults to "datetime"
+ * @param {Object} context - Shared timings ({apiTimeout, maxRetries, rateLimitDelay}) and http client
+ * @returns {Object} Source
+ */
+const createHtmlPageSource = (definition, context) => {
+  if (!definition.url || !definition.itemSelector) {
+    throw new Error(`Source "${definition.id}": needs "url" and "itemSelector"`);
+  }
+  const linkSelector = definition.linkSelector || 'a[href]';
+  const dateSelector = definition.dateSelector || 'time';
+  const dateAttribute = definition.dateAttribute || 'datetime';
+  const http = context.http || createHttpClient({ userAgent: context.userAgent });
+  // Failures pause this source only, not the site's publication pages
+  const circuit = `${definition.id} listing`;
+  // Items matched vs. parsed on the latest fetchRecent, for the parse health check
+  let stats = { items: 0, parsed: 0 };
+
+  /**
+   * Extracts publications from the page HTML
+   * @param {string} html
+   * @returns {{publications:Array<{title:string,link:string,date:string,isoDate:string|null}>, items:number}}
+   *   items: elements matched by itemSelector, parsed or not
+   */
+  const parsePage = (html) => {
+    const $ = cheerio.load(html);
+    const publications = [];
+    const items = $(definition.itemSelector);
+
+    items.each((_, el) => {
+      const item = $(el);
+      const anchor = item.is('a[href]') ? item : item.find(linkSelector).first();
+      const href = anchor.attr('href');
+      const title = collapse(definition.titleSelector ? item.find(definition.titleSelector).first().text() : anchor.text());
+      if (!href || !title) return;
+
+      const dateEl = item.find(dateSelector).first();
+      const date = collapse(dateEl.text()) || 'Unknown';
+      const rawDate = dateEl.attr(dateAttribute) || (date !== 'Unknown' ? date : null);
+
+      publications.push({
+        title,
+        link: new URL(href, definition.url).toString(),
+        date,
+        isoDate: parsePublishedDate(rawDate)
+      });
+    });
+
+    return { publications, items: items.length };
+  };
+
+  const parse = (html) => parsePage(html).publications;
+
+  const fetchRecent = async () => {
+    try {
+      const response = await http.request(definition.url, {
+        headers: { 'Accept': 'text/html' },
+        timeout: context.apiTimeout,
+        retries: context.maxRetries,
+        retryDelay: context.rateLimitDelay,
+        circuit
+      });
+      if (!response.ok) throw new Error(`status ${response.status}`);
+      const { publications, items } = parsePage(response.body);
+      stats = { items, parsed: publications.length };
+      return publications;
+    } catch (error) {
+      stats = { items: 0, parsed: 0 };
+      log.warn('page.fetch_failed', 'Page fetch failed', { source: definition.id, url: definition.url, error: error.message });
+      return [];
+    }
+  };
+
+  // Single pages have no history beyond what they currently show
+  const fetchSince = async (since) =>
+    (await fetchRecent()).filter(p => p.isoDate && Date.parse(p.isoDate) >= since);
+
+  return {
+    id: definition.id,
+    name: definition.name || definition.id,
+    type: 'html-page',
+    parse,
+    fetchRecent,
+    fetchSince,
+    fallback: async () => [],
+    fetchStats: () => ({ ...stats }),
+    pausedUntil: () => http.pausedUntil(circuit)
+  };
+};
+
+module.exports = {
+  createHtmlPageSource
+};
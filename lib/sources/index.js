@@ -0,0 +1,88 @@
+/**
+ * Publication sources
+ *
+ * A source knows how to fetch, parse and fall back for one feed of
+ * publications. Sources are declared in config by `type`; each one keeps its
+ * seen publications in its own state namespace, named after its `id`.
+ *
+ * Every source exposes:
+ * - fetchRecent({ isKnown }) - newest publications, paging back until isKnown() is true
+ * - fetchSince(time)         - everything published since a timestamp (back-fill)
+ * - fallback()               - secondary fetch used when fetchRecent() returns nothing
+ * - parse(raw)               - turns one raw item/page into publication objects
+ * - fetchStats()             - {items, parsed} counted by the latest fetchRecent(), so the
+ *                              health check can tell an empty listing from one it failed to parse
+ * - pausedUntil()            - when the source's listing requests resume, while the HTTP client's
+ *                              circuit breaker has paused them (null otherwise)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { createOfgemListingSource } = require('./ofgem-listing');
+const { createHtmlPageSource } = require('./html-page');
+
+const SOURCE_TYPES = {
+  'ofgem-listing': createOfgemListingSource,
+  'html-page': createHtmlPageSource
+};
+
+/**
+ * Validates a source definition and builds the source
+ * @param {Object} definition - Raw definition from config
+ * @param {Object} context - Shared timings and clients passed to the factory
+ * @returns {Object} Source with its definition's `details` flag attached
+ */
+const createSource = (definition, context) => {
+  const id = typeof definition?.id === 'string' ? definition.id.trim() : '';
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+    throw new Error(`Source id ${JSON.stringify(definition?.id)} must be lower-case letters, digits and dashes`);
+  }
+
+  const factory = SOURCE_TYPES[definition.type];
+  if (!factory) {
+    throw new Error(`Source "${id}": unknown type "${definition.type}" (expected ${Object.keys(SOURCE_TYPES).join(', ')})`);
+  }
+
+  return {
+    ...factory({ ...definition, id }, context),
+    // Whether new items from this source get their detail page loaded
+    details: definition.details !== false
+  };
+};
+
+/**
+ * Loads source definitions from a JSON or YAML file, or uses the defaults
+ * @param {string} filePath - Optional sources file
+ * @param {Array<Object>} defaults - Definitions used when the file is absent
+ * @param {Object} context - Shared timings and clients
+ * @returns {Array<Object>} Sources
+ */
+const loadSources = (filePath, defaults, context) => {
+  let definitions = defaults;
+  if (filePath && fs.existsSync(filePath)) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    const document = ext === '.yaml' || ext === '.yml' ? YAML.parse(raw) : JSON.parse(raw);
+    definitions = Array.isArray(document) ? document : document?.sources;
+    if (!Array.isArray(definitions)) {
+      throw new Error('Sources file must contain a "sources" array');
+    }
+  }
+
+  const sources = definitions.filter(d => d.enabled !== false).map(d => createSource(d, context));
+  if (sources.length === 0) throw new Error('At least one source must be enabled');
+
+  const seen = new Set();
+  for (const source of sources) {
+    if (seen.has(source.id)) throw new Error(`Duplicate source id "${source.id}"`);
+    seen.add(source.id);
+  }
+  return sources;
+};
+
+module.exports = {
+  SOURCE_TYPES,
+  createSource,
+  loadSources
+};
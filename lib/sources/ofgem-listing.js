@@ -0,0 +1,314 @@
+/**
+ * Ofgem listing source
+ *
+ * Reads an Ofgem listing through its JSON API (`/api/listing/<id>`), whose
+ * items carry pre-rendered HTML markup, and falls back to scraping the
+ * matching search page in the shared browser pool (lib/browser.js) when the
+ * API is unavailable. Both return the same publication shape.
+ */
+
+const cheerio = require('cheerio');
+const { isToday, parsePublishedDate } = require('../time');
+const { createHttpClient } = require('../http-client');
+const log = require('../logger');
+
+const OFGEM_ORIGIN = 'https://www.ofgem.gov.uk';
+const DEFAULT_SEARCH_URL = `${OFGEM_ORIGIN}/search?sort=field_published&direction=desc`;
+
+// Tried in order; the first selector that yields a value wins. When Ofgem
+// changes its markup, add the new selector at the front of the list.
+const SELECTORS = {
+  title: ['h3 span span', 'h3 a', 'h3', 'h2', '[class*="title"]', 'a[href]'],
+  link: ['h3 a[href]', 'a[href]'],
+  date: ['time[datetime]', 'time']
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const collapse = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Builds the listing API URL for a listing id, newest first
+ * @param {number|string} listingId
+ * @returns {string}
+ */
+const listingApiUrl = (listingId) =>
+  `${OFGEM_ORIGIN}/api/listing/${listingId}?sort%5Bfield_published%5D%5Bpath%5D=field_published&sort%5Bfield_published%5D%5Bdirection%5D=desc`;
+
+/**
+ * Parses publication details from HTML markup
+ * @param {string} markup - HTML markup string (the API sometimes entity-encodes it)
+ * @param {string} [origin] - Site origin used to absolutise links
+ * @returns {Object|null} Publication object or null if parsing fails
+ */
+const parsePublicationFromMarkup = (markup, origin = OFGEM_ORIGIN) => {
+  try {
+    // Markup that arrives entity-encoded ("&lt;article&gt;...") is decoded first
+    const html = /</.test(markup) ? markup : cheerio.load(markup).text();
+    const $ = cheerio.load(html);
+    const first = (selectors, read) => {
+      for (const selector of selectors) {
+        const value = $(selector).toArray().map(el => read($(el))).find(Boolean);
+        if (value) return value;
+      }
+      return null;
+    };
+
+    const title = first(SELECTORS.title, el => collapse(el.text()));
+    const href = first(SELECTORS.link, el => el.attr('href'));
+    const link = href ? new URL(href, origin).toString() : null;
+
+    // Prefer the machine-readable datetime; otherwise try the visible date text
+    const time = first(SELECTORS.date, el => el);
+    const datetime = time?.attr('datetime')?.trim();
+    const date = collapse(time?.text()) || 'Unknown';
+    const isoDate = datetime || parsePublishedDate(date);
+
+    if (!title || !link) {
+      return null;
+    }
+
+    return { title, link, date, isoDate };
+
+  } catch (error) {
+    log.warn('listing.markup_failed', 'Failed to parse markup', { error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Creates an Ofgem listing source
+ * @param {Object} definition - Source definition from config
+ * @param {string} definition.id
+ * @param {string} [definition.name]
+ * @param {number|string} [definition.listingId] - Listing id, used when apiUrl is not given
+ * @param {string} [definition.apiUrl] - Full listing API URL
+ * @param {string|false} [definition.searchUrl] - Page scraped as a fallback; false disables it
+ * @param {boolean} [definition.waitForToday] - Retry the first page until today's items appear
+ *   (only while Ofgem is publishing)
+ * @param {Object} context - Shared timings ({apiTimeout, maxRetries, rateLimitDelay, maxPages,
+ *   maxBackfillPages, browserTimeout, selectorTimeout}), the shared http client (lib/http-client.js),
+ *   isPublishingTime(now) from the publishing calendar and the browserPool the fallback scrapes with
+ * @returns {Object} Source
+ */
+const createOfgemListingSource = (definition, context) => {
+  const apiUrl = definition.apiUrl ||
+    (definition.listingId !== undefined ? listingApiUrl(definition.listingId) : null);
+  if (!apiUrl) {
+    throw new Error(`Source "${definition.id}": needs "listingId" or "apiUrl"`);
+  }
+  const origin = new URL(apiUrl).origin;
+  const searchUrl = definition.searchUrl === undefined ? DEFAULT_SEARCH_URL : definition.searchUrl;
+  const waitForToday = definition.waitForToday !== false;
+  const http = context.http || createHttpClient({ userAgent: context.userAgent });
+  // Listing failures pause this source only, not the site's publication pages
+  const circuit = `${definition.id} listing`;
+  // Listing items returned vs. parsed by the latest fetchRecent, for the parse health check
+  let stats = { items: 0, parsed: 0 };
+
+  /**
+   * Builds the listing API URL for a page (zero-based, Drupal-style `page` param)
+   * @param {number} page
+   * @returns {string}
+   */
+  const listingPageUrl = (page) => {
+    if (page === 0) return apiUrl;
+    const url = new URL(apiUrl);
+    url.searchParams.set('page', String(page));
+    return url.toString();
+  };
+
+  /**
+   * Fetches and parses a single page of the listing API. The client retries
+   * failed requests and revalidates the page against its cached copy.
+   * @param {number} page - Zero-based page number
+   * @returns {Promise<{publications:Array<Object>, hasMore:boolean}>}
+   */
+  const fetchListingPage = async (page) => {
+    const response = await http.request(listingPageUrl(page), {
+      headers: { 'Accept': 'application/json' },
+      timeout: context.apiTimeout,
+      retries: context.maxRetries,
+      retryDelay: context.rateLimitDelay,
+      circuit
+    });
+    if (!response.ok) throw new Error(`status ${response.status}`);
+    const data = JSON.parse(response.body);
+    if (!data || !Array.isArray(data.items)) throw new Error('bad items');
+
+    const publications = [];
+    for (const item of data.items) {
+      if (!item?.markup) continue;
+      const parsed = parsePublicationFromMarkup(item.markup, origin);
+      if (parsed) publications.push(parsed);
+    }
+    stats.items += data.items.length;
+    stats.parsed += publications.length;
+    if (publications.length < data.items.length) {
+      log.warn('listing.unparsed', `Could not parse ${data.items.length - publications.length} of ${data.items.length} listing item(s) on page ${page + 1}`, {
+        source: definition.id, page: page + 1, items: data.items.length, unparsed: data.items.length - publications.length
+      });
+    }
+
+    // Use the pager when the API reports one, otherwise keep going until a page is empty
+    const totalPages = Number(data.pager?.total_pages ?? data.pager?.totalPages ?? data.total_pages);
+    const hasMore = data.items.length > 0 &&
+      (Number.isFinite(totalPages) ? page + 1 < totalPages : true);
+
+    return { publications, hasMore };
+  };
+
+  /**
+   * Fetches a listing page, logging a failure instead of throwing
+   * @param {number} page
+   * @returns {Promise<{publications:Array<Object>, hasMore:boolean}|null>} null when it failed
+   */
+  const tryListingPage = async (page) => {
+    try {
+      return await fetchListingPage(page);
+    } catch (e) {
+      log.warn('listing.page_failed', `Listing page ${page + 1} failed`, { source: definition.id, page: page + 1, error: e.message });
+      return null;
+    }
+  };
+
+  /**
+   * Follows the listing's pagination from an already-fetched first page until a
+   * page contains a known publication, the listing ends or maxPages is reached
+   * @param {{publications:Array<Object>, hasMore:boolean}} first - Page 0
+   * @param {(publication:Object) => boolean} isKnown - Whether an item is already in state
+   * @param {number} maxPages
+   * @returns {Promise<Array<Object>>}
+   */
+  const followPagination = async (first, isKnown, maxPages) => {
+    const pubs = [...first.publications];
+    const links = new Set(pubs.map(p => p.link));
+    let { hasMore } = first;
+    let page = 0;
+
+    while (hasMore && !pubs.some(isKnown) && page + 1 < maxPages) {
+      page++;
+      await delay(context.rateLimitDelay);
+      const next = await tryListingPage(page);
+      if (!next) break;
+
+      const fresh = next.publications.filter(p => !links.has(p.link));
+      // An API that ignores the page parameter keeps returning the first page
+      if (fresh.length === 0) break;
+      fresh.forEach(p => links.add(p.link));
+      pubs.push(...fresh);
+      hasMore = next.hasMore;
+    }
+
+    if (hasMore && !pubs.some(isKnown) && page + 1 >= maxPages) {
+      log.warn('listing.page_limit', `Stopped after ${maxPages} listing page(s) without reaching a known publication`, { source: definition.id, pages: maxPages });
+    } else if (page > 0) {
+      log.info('listing.paginated', `Followed listing pagination across ${page + 1} pages`, { source: definition.id, pages: page + 1 });
+    }
+    return pubs;
+  };
+
+  /**
+   * Fetch recent publications via API, asking again until today's date (London)
+   * appears, then follow pagination until a publication that is already in state
+   * is reached. Outside publishing hours, at weekends and on bank holidays
+   * nothing new is expected, so the first answer is taken.
+   * @param {{isKnown?:(publication:Object) => boolean, maxPages?:number}} [options]
+   *   Without isKnown only the first page is read
+   * @returns {Promise<Array<{title:string,link:string,date:string,isoDate:string}>>} Empty when
+   *   the listing could not be fetched
+   */
+  const fetchRecent = async ({ isKnown = () => true, maxPages = context.maxPages } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      stats = { items: 0, parsed: 0 };
+      const first = await tryListingPage(0);
+      if (!first) return [];
+      const hasToday = first.publications.some(p => isToday(p.isoDate));
+      const expectToday = waitForToday && (!context.isPublishingTime || context.isPublishingTime(new Date()));
+      if (!expectToday || hasToday || attempt >= context.maxRetries) {
+        return followPagination(first, isKnown, maxPages);
+      }
+      await delay(context.rateLimitDelay * (attempt + 1));
+    }
+  };
+
+  /**
+   * Walks the listing from the newest page back to a given date
+   * @param {number} since - Earliest publication time to include (ms since epoch)
+   * @returns {Promise<Array<Object>>} Publications dated on or after `since`, newest first
+   * @throws {Error} When a page cannot be fetched, rather than return part of the history
+   */
+  const fetchSince = async (since) => {
+    const pubs = [];
+    const links = new Set();
+
+    for (let page = 0; page < context.maxBackfillPages; page++) {
+      if (page > 0) await delay(context.rateLimitDelay);
+      let result;
+      try {
+        result = await fetchListingPage(page);
+      } catch (error) {
+        throw new Error(`listing page ${page + 1} of ${definition.id} failed: ${error.message}`);
+      }
+
+      const fresh = result.publications.filter(p => !links.has(p.link));
+      if (fresh.length === 0) break;
+      fresh.forEach(p => links.add(p.link));
+      pubs.push(...fresh);
+      log.info('listing.backfill_page', `Page ${page + 1}: ${fresh.length} publication(s), oldest ${fresh[fresh.length - 1].date}`, { source: definition.id, page: page + 1, publications: fresh.length });
+
+      const reachedSince = fresh.some(p => p.isoDate && Date.parse(p.isoDate) < since);
+      if (reachedSince || !result.hasMore) break;
+    }
+
+    return pubs.filter(p => p.isoDate && Date.parse(p.isoDate) >= since);
+  };
+
+  /**
+   * Scrapes every article on the search page (fallback), parsed with the same
+   * selectors as the API markup
+   * @returns {Promise<Array<{title:string,link:string,date:string,isoDate:string}>>} Newest first,
+   *   or an empty list if scraping failed
+   */
+  const fallback = async () => {
+    if (!searchUrl || !context.browserPool) return [];
+    log.info('scrape.started', 'Falling back to web scraping', { source: definition.id, url: searchUrl });
+
+    try {
+      const markups = await context.browserPool.withPage(async (page) => {
+        await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: context.browserTimeout });
+        await page.waitForSelector('article', { timeout: context.selectorTimeout });
+        return page.$$eval('article', articles => articles.map(article => article.outerHTML));
+      });
+
+      const links = new Set();
+      const publications = markups
+        .map(markup => parsePublicationFromMarkup(markup, new URL(searchUrl).origin))
+        .filter(p => p && !links.has(p.link) && links.add(p.link));
+      log.info('scrape.succeeded', `Scraped ${publications.length} of ${markups.length} article(s)`, {
+        source: definition.id, articles: markups.length, parsed: publications.length
+      });
+      return publications;
+    } catch (error) {
+      log.error('scrape.failed', 'Web scraping fallback failed', { source: definition.id, error: error.message });
+      return [];
+    }
+  };
+
+  return {
+    id: definition.id,
+    name: definition.name || definition.id,
+    type: 'ofgem-listing',
+    parse: (markup) => parsePublicationFromMarkup(markup, origin),
+    fetchRecent,
+    fetchSince,
+    fallback,
+    fetchStats: () => ({ ...stats }),
+    pausedUntil: () => http.pausedUntil(circuit)
+  };
+};
+
+module.exports = {
+  createOfgemListingSource,
+  parsePublicationFromMarkup,
+  listingApiUrl
+};
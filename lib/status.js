@@ -0,0 +1,87 @@
+/**
+ * Status report
+ *
+ * Summarises the watcher's files for the `status` command: what the store
+ * holds per source, when each source was last polled (from the health
+ * history) and how that went, what is waiting in the outbox and which source
+ * or delivery problems are open. It only reads files, so it works even when the rest of
+ * the configuration (rules, channels, recipients) does not load.
+ */
+
+const fs = require('fs');
+const store = require('./store');
+const { formatLondon } = require('./time');
+const outbox = require('./outbox');
+const health = require('./health');
+
+/**
+ * @param {Object} config - CONFIG (stateFile, outboxFile, healthStateFile, sources)
+ * @returns {{publications:number, sources:Array<Object>, outbox:{pending:number, deadLetters:number, lastSent:string|null},
+ *   problems:Array<Object>, lastHeartbeat:string|null, needsAttention:boolean}}
+ */
+const collectStatus = (config) => {
+  const data = fs.existsSync(config.stateFile) ? JSON.parse(fs.readFileSync(config.stateFile, 'utf8')) : null;
+  const state = store.migrateState(data, config.sources[0].id);
+  const history = health.loadHealth(config.healthStateFile);
+  const box = outbox.loadOutbox(config.outboxFile);
+
+  const ids = [...new Set([...Object.keys(state.sources), ...Object.keys(history.sources)])];
+  const sources = ids.map((id) => {
+    const entries = Object.values(state.sources[id]?.publications || {});
+    const newest = entries.reduce((latest, entry) =>
+      !latest || (Date.parse(entry.isoDate) || 0) > (Date.parse(latest.isoDate) || 0) ? entry : latest, null);
+    const samples = history.sources[id]?.samples || [];
+    return {
+      id,
+      publications: entries.length,
+      newest: newest ? { title: newest.title, date: newest.date, link: newest.link } : null,
+      lastPoll: samples.length > 0 ? samples[samples.length - 1] : null,
+      lastNewAt: history.sources[id]?.lastNewAt || null
+    };
+  });
+
+  const sent = box.history.filter(entry => entry.status === 'sent');
+  const problems = health.openProblems(history);
+  return {
+    publications: store.countPublications(state),
+    sources,
+    outbox: {
+      pending: box.pending.length,
+      deadLetters: box.deadLetters.length,
+      lastSent: sent.length > 0 ? sent[sent.length - 1].at : null
+    },
+    problems,
+    lastHeartbeat: history.heartbeat.lastSentAt,
+    needsAttention: problems.length > 0 || box.deadLetters.length > 0
+  };
+};
+
+/**
+ * Prints a status report
+ * @param {Object} status - Output of collectStatus
+ */
+const printStatus = (status) => {
+  console.log(`🗂️  ${status.publications} publication(s) tracked`);
+  for (const source of status.sources) {
+    console.log(`📡 ${source.id}: ${source.publications} publication(s)`);
+    if (source.newest) console.log(`   Newest: ${source.newest.date}: ${source.newest.title}`);
+    const poll = source.lastPoll;
+    console.log(poll
+      ? `   Last poll: ${formatLondon(poll.at)} (${poll.parsed} of ${poll.items} listing item(s) parsed${poll.fallback ? ', fallback used' : ''})`
+      : '   Last poll: none recorded');
+    if (source.lastNewAt) console.log(`   Last new item: ${formatLondon(source.lastNewAt)}`);
+  }
+  console.log(`📬 Outbox: ${status.outbox.pending} pending, ${status.outbox.deadLetters} dead letter(s)${status.outbox.lastSent ? `; last sent ${formatLondon(status.outbox.lastSent)}` : ''}`);
+  if (status.lastHeartbeat) console.log(`💓 Last heartbeat: ${formatLondon(status.lastHeartbeat)}`);
+  if (status.problems.length === 0) {
+    console.log('✅ No open problems');
+  }
+  for (const problem of status.problems) {
+    console.log(`🚨 [${problem.source}] ${problem.message} (since ${formatLondon(problem.since)})`);
+  }
+};
+
+module.exports = {
+  collectStatus,
+  printStatus
+};
@@ -0,0 +1,301 @@
+/**
+ * Seen-publication store
+ *
+ * Durable record of every publication the watcher has seen, keyed on the
+ * normalised URL path so retitled or reordered items are still recognised.
+ * Each entry keeps first-seen and last-seen timestamps, plus a fingerprint of
+ * the tracked fields so later edits to an already-seen item can be detected:
+ * its title and date from the listing, and once its page has been loaded, a
+ * hash of the page text and its list of documents.
+ *
+ * The file is split into one namespace per source (`sources[<id>]`); the
+ * per-publication helpers below all operate on a single namespace.
+ *
+ * The legacy state file held a single `{title, link, date, isoDate}` object;
+ * migrateState() upgrades it and remembers it as a baseline so the first poll
+ * after migration does not re-alert on everything older than it. Version 2
+ * files (one un-namespaced store) move into the given legacy source's namespace.
+ */
+
+const crypto = require('crypto');
+
+const STORE_VERSION = 3;
+
+// Fields whose changes count as an edit to a published item
+const TRACKED_FIELDS = ['title', 'isoDate', 'contentHash', 'documents'];
+
+/**
+ * Builds the stable identifier for a publication link
+ * @param {string} link - Absolute or site-relative publication URL
+ * @returns {string} Lower-cased URL path without trailing slash, query or hash
+ */
+const publicationKey = (link) => {
+  let pathname;
+  try {
+    pathname = new URL(link, 'https://www.ofgem.gov.uk').pathname;
+  } catch {
+    pathname = String(link || '');
+  }
+  try {
+    pathname = decodeURIComponent(pathname);
+  } catch {
+    // Keep the raw path if it contains malformed escapes
+  }
+  return pathname.toLowerCase().replace(/\/+$/, '') || '/';
+};
+
+const sha1 = (value) => crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+
+/**
+ * Hashes the text of a loaded publication page
+ * @param {{summary?:string, body?:string}} publication
+ * @returns {string}
+ */
+const contentHash = (publication) => sha1([publication.summary || '', publication.body || '']);
+
+// Attachments are compared by URL
+const documentUrls = (attachments) => Array.isArray(attachments) ? attachments.map(a => a.url).sort() : null;
+
+/**
+ * Hashes the tracked fields of a publication
+ * @param {Object} publication - Store entry, or the output of comparable()
+ * @returns {string}
+ */
+const fingerprint = (publication) => sha1(TRACKED_FIELDS.map(field => (field === 'documents'
+  ? documentUrls(publication.attachments)
+  : publication[field]) ?? null));
+
+/**
+ * A freshly fetched publication in the shape it is compared in. Without its
+ * page loaded this poll, the stored content stands in for the current one.
+ * @param {Object} publication - Listing item, with page details when they were loaded
+ * @param {Object} [previous] - Store entry
+ * @returns {Object}
+ */
+const comparable = (publication, previous = {}) => (publication.summary !== undefined
+  ? { ...publication, contentHash: contentHash(publication) }
+  : { ...publication, contentHash: previous.contentHash, attachments: previous.attachments });
+
+const emptyStore = () => ({ version: STORE_VERSION, sources: {} });
+
+const emptyNamespace = () => ({ publications: {} });
+
+/**
+ * Returns a source's namespace, creating it if needed
+ * @param {Object} state - Whole store
+ * @param {string} sourceId
+ * @returns {{publications:Object, legacyBaseline?:string}}
+ */
+const namespace = (state, sourceId) =>
+  state.sources[sourceId] || (state.sources[sourceId] = emptyNamespace());
+
+/**
+ * Upgrades whatever was read from the state file into the current store shape
+ * @param {Object|null} data - Parsed state file contents
+ * @param {string} legacySourceId - Namespace that receives pre-namespaced data
+ * @param {Date} [now]
+ * @returns {{version:number, sources:Object}}
+ */
+const migrateState = (data, legacySourceId, now = new Date()) => {
+  if (data && data.version === STORE_VERSION && data.sources) {
+    return data;
+  }
+
+  const state = emptyStore();
+  if (data && data.version === 2 && data.publications) {
+    state.sources[legacySourceId] = {
+      publications: data.publications,
+      ...(data.legacyBaseline ? { legacyBaseline: data.legacyBaseline } : {})
+    };
+    return state;
+  }
+
+  const store = namespace(state, legacySourceId);
+  if (data && data.link) {
+    const key = publicationKey(data.link);
+    const seenAt = now.toISOString();
+    store.publications[key] = {
+      key,
+      title: data.title,
+      link: data.link,
+      date: data.date,
+      isoDate: data.isoDate || null,
+      fingerprint: fingerprint({ title: data.title, isoDate: data.isoDate || null }),
+      firstSeen: seenAt,
+      lastSeen: seenAt
+    };
+    store.legacyBaseline = key;
+  }
+  return state;
+};
+
+/**
+ * @param {Object} store - Source namespace
+ * @param {Object} publication - Parsed publication
+ * @returns {boolean}
+ */
+const isSeen = (store, publication) => Boolean(store.publications[publicationKey(publication.link)]);
+
+/**
+ * Finds the publications in a listing that the store has not seen yet.
+ * Straight after a legacy migration, everything from the old single
+ * last-seen item downwards is treated as already seen.
+ * @param {Object} store - Source namespace
+ * @param {Array<Object>} publications - Listing, newest first
+ * @returns {Array<Object>}
+ */
+const findUnseen = (store, publications) => {
+  const baselineIndex = store.legacyBaseline
+    ? publications.findIndex(p => publicationKey(p.link) === store.legacyBaseline)
+    : -1;
+  const candidates = baselineIndex >= 0 ? publications.slice(0, baselineIndex) : publications;
+  return candidates.filter(p => !isSeen(store, p));
+};
+
+const documentNames = (attachments) => attachments.map(a => a.name).join('; ') || 'none';
+
+/**
+ * Lists the differences between a stored entry and its current version.
+ * Content is only compared when both sides come from a loaded page.
+ * @param {Object} previous - Store entry
+ * @param {Object} current - Output of comparable()
+ * @returns {Array<{field:string, before:string, after:string}>}
+ *   field is title, date, documents or content
+ */
+const diffPublication = (previous, current) => {
+  const changes = [];
+  if (current.title && current.title !== previous.title) {
+    changes.push({ field: 'title', before: previous.title, after: current.title });
+  }
+  // A missing date usually means a parse problem rather than an edit
+  if (current.isoDate && previous.isoDate && current.isoDate !== previous.isoDate) {
+    changes.push({ field: 'date', before: previous.date, after: current.date });
+  }
+  const before = documentUrls(previous.attachments);
+  const after = documentUrls(current.attachments);
+  if (before && after && before.join('\n') !== after.join('\n')) {
+    changes.push({ field: 'documents', before: documentNames(previous.attachments), after: documentNames(current.attachments) });
+  }
+  if (previous.contentHash && current.contentHash && previous.contentHash !== current.contentHash) {
+    // The summary shows what changed when it did; otherwise only the body text moved
+    const summaryChanged = (previous.summary || '') !== (current.summary || '');
+    changes.push({
+      field: 'content',
+      before: summaryChanged ? previous.summary || 'no summary' : 'earlier page text',
+      after: summaryChanged ? current.summary || 'no summary' : 'page text edited'
+    });
+  }
+  return changes;
+};
+
+/**
+ * Finds already-seen publications whose tracked fields have changed
+ * @param {Object} store - Source namespace
+ * @param {Array<Object>} publications - Current listing
+ * @returns {Array<{publication:Object, previous:Object, changes:Array<Object>}>}
+ */
+const findChanged = (store, publications) => {
+  const changed = [];
+  for (const publication of publications) {
+    const previous = store.publications[publicationKey(publication.link)];
+    if (!previous) continue;
+    const current = comparable(publication, previous);
+    if ((previous.fingerprint || fingerprint(previous)) === fingerprint(current)) continue;
+
+    const changes = diffPublication(previous, current);
+    if (changes.length > 0) changed.push({ publication, previous, changes });
+  }
+  return changed;
+};
+
+/**
+ * Records publications as seen, refreshing last-seen and current details.
+ * Edited items get `updatedAt` and their `changes`.
+ * @param {Object} store - Source namespace (mutated)
+ * @param {Array<Object>} publications - Publications to record
+ * @param {Date} [now]
+ * @returns {Object} The same store
+ */
+const recordPublications = (store, publications, now = new Date()) => {
+  const seenAt = now.toISOString();
+  for (const p of publications) {
+    const key = publicationKey(p.link);
+    const existing = store.publications[key];
+    const compared = comparable({ ...p, isoDate: p.isoDate || null }, existing);
+    const current = fingerprint(compared);
+    store.publications[key] = {
+      ...existing,
+      key,
+      title: p.title,
+      link: p.link,
+      date: p.date,
+      isoDate: p.isoDate || null,
+      fingerprint: current,
+      firstSeen: existing ? existing.firstSeen : seenAt,
+      lastSeen: seenAt
+    };
+    // Remember the latest edit so digests can report it
+    if (existing && (existing.fingerprint || fingerprint(existing)) !== current) {
+      const changes = diffPublication(existing, compared);
+      if (changes.length > 0) Object.assign(store.publications[key], { updatedAt: seenAt, changes });
+    }
+    // Items first recorded by a back-fill are history rather than news
+    if (!existing && p.backfilled) {
+      store.publications[key].backfilled = true;
+    }
+    if (Array.isArray(p.matchedRules)) {
+      store.publications[key].matchedRules = p.matchedRules;
+    }
+    // Detail-page metadata (body text is not stored, only its hash)
+    if (p.summary !== undefined) {
+      Object.assign(store.publications[key], {
+        summary: p.summary,
+        type: p.type,
+        closingDate: p.closingDate || null,
+        attachments: p.attachments,
+        contentHash: compared.contentHash
+      });
+    }
+    // When the page was last loaded (or tried), so content checks take turns
+    if (p.detailsCheckedAt) {
+      store.publications[key].detailsCheckedAt = p.detailsCheckedAt;
+    }
+    // Classification (see classify.js), so digests and feeds can filter and group by it
+    if (p.kind !== undefined) {
+      Object.assign(store.publications[key], {
+        kind: p.kind,
+        tags: p.tags,
+        suppliers: p.suppliers,
+        networks: p.networks
+      });
+    }
+  }
+  // The baseline is only needed until the first full listing has been recorded
+  delete store.legacyBaseline;
+  return store;
+};
+
+/**
+ * Total publications tracked across every source namespace
+ * @param {Object} state - Whole store
+ * @returns {number}
+ */
+const countPublications = (state) => Object.values(state.sources)
+  .reduce((total, ns) => total + Object.keys(ns.publications).length, 0);
+
+module.exports = {
+  STORE_VERSION,
+  publicationKey,
+  emptyStore,
+  namespace,
+  migrateState,
+  fingerprint,
+  contentHash,
+  comparable,
+  diffPublication,
+  isSeen,
+  findUnseen,
+  findChanged,
+  recordPublications,
+  countPublications
+};
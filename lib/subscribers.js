@@ -0,0 +1,179 @@
+/**
+ * Subscriber registry
+ *
+ * Maps each recipient to the watch rules or topics they follow and their
+ * delivery preferences (instant alerts or a daily/weekly digest,
+ * notification channels, message template and grouping). Subscribers can also
+ * narrow what they receive by publication kind, topic or named company
+ * (see classify.js). When no registry
+ * file exists, every address in NOTIFY_EMAILS is treated as an instant
+ * subscriber to all rules on the first email channel.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { CADENCES, WEEKDAYS, GROUP_BY } = require('./digest');
+const { compileFilter, matchesFilter } = require('./classify');
+
+const MODES = ['instant', ...CADENCES];
+const DIGEST_SCOPES = ['matched', 'all'];
+
+const toList = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+/**
+ * Validates a subscriber entry against the loaded watch rules and channels
+ * @param {Object} entry - Raw subscriber object
+ * @param {Array<Object>} rules - Compiled watch rules
+ * @param {Array<Object>} channels - Configured notification channels
+ * @returns {Object} Normalised subscriber
+ */
+const normaliseSubscriber = (entry, rules, channels) => {
+  const email = typeof entry?.email === 'string' ? entry.email.trim() : '';
+  if (!email || !email.includes('@')) {
+    throw new Error(`Subscriber has an invalid "email" (${JSON.stringify(entry?.email)})`);
+  }
+
+  const mode = entry.mode || 'instant';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Subscriber ${email}: "mode" must be one of ${MODES.join(', ')}`);
+  }
+
+  const ruleNames = new Set(rules.map(rule => rule.name));
+  const followed = toList(entry.rules);
+  const unknown = followed.find(name => name !== '*' && !ruleNames.has(name));
+  if (unknown) {
+    throw new Error(`Subscriber ${email}: unknown rule "${unknown}"`);
+  }
+
+  const channelIds = new Set(channels.map(channel => channel.id));
+  const defaultChannel = channels.find(channel => channel.isEmail);
+  const subscribed = entry.channels ? toList(entry.channels) : (defaultChannel ? [defaultChannel.id] : []);
+  const unknownChannel = subscribed.find(id => !channelIds.has(id));
+  if (unknownChannel) {
+    throw new Error(`Subscriber ${email}: unknown channel "${unknownChannel}"`);
+  }
+  if (subscribed.length === 0) {
+    throw new Error(`Subscriber ${email}: no notification channel (configure an email channel or set "channels")`);
+  }
+
+  const topics = toList(entry.topics);
+  const digestHour = entry.digestHour === undefined ? null : Number(entry.digestHour);
+  if (digestHour !== null && !(Number.isInteger(digestHour) && digestHour >= 0 && digestHour <= 23)) {
+    throw new Error(`Subscriber ${email}: "digestHour" must be an hour between 0 and 23`);
+  }
+  const digestDay = entry.digestDay === undefined ? null : String(entry.digestDay).toLowerCase();
+  if (digestDay !== null && !WEEKDAYS.includes(digestDay)) {
+    throw new Error(`Subscriber ${email}: "digestDay" must be a weekday name (e.g. "monday")`);
+  }
+  const digestScope = entry.digestScope || 'matched';
+  if (!DIGEST_SCOPES.includes(digestScope)) {
+    throw new Error(`Subscriber ${email}: "digestScope" must be one of ${DIGEST_SCOPES.join(', ')}`);
+  }
+  if (entry.template !== undefined && (typeof entry.template !== 'string' || entry.template.trim() === '')) {
+    throw new Error(`Subscriber ${email}: "template" must be a template name`);
+  }
+  if (entry.groupBy !== undefined && !GROUP_BY.includes(entry.groupBy)) {
+    throw new Error(`Subscriber ${email}: "groupBy" must be one of ${GROUP_BY.join(', ')}`);
+  }
+
+  return {
+    email,
+    name: entry.name || '',
+    // No explicit rules or topics means "everything"
+    rules: followed.length === 0 && topics.length === 0 ? ['*'] : followed,
+    topics,
+    mode,
+    digestHour,
+    digestDay,
+    digestScope,
+    channels: subscribed,
+    template: entry.template ? entry.template.trim() : null,
+    // Only publications of these kinds / topics / naming these companies
+    filter: compileFilter(entry, `Subscriber ${email}`),
+    // Sections in messages; unset means instant alerts are one list and digests go by rule
+    groupBy: entry.groupBy || null
+  };
+};
+
+/**
+ * Loads the subscriber registry, falling back to NOTIFY_EMAILS
+ * @param {string} filePath - Path to the JSON or YAML registry
+ * @param {Array<Object>} rules - Compiled watch rules
+ * @param {Array<string>} fallbackEmails - Addresses to use when the file is absent
+ * @param {Array<Object>} [channels] - Configured notification channels
+ * @returns {Array<Object>} Subscribers
+ */
+const loadSubscribers = (filePath, rules, fallbackEmails = [], channels = []) => {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return fallbackEmails.map(email => normaliseSubscriber({ email }, rules, channels));
+  }
+
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  const document = ext === '.yaml' || ext === '.yml' ? YAML.parse(raw) : JSON.parse(raw);
+  const entries = Array.isArray(document) ? document : document?.subscribers;
+  if (!Array.isArray(entries)) {
+    throw new Error('Subscribers file must contain a "subscribers" array');
+  }
+  return parseSubscribers(entries, rules, channels);
+};
+
+/**
+ * Validates subscriber entries (from a subscribers file or a config file section)
+ * @param {Array<Object>} entries - Raw subscriber entries
+ * @param {Array<Object>} rules - Compiled watch rules
+ * @param {Array<Object>} [channels] - Configured notification channels
+ * @returns {Array<Object>} Normalised subscribers
+ */
+const parseSubscribers = (entries, rules, channels = []) => {
+  const subscribers = entries.map(entry => normaliseSubscriber(entry, rules, channels));
+  const seen = new Set();
+  for (const subscriber of subscribers) {
+    const key = subscriber.email.toLowerCase();
+    if (seen.has(key)) throw new Error(`Duplicate subscriber "${subscriber.email}"`);
+    seen.add(key);
+  }
+  return subscribers;
+};
+
+/**
+ * Names of the rules a subscriber follows, directly or through a topic
+ * @param {Object} subscriber - Normalised subscriber
+ * @param {Array<Object>} rules - Compiled watch rules
+ * @returns {Set<string>}
+ */
+const followedRuleNames = (subscriber, rules) => new Set(
+  rules
+    .filter(rule => subscriber.rules.includes('*') ||
+      subscriber.rules.includes(rule.name) ||
+      rule.topics.some(topic => subscriber.topics.includes(topic)))
+    .map(rule => rule.name)
+);
+
+/**
+ * Narrows matched publications to those a subscriber follows and whose
+ * classification passes their filter. The returned items only list the
+ * subscriber's own rules in `matchedRules` and `passages`.
+ * @param {Object} subscriber - Normalised subscriber
+ * @param {Array<Object>} publications - Publications tagged with matchedRules
+ * @param {Array<Object>} rules - Compiled watch rules
+ * @returns {Array<Object>}
+ */
+const selectForSubscriber = (subscriber, publications, rules) => {
+  const followed = followedRuleNames(subscriber, rules);
+  return publications
+    .map(p => ({
+      ...p,
+      matchedRules: (p.matchedRules || []).filter(name => followed.has(name)),
+      passages: (p.passages || []).filter(passage => followed.has(passage.rule))
+    }))
+    .filter(p => p.matchedRules.length > 0 && matchesFilter(subscriber.filter, p));
+};
+
+module.exports = {
+  loadSubscribers,
+  parseSubscribers,
+  followedRuleNames,
+  selectForSubscriber
+};
@@ -0,0 +1,205 @@
+/**
+ * Message templates
+ *
+ * Publication alerts, edits, reminders and digests are rendered from
+ * Handlebars templates. A template is a directory holding any of
+ * subject.hbs, html.hbs and text.hbs; parts it leaves out come from the
+ * default template. The built-in templates live in templates/. A templates
+ * directory of your own (templatesDir) adds more, and its "default" and
+ * partials/*.hbs replace the built-in ones of the same name.
+ *
+ * HTML templates escape every {{value}}; subject and text templates are
+ * plain text and do not. Links are checked before they reach a template
+ * (see messages.js), so {{link}} is always an http(s) URL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+const BUILT_IN_DIR = path.join(__dirname, '..', 'templates');
+const DEFAULT_TEMPLATE = 'default';
+const PARTS = ['subject', 'html', 'text'];
+
+// Stands in for real publications in `preview` and when checking templates
+const SAMPLE_PUBLICATIONS = [
+  {
+    title: 'Decision on the default tariff cap level: 1 October to 31 December 2025',
+    link: 'https://www.ofgem.gov.uk/decision/decision-default-tariff-cap-level',
+    date: '27 August 2025',
+    isoDate: '2025-08-27T00:00:00.000Z',
+    type: 'Decision',
+    sourceName: 'Ofgem publications',
+    matchedRules: ['price-cap'],
+    kind: 'decision',
+    tags: ['Price cap'],
+    suppliers: [],
+    networks: [],
+    passages: [{ rule: 'price-cap', field: 'summary', passage: '…the level of the default tariff cap from 1 October…' }],
+    attachments: [{ name: 'Default tariff cap level decision', url: 'https://www.ofgem.gov.uk/sites/default/files/decision.pdf', format: 'PDF', size: '1.2 MB' }]
+  },
+  {
+    title: 'Consultation on standing charges & <domestic> customers',
+    link: 'https://www.ofgem.gov.uk/consultation/standing-charges',
+    date: '1 September 2025',
+    isoDate: '2025-09-01T00:00:00.000Z',
+    type: 'Consultation',
+    sourceName: 'Ofgem publications',
+    matchedRules: ['price-cap'],
+    kind: 'consultation',
+    tags: ['Standing charges'],
+    suppliers: ['British Gas', 'Octopus Energy'],
+    networks: [],
+    closingDate: '2025-10-13'
+  }
+];
+
+const HELPERS = {
+  // {{join list ", "}}
+  join: (list, separator) => (Array.isArray(list) ? list : []).join(typeof separator === 'string' ? separator : ', '),
+  // {{plural count "update"}} -> "update" or "updates"
+  plural: (count, singular, plural) => count === 1 ? singular : typeof plural === 'string' ? plural : `${singular}s`,
+  eq: (a, b) => a === b,
+  // {{#if (or tags.length companies.length)}}; the last argument is Handlebars' options
+  or: (...args) => args.slice(0, -1).some(Boolean)
+};
+
+/**
+ * Reads a templates directory
+ * @param {string} dir
+ * @returns {{templates:Object<string, Object<string, {file:string, source:string}>>, partials:Object<string, {file:string, source:string}>}}
+ *   templates maps each template name to its parts
+ */
+const readDirectory = (dir) => {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`${dir}: templates directory not found`);
+  }
+  const read = (file) => ({ file, source: fs.readFileSync(file, 'utf8') });
+  const templates = {};
+  const partials = {};
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isDirectory())) {
+    const files = fs.readdirSync(path.join(dir, entry.name)).filter(file => file.endsWith('.hbs'));
+    if (entry.name === 'partials') {
+      files.forEach(file => { partials[path.basename(file, '.hbs')] = read(path.join(dir, entry.name, file)); });
+      continue;
+    }
+    const parts = {};
+    for (const part of PARTS) {
+      if (files.includes(`${part}.hbs`)) parts[part] = read(path.join(dir, entry.name, `${part}.hbs`));
+    }
+    if (Object.keys(parts).length > 0) templates[entry.name] = parts;
+  }
+  return { templates, partials };
+};
+
+/**
+ * Loads and compiles the built-in templates plus those in dir
+ * @param {string|null} [dir] - Templates directory of your own
+ * @returns {{names:Array<string>, files:Array<string>, render:(name:string, context:Object) => {subject:string, html:string, text:string}}}
+ *   files lists every template file read from dir
+ * @throws {Error} When dir is missing or a template does not parse
+ */
+const loadTemplates = (dir = null) => {
+  const builtIn = readDirectory(BUILT_IN_DIR);
+  const own = dir ? readDirectory(dir) : { templates: {}, partials: {} };
+  const partials = { ...builtIn.partials, ...own.partials };
+  const fallback = { ...builtIn.templates[DEFAULT_TEMPLATE], ...own.templates[DEFAULT_TEMPLATE] };
+
+  // HTML and plain-text parts need separate environments: Handlebars compiles
+  // each partial once, with the escaping of whichever template used it first
+  const environments = {
+    html: Handlebars.create(),
+    text: Handlebars.create()
+  };
+  for (const [kind, env] of Object.entries(environments)) {
+    env.registerHelper(HELPERS);
+    for (const [name, { file, source }] of Object.entries(partials)) {
+      try {
+        env.precompile(source, { noEscape: kind === 'text' });
+      } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+      }
+      env.registerPartial(name, source);
+    }
+  }
+
+  const compiled = new Map();
+  const names = [...new Set([...Object.keys(builtIn.templates), ...Object.keys(own.templates)])].sort();
+  for (const name of names) {
+    const parts = { ...fallback, ...builtIn.templates[name], ...own.templates[name] };
+    compiled.set(name, Object.fromEntries(PARTS.map((part) => {
+      const { file, source } = parts[part];
+      const env = part === 'html' ? environments.html : environments.text;
+      const options = { noEscape: part !== 'html' };
+      try {
+        env.precompile(source, options);
+      } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+      }
+      return [part, env.compile(source, options)];
+    })));
+  }
+
+  const ownFiles = [
+    ...Object.values(own.templates).flatMap(parts => Object.values(parts)),
+    ...Object.values(own.partials)
+  ].map(({ file }) => file);
+
+  return {
+    names,
+    files: ownFiles,
+    render: (name, context) => {
+      const template = compiled.get(name);
+      if (!template) throw new Error(`Unknown template "${name}" (available: ${names.join(', ')})`);
+      return {
+        // A subject is one line; text keeps at most one blank line in a row
+        subject: template.subject(context).replace(/\s+/g, ' ').trim(),
+        html: template.html(context),
+        text: template.text(context).replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim()
+      };
+    }
+  };
+};
+
+/**
+ * Checks that every template named by a rule or subscriber exists
+ * @param {Array<Object>} rules - Compiled watch rules
+ * @param {Array<Object>} subscribers - Normalised subscribers
+ * @param {{names:Array<string>}} templates
+ * @throws {Error} On the first unknown template
+ */
+const validateTemplateNames = (rules, subscribers, templates) => {
+  const known = new Set(templates.names);
+  const available = `available: ${templates.names.join(', ')}`;
+  for (const rule of rules) {
+    if (rule.template && !known.has(rule.template)) throw new Error(`Rule "${rule.name}": unknown template "${rule.template}" (${available})`);
+  }
+  for (const subscriber of subscribers) {
+    if (subscriber.template && !known.has(subscriber.template)) throw new Error(`Subscriber ${subscriber.email}: unknown template "${subscriber.template}" (${available})`);
+  }
+};
+
+/**
+ * Picks the template for a delivery: the subscriber's own, then that of the
+ * first rule (in rules-file order) that matched one of the publications and
+ * names a template, then the default
+ * @param {Array<Object>} rules - Compiled watch rules
+ * @param {Array<Object>} publications - Publications tagged with matchedRules
+ * @param {Object} [subscriber] - Normalised subscriber, when the delivery is for one
+ * @returns {string}
+ */
+const selectTemplate = (rules, publications, subscriber = null) => {
+  if (subscriber?.template) return subscriber.template;
+  const matched = new Set(publications.flatMap(p => p.matchedRules || []));
+  return rules.find(rule => rule.template && matched.has(rule.name))?.template || DEFAULT_TEMPLATE;
+};
+
+module.exports = {
+  BUILT_IN_DIR,
+  DEFAULT_TEMPLATE,
+  SAMPLE_PUBLICATIONS,
+  loadTemplates,
+  validateTemplateNames,
+  selectTemplate
+};
@@ -0,0 +1,149 @@
+/**
+ * UK time
+ *
+ * Ofgem publishes on London time, so every calendar question ("is this
+ * today?", "when is 8 o'clock?", "how many days until it closes?") is
+ * answered in Europe/London whatever the machine's own time zone is. Days
+ * are handled as YYYY-MM-DD strings; instants as Dates.
+ */
+
+const TIME_ZONE = 'Europe/London';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const partsFormat = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * London wall-clock reading of an instant
+ * @param {Date|string|number} value
+ * @returns {{day:string, year:number, month:number, date:number, hour:number, minute:number}}
+ *   day is YYYY-MM-DD; month runs from 1
+ */
+const londonParts = (value) => {
+  const parts = Object.fromEntries(partsFormat.formatToParts(new Date(value)).map(part => [part.type, part.value]));
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    year: Number(parts.year),
+    month: Number(parts.month),
+    date: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute)
+  };
+};
+
+/**
+ * The London calendar day of an instant
+ * @param {Date|string|number} [value] - Defaults to now
+ * @returns {string} YYYY-MM-DD
+ */
+const londonDay = (value = new Date()) => londonParts(value).day;
+
+/**
+ * Whether an instant falls on today's London date
+ * @param {string|null} iso
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isToday = (iso, now = new Date()) =>
+  Boolean(iso) && !Number.isNaN(Date.parse(iso)) && londonDay(iso) === londonDay(now);
+
+/**
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} days - May be negative
+ * @returns {string} YYYY-MM-DD
+ */
+const addDays = (day, days) => new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * @param {string} day - YYYY-MM-DD
+ * @returns {number} 0 (Sunday) to 6
+ */
+const weekday = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+/**
+ * Whole days from one calendar day to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number}
+ */
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Minutes London is ahead of UTC at an instant (0 in winter, 60 in summer)
+const offsetAt = (instant) => {
+  const p = londonParts(instant);
+  return Math.round((Date.UTC(p.year, p.month - 1, p.date, p.hour, p.minute) - instant) / 60000);
+};
+
+/**
+ * The instant a London wall-clock time occurs
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} [hour]
+ * @param {number} [minute]
+ * @returns {Date}
+ */
+const londonTime = (day, hour = 0, minute = 0) => {
+  const wall = Date.parse(`${day}T00:00:00Z`) + (hour * 60 + minute) * 60000;
+  // Try the offset in force at the wall-clock reading, then check it still
+  // holds at the result (they differ only next to a clock change)
+  const guess = wall - offsetAt(wall) * 60000;
+  return new Date(wall - offsetAt(guess) * 60000);
+};
+
+/**
+ * Reads a date bound (a from/to filter, a rule window, --since). A bare
+ * YYYY-MM-DD covers that London day: it starts at London midnight, and as an
+ * upper bound includes the whole day.
+ * @param {string} text - YYYY-MM-DD, or anything Date.parse reads
+ * @param {boolean} [end] - Whether this is an upper bound
+ * @returns {number} ms since epoch; NaN when unreadable
+ */
+const dayBound = (text, end = false) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(text))) return Date.parse(text);
+  return end ? londonTime(addDays(text, 1)).getTime() - 1 : londonTime(text).getTime();
+};
+
+/**
+ * Reads a published date. Dates without a time ("19 September 2025") mean
+ * London midnight rather than midnight wherever this process runs.
+ * @param {string|null} text
+ * @returns {string|null} ISO timestamp
+ */
+const parsePublishedDate = (text) => {
+  const parsed = text ? Date.parse(text) : NaN;
+  if (Number.isNaN(parsed)) return null;
+  const trimmed = text.trim();
+  if (/\d:\d\d|T\d|Z$|[+-]\d\d:?\d\d$/.test(trimmed)) return new Date(parsed).toISOString();
+  // Date.parse reads "2025-12-03" as UTC but "3 December 2025" as local time
+  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) return londonTime(trimmed).toISOString();
+  const local = new Date(parsed);
+  const day = [local.getFullYear(), local.getMonth() + 1, local.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+  return londonTime(day).toISOString();
+};
+
+/**
+ * London date and time for logs and pages
+ * @param {Date|string|number} value
+ * @returns {string} e.g. "19/09/2025, 08:05:00"
+ */
+const formatLondon = (value) => new Date(value).toLocaleString('en-GB', { timeZone: TIME_ZONE });
+
+module.exports = {
+  TIME_ZONE,
+  londonParts,
+  londonDay,
+  isToday,
+  addDays,
+  weekday,
+  daysBetween,
+  londonTime,
+  dayBound,
+  parsePublishedDate,
+  formatLondon
+};
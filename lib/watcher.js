@@ -0,0 +1,1243 @@
+/**
+ * Watcher
+ *
+ * The poll cycle and everything it drives, independent of how the process
+ * was started: fetching each source, spotting new and edited publications,
+ * classifying them, evaluating watch rules, queueing notifications, digests, reminders,
+ * operator alerts and heartbeats, and delivering the outbox. Its progress is
+ * logged through lib/logger.js, tagged with each poll's id, and counted in
+ * lib/metrics.js; command reports (list, replay, dry-run previews) are printed. ofgem-poll.js loads the
+ * configuration and calls into it; tests build one against a temporary
+ * directory, a local listing server and fake channels.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('./logger');
+const { createMetrics, writeMetricsFile } = require('./metrics');
+const { createHttpClient } = require('./http-client');
+const { evaluateRules, findPassages, loadRules } = require('./rules');
+const { followedRuleNames, selectForSubscriber } = require('./subscribers');
+const digest = require('./digest');
+const store = require('./store');
+const { fetchPublicationDetails } = require('./details');
+const outbox = require('./outbox');
+const feeds = require('./feeds');
+const consultations = require('./consultations');
+const health = require('./health');
+const { buildBatchMessage, buildOperatorMessage, buildHeartbeatMessage, describeAlert } = require('./messages');
+const { replayRules } = require('./replay');
+const { selectTemplate, DEFAULT_TEMPLATE, SAMPLE_PUBLICATIONS } = require('./templates');
+const { createClassifier } = require('./classify');
+const { createCalendar } = require('./scheduler');
+const time = require('./time');
+
+/**
+ * Creates a watcher
+ * @param {Object} options
+ * @param {Object} options.config - CONFIG from ofgem-poll.js (file paths, timings, limits)
+ * @param {Array<Object>} options.watchRules - Compiled watch rules
+ * @param {Array<Object>} options.subscribers - Normalised subscribers
+ * @param {Array<Object>} options.channels - Notification channels ({id, isEmail, send})
+ * @param {Array<Object>} options.sources - Publication sources
+ * @param {Array<{channel:Object, recipient:string|null}>} [options.operatorTargets] - Where operator alerts go
+ * @param {Array<number>} options.reminderDays - Days before a consultation closes to remind
+ * @param {Object} [options.templates] - Message templates (default: the built-in ones)
+ * @param {Object} [options.classifier] - Publication classifier (default: kinds only, no topics or companies)
+ * @param {Object} [options.calendar] - Publishing calendar; its working days count towards quiet-period
+ *   alerts (default: the built-in hours and bank holidays)
+ * @param {Object} [options.metrics] - Where poll, fetch and send counts are recorded (default: a fresh set)
+ * @param {Object} [options.http] - Client for publication pages, shared with the sources (lib/http-client.js)
+ * @param {boolean} [options.dryRun] - Print notifications instead of sending them and write no
+ *   state, outbox, digest or health files (feeds are not written either)
+ * @param {string} [options.previewDir] - With dryRun, also write each notification's HTML and text here
+ * @returns {Object} Watcher
+ */
+const createWatcher = ({ config, watchRules, subscribers, channels, sources, operatorTargets = [], reminderDays, templates = null, classifier = createClassifier(), calendar = createCalendar(), metrics = createMetrics(), http = createHttpClient(), dryRun = false, previewDir = null }) => {
+  // Outcome of the most recent poll, shown by the HTTP server
+  let lastPoll = null;
+
+  // A reload that arrives mid-poll waits for the poll to finish, so no poll
+  // mixes two configurations
+  let polling = false;
+  let pendingConfiguration = null;
+  const applyConfiguration = (next) => {
+    ({ config, watchRules, subscribers, channels, sources, operatorTargets = [], reminderDays, templates = null, classifier = createClassifier(), calendar = createCalendar() } = next);
+  };
+
+  /**
+   * Adds kind, topic tags and named companies to a publication
+   * @param {Object} publication
+   * @returns {Object}
+   */
+  const classified = (publication) => ({ ...publication, ...classifier.classify(publication) });
+
+  /**
+   * Classifies a fetched listing. Listing items have no page type or summary
+   * of their own, so those recorded from an earlier detail-page visit are used.
+   * @param {Array<Object>} publications
+   * @param {Object} seenStore - The source's namespace
+   * @returns {Array<Object>}
+   */
+  const classifyListing = (publications, seenStore) => publications.map((p) => {
+    const stored = seenStore.publications[store.publicationKey(p.link)];
+    const { kind, tags, suppliers, networks } = classifier.classify({ ...p, type: p.type ?? stored?.type, summary: p.summary ?? stored?.summary });
+    return { ...p, kind, tags, suppliers, networks };
+  });
+
+  // A dry run queues into an in-memory outbox, which starts empty so only
+  // this run's notifications are previewed
+  let dryRunBox = null;
+  const loadOutbox = () => {
+    if (!dryRun) return outbox.loadOutbox(config.outboxFile);
+    dryRunBox = dryRunBox || outbox.emptyOutbox();
+    return dryRunBox;
+  };
+  const saveOutbox = (box) => {
+    if (!dryRun) outbox.saveOutbox(config.outboxFile, box);
+  };
+
+  // The state file holds the seen-publication store; older single-item files are migrated on load
+  const loadState = () => {
+    try {
+      const data = fs.existsSync(config.stateFile) 
+        ? JSON.parse(fs.readFileSync(config.stateFile, 'utf8')) 
+        : null;
+      if (data && data.version !== store.STORE_VERSION) {
+        log.info('state.migrated', 'Migrating state file to the seen-publication store', { file: config.stateFile });
+      }
+      return store.migrateState(data, config.sources[0].id);
+    } catch (error) {
+      log.warn('state.corrupted', 'State file corrupted, starting fresh', { file: config.stateFile });
+      return store.emptyStore();
+    }
+  };
+
+  const saveState = (data) => {
+    if (dryRun) return;
+    try {
+      fs.writeFileSync(config.stateFile, JSON.stringify(data, null, 2));
+    } catch (error) {
+      log.error('state.save_failed', 'Failed to save state', { file: config.stateFile, error: error.message });
+    }
+  };
+
+  /**
+   * Sync the local state file to the newest available publication without sending emails
+   * Used for CI/CD or pre-deploy to avoid triggering notifications on deploy
+   * @returns {Promise<number>} Exit code: 0 synced, 2 nothing could be fetched, 1 failed
+   */
+  const syncState = async () => {
+    try {
+      log.info('sync.started', 'Syncing state to the latest publications (no notifications)');
+      const state = loadState();
+      let synced = 0;
+      for (const source of sources) {
+        const publications = await source.fetchRecent();
+        if (!publications || publications.length === 0) {
+          log.warn('sync.empty', 'Could not fetch publications to sync state', { source: source.id });
+          continue;
+        }
+        const seenStore = store.namespace(state, source.id);
+        store.recordPublications(seenStore, classifyListing(publications, seenStore));
+        log.info('sync.synced', `State synced to: ${publications[0].title}`, { source: source.id, publications: publications.length });
+        synced++;
+      }
+      if (synced === 0) {
+        return 2;
+      }
+      saveState(state);
+      return 0;
+    } catch (e) {
+      log.error('sync.failed', 'State sync failed', { error: e.message });
+      return 1;
+    }
+  };
+
+  /**
+   * Renders a publication message with the configured templates and branding
+   * @param {Array<Object>} publications
+   * @param {Object} [options] - buildBatchMessage options (heading, event, template...)
+   * @returns {Object} Message
+   */
+  const renderMessage = (publications, options = {}) => buildBatchMessage(publications, {
+    showSource: sources.length > 1,
+    templates,
+    brand: { name: config.brandName, color: config.brandColor },
+    ...options
+  });
+
+  /**
+   * Renders each delivery and writes it to the outbox. Throws if the outbox
+   * cannot be saved, so callers never treat an unsaved notification as queued.
+   * @param {Array<{channel:Object, recipient:string|null, publications:Array<Object>, template?:string, groupBy?:string, key?:string}>} deliveries
+   *   An optional key stops the same delivery being queued twice (see outbox.enqueue); groupBy
+   *   splits the message into sections (see digest.groupDigestItems)
+   * @param {Object} [options] - Passed through to buildBatchMessage
+   * @returns {number} Number of notifications queued
+   */
+  const queueDeliveries = (deliveries, options = {}) => {
+    if (deliveries.length === 0) return 0;
+
+    // Deliveries with identical selections, templates and grouping share one rendered message
+    const rendered = new Map();
+    const render = (publications, template, groupBy) => {
+      const key = JSON.stringify([template, groupBy, publications.map(p => [p.link, p.matchedRules])]);
+      if (!rendered.has(key)) {
+        const sections = groupBy ? digest.groupDigestItems(publications, watchRules, groupBy) : options.sections;
+        rendered.set(key, renderMessage(publications, { ...options, template, sections }));
+      }
+      return rendered.get(key);
+    };
+
+    const box = loadOutbox();
+    let queued = 0;
+    for (const { channel, recipient, publications, template, groupBy, key } of deliveries) {
+      if (outbox.enqueue(box, { channel: channel.id, recipient, message: render(publications, template, groupBy), key })) queued++;
+    }
+    saveOutbox(box);
+    log.info('outbox.queued', `Queued ${queued} notification(s) in the outbox`, { queued, message: options.event || 'new' });
+    return queued;
+  };
+
+  const describeTarget = (entry) => entry.recipient ? `${entry.recipient} via ${entry.channel}` : entry.channel;
+
+  /**
+   * Logs a warning while the dead-letter list is not empty
+   * @param {Object} box - Loaded outbox
+   */
+  const reportDeadLetters = (box) => {
+    if (box.deadLetters.length === 0) return;
+    log.warn('outbox.dead_letters', `${box.deadLetters.length} notification(s) in the dead-letter list; run 'node ofgem-poll.js dead-letters' to review`, { deadLetters: box.deadLetters.length });
+  };
+
+  /**
+   * Queues a message for every operator target
+   * @param {Object} message
+   * @param {string} [key] - Stops the same message being queued twice (see outbox.enqueue)
+   */
+  const queueOperatorMessage = (message, key) => {
+    const box = loadOutbox();
+    for (const { channel, recipient } of operatorTargets) {
+      outbox.enqueue(box, { channel: channel.id, recipient, message, key: key && `${key}|${channel.id}|${recipient || ''}` });
+    }
+    saveOutbox(box);
+  };
+
+  /**
+   * Logs operator alerts and queues them for the operator channels
+   * @param {Array<Object>} alerts - Output of health.recordSample or health.recordDeliveries
+   */
+  const queueOperatorAlerts = (alerts) => {
+    if (alerts.length === 0) return;
+    for (const alert of alerts) {
+      (alert.status === 'resolved' ? log.info : log.error)('health.alert', describeAlert(alert), {
+        source: alert.source, condition: alert.condition, status: alert.status, since: alert.since
+      });
+    }
+    if (operatorTargets.length === 0) {
+      log.warn('health.no_recipients', 'No operator alert recipients configured (set OPERATOR_EMAILS or OPERATOR_CHANNELS)');
+      return;
+    }
+
+    queueOperatorMessage(buildOperatorMessage(alerts, Object.fromEntries(sources.map(source => [source.id, source.name]))));
+    log.info('outbox.queued', `Queued ${operatorTargets.length} operator alert(s) in the outbox`, { queued: operatorTargets.length, message: 'operator-alert' });
+  };
+
+  // CONFIG's alert settings over the built-in thresholds
+  const alertThresholds = () => ({
+    ...health.DEFAULT_THRESHOLDS,
+    fetchFailures: config.fetchFailureAlertAfter ?? health.DEFAULT_THRESHOLDS.fetchFailures,
+    quietDays: config.quietAlertDays ?? health.DEFAULT_THRESHOLDS.quietDays,
+    deliveryFailures: config.deliveryFailureAlertAfter ?? health.DEFAULT_THRESHOLDS.deliveryFailures
+  });
+
+  /**
+   * Loads the health history, lets a check update it, saves it and queues
+   * the alerts the check returns
+   * @param {(history:Object) => Array<Object>} check
+   */
+  const updateHealth = (check) => {
+    const history = health.loadHealth(config.healthStateFile);
+    const alerts = check(history);
+    if (!dryRun) health.saveHealth(config.healthStateFile, history);
+    try {
+      queueOperatorAlerts(alerts);
+    } catch (error) {
+      // A failed operator alert must not stop subscribers being notified
+      log.error('health.alert_queue_failed', 'Failed to queue operator alerts', { error: error.message });
+    }
+  };
+
+  /**
+   * Records each source's fetch statistics and alerts on fetch, parse,
+   * fallback and quiet-period problems
+   * @param {Array<{id:string, sample:Object}>} samples - One per source that was polled
+   */
+  const checkSourceHealth = (samples) => updateHealth((history) => {
+    const thresholds = alertThresholds();
+    return samples.flatMap(({ id, sample }) => health.recordSample(history, id, sample, thresholds, new Date(), calendar.isWorkingDay));
+  });
+
+  /**
+   * Counts a finished poll and queues the daily heartbeat when it is due
+   * @param {Object} poll - Poll record
+   */
+  const checkHeartbeat = (poll) => updateHealth((history) => {
+    health.recordPoll(history, poll);
+    if (!health.heartbeatDue(history, config.heartbeatHour)) return [];
+
+    const box = loadOutbox();
+    const message = buildHeartbeatMessage({
+      stats: history.stats,
+      tracked: store.countPublications(loadState()),
+      outbox: { pending: box.pending.length, deadLetters: box.deadLetters.length },
+      problems: health.openProblems(history),
+      sources: sources.map(source => ({ name: source.name, lastNewAt: history.sources[source.id]?.lastNewAt || null }))
+    });
+    log.info('health.heartbeat', message.heading, { ...history.stats, problems: health.openProblems(history).length });
+    try {
+      if (operatorTargets.length > 0) queueOperatorMessage(message, `heartbeat|${time.londonDay()}`);
+    } catch (error) {
+      // Keep the counts so the next poll tries again
+      log.error('health.heartbeat_failed', 'Failed to queue the heartbeat', { error: error.message });
+      return [];
+    }
+    health.resetStats(history);
+    return [];
+  });
+
+  /**
+   * Counts a round of sends and alerts when they keep failing
+   * @param {Array<{success:boolean, error?:string}>} results
+   */
+  const checkDeliveryHealth = (results) => updateHealth((history) => health.recordDeliveries(history, {
+    sent: results.filter(r => r.success).length,
+    failed: results.filter(r => !r.success).length,
+    lastError: results.filter(r => !r.success).at(-1)?.error
+  }, alertThresholds()));
+
+  /**
+   * Prints the notifications a dry run would have sent, and writes them to
+   * previewDir when one is set
+   * @param {Array<Object>} entries - Due outbox entries
+   */
+  const previewDeliveries = (entries) => {
+    if (previewDir) fs.mkdirSync(previewDir, { recursive: true });
+    entries.forEach((entry, index) => {
+      console.log(`\n🧪 Would send to ${describeTarget(entry)}: ${entry.message.subject}`);
+      console.log(entry.message.text.split('\n').map(line => `   ${line}`).join('\n'));
+      if (!previewDir) return;
+      const base = path.join(previewDir, `${index + 1}-${entry.channel}${entry.recipient ? `-${entry.recipient}` : ''}`.replace(/[^\w.@/-]+/g, '_'));
+      fs.writeFileSync(`${base}.html`, entry.message.html);
+      fs.writeFileSync(`${base}.txt`, entry.message.text);
+    });
+    console.log(`\n🧪 Dry run: ${entries.length} notification(s) would have been sent${previewDir && entries.length ? `; previews written to ${previewDir}` : ''}`);
+  };
+
+  /**
+   * Sends every due outbox entry through its channel. An entry only leaves the
+   * outbox once its channel confirms delivery; failures are retried with backoff
+   * on later polls and dead-lettered after config.deliveryRetry.maxAttempts.
+   */
+  const deliverOutbox = async () => {
+    if (dryRun) {
+      const box = loadOutbox();
+      previewDeliveries(outbox.dueEntries(box));
+      box.pending = [];
+      return;
+    }
+
+    let box;
+    try {
+      box = outbox.loadOutbox(config.outboxFile);
+    } catch (error) {
+      log.error('outbox.read_failed', 'Could not read the outbox', { file: config.outboxFile, error: error.message });
+      return;
+    }
+
+    const due = outbox.dueEntries(box);
+    const channelById = new Map(channels.map(channel => [channel.id, channel]));
+    if (due.length > 0) {
+      const results = await Promise.all(due.map(async (entry) => {
+        try {
+          const channel = channelById.get(entry.channel);
+          if (!channel) throw new Error(`channel "${entry.channel}" is no longer configured`);
+          await channel.send(entry.message, entry.recipient);
+          log.info('notification.sent', `Notification sent to ${describeTarget(entry)}`, { channel: entry.channel, recipient: entry.recipient, attempt: entry.attempts + 1 });
+          return { entry, success: true };
+        } catch (error) {
+          return { entry, success: false, error: error.message };
+        }
+      }));
+
+      for (const { entry, success, error } of results) {
+        metrics.notifications.inc({
+          channel: entry.channel,
+          type: channelById.get(entry.channel)?.type || 'unknown',
+          result: success ? 'sent' : 'failed'
+        });
+        if (success) {
+          outbox.markDelivered(box, entry.id);
+          continue;
+        }
+        const outcome = outbox.markFailed(box, entry.id, error, config.deliveryRetry);
+        if (outcome === 'dead') {
+          log.error('notification.dead', `Giving up on notification to ${describeTarget(entry)} after ${entry.attempts} attempts`, {
+            channel: entry.channel, recipient: entry.recipient, attempts: entry.attempts, error
+          });
+          metrics.deadLetters.inc({ channel: entry.channel });
+        } else {
+          log.warn('notification.failed', `Failed to send notification to ${describeTarget(entry)}`, {
+            channel: entry.channel, recipient: entry.recipient, attempt: entry.attempts, maxAttempts: config.deliveryRetry.maxAttempts, retryAt: entry.nextAttemptAt, error
+          });
+        }
+      }
+
+      try {
+        outbox.saveOutbox(config.outboxFile, box);
+      } catch (error) {
+        log.error('outbox.save_failed', 'Failed to save the outbox', { file: config.outboxFile, error: error.message });
+      }
+
+      const successful = results.filter(r => r.success).length;
+      log.info('delivery.summary', `Delivery summary: ${successful} sent successfully, ${results.length - successful} failed, ${box.pending.length} pending`, {
+        sent: successful, failed: results.length - successful, pending: box.pending.length
+      });
+      // After the outbox is saved, since a delivery alert is queued in it
+      checkDeliveryHealth(results);
+    }
+
+    metrics.outboxPending.set({}, box.pending.length);
+    reportDeadLetters(box);
+  };
+
+  /**
+   * Works out who receives what: each instant subscriber gets the publications
+   * matching their subscriptions on each of their channels, and rules with
+   * their own channels post their matches there. Deliveries are written to the outbox; deliverOutbox() sends them.
+   * @param {Array<Object>} matched - Publications tagged with matchedRules
+   * @param {Object} [options] - Passed through to buildBatchMessage; `allModes` also
+   *   sends to digest subscribers (for time-sensitive messages such as reminders)
+   */
+  const notifySubscribers = async (matched, options = {}) => {
+    // One delivery per channel and recipient; webhook channels have no recipient,
+    // so several subscribers or rules routing to the same webhook share one post
+    const deliveries = new Map();
+    const addDelivery = (channel, recipient, publications, template, groupBy = null) => {
+      const key = `${channel.id}|${recipient || ''}`;
+      // A shared webhook post uses the template and grouping of whoever reached it first
+      if (!deliveries.has(key)) deliveries.set(key, { channel, recipient, template, groupBy, byLink: new Map() });
+      const { byLink } = deliveries.get(key);
+      for (const p of publications) {
+        const current = byLink.get(p.link);
+        byLink.set(p.link, current ? {
+          ...current,
+          matchedRules: [...new Set([...current.matchedRules, ...p.matchedRules])],
+          passages: [...(current.passages || []), ...(p.passages || []).filter(m => !current.matchedRules.includes(m.rule))]
+        } : p);
+      }
+    };
+
+    const channelById = new Map(channels.map(channel => [channel.id, channel]));
+
+    // Digest subscribers pick their items up from the seen store instead
+    for (const subscriber of subscribers.filter(s => options.allModes || s.mode === 'instant')) {
+      const selection = selectForSubscriber(subscriber, matched, watchRules);
+      if (selection.length === 0) continue;
+
+      const template = selectTemplate(watchRules, selection, subscriber);
+      for (const id of subscriber.channels) {
+        const channel = channelById.get(id);
+        addDelivery(channel, channel.isEmail ? subscriber.email : null, selection, template, subscriber.groupBy);
+      }
+    }
+
+    // Rules can also route their matches to extra (webhook) channels
+    for (const rule of watchRules.filter(r => r.channels.length > 0)) {
+      const hits = matched
+        .filter(p => p.matchedRules.includes(rule.name))
+        .map(p => ({ ...p, matchedRules: [rule.name], passages: (p.passages || []).filter(m => m.rule === rule.name) }));
+      if (hits.length === 0) continue;
+      rule.channels.forEach(id => addDelivery(channelById.get(id), null, hits, rule.template || DEFAULT_TEMPLATE));
+    }
+
+    if (deliveries.size === 0) {
+      log.info('notify.nobody', 'No instant subscribers or rule channels follow the matched rules');
+      return;
+    }
+
+    queueDeliveries(
+      [...deliveries.values()].map(({ channel, recipient, template, groupBy, byLink }) => ({ channel, recipient, template, groupBy, publications: [...byLink.values()] })),
+      options
+    );
+  };
+
+  /**
+   * Queues a digest for every daily or weekly subscriber whose scheduled time
+   * has passed. A digest covers the items first seen (or edited) since the end
+   * of the subscriber's previous digest window, so every item lands in exactly
+   * one digest however often the process restarts.
+   */
+  const flushDigests = async () => {
+    const digestSubscribers = subscribers.filter(s => s.mode !== 'instant');
+    if (digestSubscribers.length === 0) return;
+
+    const cursors = digest.loadDigestState(config.digestStateFile);
+    const channelById = new Map(channels.map(channel => [channel.id, channel]));
+    const sourceNames = Object.fromEntries(sources.map(source => [source.id, source.name]));
+    let state = null;
+    let changed = false;
+
+    for (const subscriber of digestSubscribers) {
+      const schedule = {
+        cadence: subscriber.mode,
+        hour: subscriber.digestHour ?? config.dailyDigestHour,
+        weekday: digest.WEEKDAYS.indexOf(subscriber.digestDay || config.digestDay)
+      };
+      const window = digest.dueWindow(schedule, cursors[subscriber.email]?.lastWindowEnd);
+      if (!window) continue;
+
+      state = state || loadState();
+      const items = digest.collectDigestItems(state, window, {
+        followed: followedRuleNames(subscriber, watchRules),
+        scope: subscriber.digestScope,
+        filter: subscriber.filter,
+        classify: classifier.classify,
+        sourceNames
+      });
+
+      if (items.length > 0) {
+        const label = subscriber.mode === 'weekly' ? 'Weekly' : 'Daily';
+        log.info('digest.queued', `Sending ${label.toLowerCase()} digest (${items.length} item(s)) to ${subscriber.email}`, { subscriber: subscriber.email, cadence: subscriber.mode, items: items.length });
+        try {
+          queueDeliveries(subscriber.channels.map((id) => {
+            const channel = channelById.get(id);
+            return {
+              channel,
+              recipient: channel.isEmail ? subscriber.email : null,
+              publications: items,
+              template: selectTemplate(watchRules, items, subscriber),
+              groupBy: subscriber.groupBy || 'rule',
+              // Re-queueing after a crash before the cursor was saved is a no-op
+              key: `digest|${subscriber.email}|${window.to.toISOString()}|${channel.id}`
+            };
+          }), {
+            event: 'digest',
+            heading: `${label} Ofgem digest: ${items.length} update${items.length > 1 ? 's' : ''}`
+          });
+        } catch (error) {
+          // Leave the cursor alone so the next poll builds the same digest again
+          log.error('digest.queue_failed', `Could not queue digest for ${subscriber.email}`, { subscriber: subscriber.email, error: error.message });
+          continue;
+        }
+      }
+
+      cursors[subscriber.email] = { lastWindowEnd: window.to.toISOString() };
+      changed = true;
+    }
+
+    if (changed && !dryRun) {
+      try {
+        digest.saveDigestState(config.digestStateFile, cursors);
+      } catch (error) {
+        log.error('digest.state_save_failed', 'Failed to save digest state', { file: config.digestStateFile, error: error.message });
+      }
+    }
+  };
+
+  /**
+   * Loads detail pages for new publications so rules can match their content,
+   * and classifies them again with the page's type and summary. Items whose
+   * page cannot be loaded are kept with listing data only. Either way they are
+   * stamped with detailsCheckedAt.
+   * @param {Array<Object>} publications - New publications, or tracked ones due a content check
+   * @returns {Promise<Array<Object>>}
+   */
+  const enrichPublications = async (publications) => {
+    const enriched = [];
+    for (const publication of publications) {
+      const details = await fetchPublicationDetails(publication.link, { http, timeout: config.detailTimeout });
+      const detailsCheckedAt = new Date().toISOString();
+      enriched.push(details ? classified({ ...publication, ...details, detailsCheckedAt }) : { ...publication, detailsCheckedAt });
+    }
+    return enriched;
+  };
+
+  /**
+   * Tracked publications in a listing whose pages are due a reload, to spot
+   * added documents and edited text; least recently checked first
+   * @param {Object} seenStore - Source namespace
+   * @param {Array<Object>} publications - Fetched listing
+   * @param {number} limit - Pages left in this poll's budget
+   * @returns {Array<Object>}
+   */
+  const dueForContentCheck = (seenStore, publications, limit) => {
+    if (!config.contentCheckDays || limit <= 0) return [];
+    const now = Date.now();
+    const checkedAt = (p) => Date.parse(seenStore.publications[store.publicationKey(p.link)]?.detailsCheckedAt) || 0;
+    return publications
+      .filter(p => store.isSeen(seenStore, p) &&
+        now - Date.parse(p.isoDate) <= config.contentCheckDays * 24 * 60 * 60 * 1000 &&
+        now - checkedAt(p) >= config.contentCheckInterval)
+      .sort((a, b) => checkedAt(a) - checkedAt(b))
+      .slice(0, limit);
+  };
+
+  /**
+   * Evaluates watch rules against (enriched) publications
+   * @param {Array<Object>} publications
+   * @returns {Array<Object>} Matching publications tagged with matchedRules and passages,
+   *   without their page body
+   */
+  const tagMatches = (publications) => publications
+    .map(({ body, ...p }) => ({
+      ...p,
+      matchedRules: evaluateRules({ ...p, body }, watchRules),
+      passages: findPassages({ ...p, body }, watchRules)
+    }))
+    .filter(p => p.matchedRules.length > 0);
+
+  /**
+   * Merges enrichment and rule results back into a listing before it is recorded
+   * @param {Array<Object>} publications - Fetched listing
+   * @param {Array<Object>} evaluated - Publications whose details/rules were evaluated
+   * @param {Array<Object>} matched - Output of tagMatches
+   * @returns {Array<Object>}
+   */
+  const withEvaluation = (publications, evaluated, matched) => {
+    const evaluatedByLink = new Map(evaluated.map(p => [p.link, p]));
+    const matchedByLink = new Map(matched.map(p => [p.link, p.matchedRules]));
+    return publications.map(p => {
+      const current = evaluatedByLink.get(p.link);
+      if (!current) return p;
+      return { ...current, matchedRules: matchedByLink.get(p.link) || [] };
+    });
+  };
+
+  /**
+   * Sends a separate "updated publication" notification for tracked items that
+   * were edited in place and match a watch rule
+   * @param {Array<{publication:Object, previous:Object, changes:Array<Object>, matchedRules:Array<string>}>} edited
+   */
+  const notifyEditedPublications = async (edited) => {
+    if (edited.length === 0) return;
+
+    const relevant = edited
+      .map(({ publication: { body, ...publication }, changes, matchedRules }) => ({ ...publication, changes, matchedRules }))
+      .filter(p => p.matchedRules.length > 0);
+
+    log.info('publications.edited', `${edited.length} tracked publication(s) changed; ${relevant.length} match watch rules`, { edited: edited.length, relevant: relevant.length });
+    if (relevant.length === 0) return;
+
+    const heading = `${relevant.length} Ofgem publication${relevant.length > 1 ? 's' : ''} updated`;
+    await notifySubscribers(relevant, { event: 'updated', heading, subject: `📝 ${heading}` });
+  };
+
+  /**
+   * Queues reminders for matched consultations approaching their closing date
+   * and records them on the stored entries, which are saved with the state
+   * @param {Object} state - Whole seen store (mutated)
+   */
+  const queueConsultationReminders = async (state) => {
+    const due = consultations.dueReminders(state, reminderDays);
+    if (due.length === 0) return;
+
+    const sourceNames = Object.fromEntries(sources.map(source => [source.id, source.name]));
+    // One message per number of days left, so each has a single clear heading
+    for (const left of [...new Set(due.map(reminder => reminder.daysLeft))]) {
+      const batch = due.filter(reminder => reminder.daysLeft === left);
+      const count = `${batch.length} Ofgem consultation${batch.length > 1 ? 's' : ''}`;
+      const heading = left === 0 ? `${count} close${batch.length > 1 ? '' : 's'} today`
+        : `${count} close${batch.length > 1 ? '' : 's'} in ${left} day${left > 1 ? 's' : ''}`;
+
+      await notifySubscribers(
+        batch.map(({ source, entry }) => ({ ...entry, source, sourceName: sourceNames[source] || source })),
+        { event: 'reminder', heading, subject: `⏰ ${heading}`, allModes: true }
+      );
+      batch.forEach(reminder => consultations.markReminded(reminder.entry, reminder.covered));
+    }
+    log.info('reminders.queued', `Queued deadline reminders for ${due.length} consultation(s)`, { consultations: due.length });
+  };
+
+  /**
+   * Runs one fetch of a source, recording its duration and outcome
+   * @param {Object} source
+   * @param {string} method - "api" for the listing request, "scrape" for the browser fallback
+   * @param {() => Promise<Array<Object>|null>} fetch
+   * @returns {Promise<Array<Object>|null>}
+   */
+  const timedFetch = async (source, method, fetch) => {
+    const labels = { source: source.id, method };
+    const started = Date.now();
+    try {
+      const publications = await fetch();
+      metrics.fetches.inc({ ...labels, result: publications && publications.length > 0 ? 'ok' : 'empty' });
+      return publications;
+    } catch (error) {
+      metrics.fetches.inc({ ...labels, result: 'error' });
+      throw error;
+    } finally {
+      const seconds = (Date.now() - started) / 1000;
+      metrics.fetchDuration.observe(labels, seconds);
+      log.debug('source.fetched', `Fetched ${source.id} by ${method} in ${seconds}s`, { ...labels, seconds });
+    }
+  };
+
+  /**
+   * Polls one source: fetches its listing (falling back if that fails), finds
+   * edited and new items, evaluates rules and records the listing in the
+   * source's own namespace
+   * @param {Object} source
+   * @param {Object} state - Whole seen store (mutated)
+   * @returns {Promise<{matched:Array<Object>, edited:Array<Object>, fetched:number, unseen:number}>}
+   */
+  const pollSource = async (source, state) => {
+    // Skip the source while the HTTP client has paused its site, rather than scrape it instead
+    const pausedUntil = source.pausedUntil?.();
+    if (pausedUntil) {
+      log.warn('source.paused', `Requests are paused after repeated failures; skipping until ${time.formatLondon(pausedUntil)}`, { source: source.id, until: pausedUntil });
+      metrics.fetches.inc({ source: source.id, method: 'api', result: 'paused' });
+      return { matched: [], edited: [], fetched: 0, unseen: 0, sample: { items: 0, parsed: 0, fallback: false, error: `paused until ${pausedUntil}` } };
+    }
+
+    const seenStore = store.namespace(state, source.id);
+    const hasHistory = Object.keys(seenStore.publications).length > 0;
+
+    // Fetch multiple and ensure we include today's items if present; page back
+    // until something we have already seen (just the first page on a fresh store)
+    let publications = await timedFetch(source, 'api', () => source.fetchRecent({
+      isKnown: hasHistory ? (p) => store.isSeen(seenStore, p) : () => true
+    }));
+    // Raw vs. parsed item counts let the health check spot markup changes
+    const sample = { ...source.fetchStats(), fallback: false };
+    metrics.listingItems.inc({ source: source.id }, sample.items || 0);
+    metrics.parseFailures.inc({ source: source.id }, Math.max(0, (sample.items || 0) - (sample.parsed || 0)));
+    if ((!publications || publications.length === 0) && !source.pausedUntil?.()) {
+      sample.fallback = true;
+      publications = await timedFetch(source, 'scrape', () => source.fallback());
+    }
+
+    if (!publications || publications.length === 0) {
+      log.warn('source.empty', 'No publication data retrieved', { source: source.id });
+      return { matched: [], edited: [], fetched: 0, unseen: 0, sample };
+    }
+    publications = classifyListing(publications.map(p => ({ ...p, source: source.id, sourceName: source.name })), seenStore);
+
+    // Collect every fetched publication the store has not seen before
+    let unseen = store.findUnseen(seenStore, publications);
+    const fetched = publications.length;
+
+    // Past the page budget, new items are left unrecorded so a later poll loads
+    // their pages and evaluates them then, rather than on listing data alone
+    if (source.details && unseen.length > config.maxDetailFetches) {
+      const deferred = new Set(unseen.slice(config.maxDetailFetches).map(p => p.link));
+      log.info('details.deferred', `Loading pages for ${config.maxDetailFetches} of ${unseen.length} new publications; the rest wait for the next poll`, {
+        source: source.id, loaded: config.maxDetailFetches, deferred: deferred.size
+      });
+      unseen = unseen.slice(0, config.maxDetailFetches);
+      publications = publications.filter(p => !deferred.has(p.link));
+    }
+
+    // Pages left in the budget go to reloading recent tracked items, whose
+    // content is then compared below
+    const rechecks = source.details ? dueForContentCheck(seenStore, publications, config.maxDetailFetches - unseen.length) : [];
+    if (rechecks.length > 0) {
+      const reloaded = new Map((await enrichPublications(rechecks)).map(p => [p.link, p]));
+      publications = publications.map(p => reloaded.get(p.link) || p);
+    }
+
+    // Spot edits to publications we already track (title, date, documents or
+    // text). An edit is relevant if a watch rule matches either the old or the
+    // new version, or matched the item before (perhaps on page text the
+    // listing does not carry).
+    const edited = store.findChanged(seenStore, publications).map(e => ({
+      ...e,
+      matchedRules: [...new Set([
+        ...(e.previous.matchedRules || []),
+        ...evaluateRules(e.publication, watchRules),
+        ...evaluateRules({ ...e.publication, title: e.previous.title }, watchRules)
+      ])]
+    }));
+    // Keep the stored rule results current for edited items (digests read them)
+    const editedRules = new Map(edited.map(e => [e.publication.link, e.matchedRules]));
+    publications = publications.map(p => editedRules.has(p.link) ? { ...p, matchedRules: editedRules.get(p.link) } : p);
+
+    if (unseen.length === 0) {
+      // Still refresh last-seen timestamps for everything in the listing
+      store.recordPublications(seenStore, publications);
+      log.info('source.no_new', 'No new publications', { source: source.id, fetched });
+      return { matched: [], edited, fetched, unseen: 0, sample };
+    }
+
+    metrics.newPublications.inc({ source: source.id }, unseen.length);
+
+    // Load every unseen item's page, then tag it with the watch rules that fired.
+    // Earlier days' items count too: after downtime they are the ones we missed.
+    const enriched = source.details ? await enrichPublications(unseen) : unseen;
+    const matched = tagMatches(enriched);
+    if (matched.length === 0) {
+      log.info('rules.no_match', 'New items found but no watch rule matched', { source: source.id, unseen: unseen.length });
+    }
+    for (const p of matched) {
+      log.info('publication.matched', `Matched: ${p.title}`, { source: source.id, link: p.link, rules: p.matchedRules });
+      p.matchedRules.forEach(rule => metrics.ruleMatches.inc({ rule }));
+    }
+
+    // Record the whole fetched listing as seen, keeping detail-page metadata and rule results
+    store.recordPublications(seenStore, withEvaluation(publications, enriched, matched));
+    return { matched, edited, fetched, unseen: unseen.length, sample };
+  };
+
+  /**
+   * Writes the metrics textfile, when one is configured
+   */
+  const writeMetrics = () => {
+    if (!config.metricsFile || dryRun) return;
+    try {
+      writeMetricsFile(config.metricsFile, metrics);
+    } catch (error) {
+      log.error('metrics.write_failed', 'Failed to write the metrics file', { file: config.metricsFile, error: error.message });
+    }
+  };
+
+  /**
+   * Main polling function - checks every source for new publications. Every
+   * entry logged during the cycle carries its pollId.
+   * @returns {Promise<Object>} The poll record (also kept for getLastPoll)
+   */
+  const pollForUpdates = () => {
+    const pollId = crypto.randomBytes(4).toString('hex');
+    return log.withContext({ pollId }, () => runPoll(pollId));
+  };
+
+  const runPoll = async (pollId) => {
+    polling = true;
+    log.info('poll.started', 'Checking for updates', { sources: sources.length, dryRun });
+    const poll = { pollId, startedAt: new Date().toISOString(), finishedAt: null, ok: false, error: null, matched: 0, edited: 0, sources: [] };
+
+    try {
+      const state = loadState();
+      const matched = [];
+      const edited = [];
+      const samples = [];
+
+      for (const source of sources) {
+        try {
+          const result = await pollSource(source, state);
+          matched.push(...result.matched);
+          edited.push(...result.edited);
+          samples.push({ id: source.id, sample: { ...result.sample, fetched: result.fetched, unseen: result.unseen } });
+          poll.sources.push({ id: source.id, fetched: result.fetched, new: result.unseen, matched: result.matched.length, edited: result.edited.length, ...result.sample, error: result.sample.error || null });
+        } catch (error) {
+          log.error('source.failed', 'Polling failed', { source: source.id, error: error.message });
+          poll.sources.push({ id: source.id, error: error.message });
+          samples.push({ id: source.id, sample: { items: 0, parsed: 0, fallback: false, fetched: 0, unseen: 0, error: error.message } });
+        }
+      }
+      poll.matched = matched.length;
+      poll.edited = edited.length;
+
+      checkSourceHealth(samples);
+
+      await notifyEditedPublications(edited);
+
+      if (matched.length > 0) {
+        log.info('rules.matched', `${matched.length} publication(s) matched watch rules; notifying subscribers`, { matched: matched.length });
+        await notifySubscribers(matched);
+      }
+
+      await queueConsultationReminders(state);
+
+      saveState(state);
+
+      log.info('state.saved', dryRun
+        ? `Dry run: seen store not saved (${store.countPublications(state)} publications would be tracked)`
+        : `Seen store updated (${store.countPublications(state)} publications tracked)`, { tracked: store.countPublications(state), dryRun });
+      poll.ok = true;
+
+      if (config.feedDir && !dryRun) {
+        try {
+          feeds.writeFeeds(config.feedDir, buildFeeds(state));
+          log.info('feeds.written', `Feeds written to ${config.feedDir}`, { dir: config.feedDir });
+        } catch (error) {
+          log.error('feeds.write_failed', 'Failed to write feeds', { dir: config.feedDir, error: error.message });
+        }
+      }
+    } catch (error) {
+      log.error('poll.failed', 'Polling cycle failed', { error: error.message });
+      poll.error = error.message;
+    } finally {
+      poll.finishedAt = new Date().toISOString();
+      lastPoll = poll;
+      metrics.polls.inc({ result: poll.ok ? 'ok' : 'failed' });
+      metrics.lastPoll.set({}, Date.parse(poll.finishedAt) / 1000);
+      log.info('poll.finished', poll.ok ? 'Poll finished' : 'Poll failed', {
+        ok: poll.ok, durationMs: Date.parse(poll.finishedAt) - Date.parse(poll.startedAt), matched: poll.matched, edited: poll.edited
+      });
+      checkHeartbeat(poll);
+      await flushDigests();
+      await deliverOutbox();
+      http.save();
+      writeMetrics();
+      polling = false;
+      if (pendingConfiguration) {
+        applyConfiguration(pendingConfiguration);
+        pendingConfiguration = null;
+      }
+    }
+    return poll;
+  };
+
+  /**
+   * Walks history back to a date, records everything into the seen store and
+   * re-evaluates it against the current watch rules
+   * @param {{since:string, notify:boolean, details:boolean, sourceId?:string}} options
+   *   since is YYYY-MM-DD; notify sends matches to subscribers; details loads every page;
+   *   sourceId limits the back-fill to one source
+   * @returns {Promise<number>} Exit code: 0 done, 2 nothing found, 1 bad options or failure
+   */
+  const runBackfill = async ({ since, notify, details, sourceId }) => {
+    try {
+      const sinceTime = /^\d{4}-\d{2}-\d{2}$/.test(since || '') ? time.dayBound(since) : NaN;
+      if (Number.isNaN(sinceTime)) {
+        console.error('❌ Back-fill needs --since YYYY-MM-DD');
+        return 1;
+      }
+
+      const selected = sourceId ? sources.filter(source => source.id === sourceId) : sources;
+      if (selected.length === 0) {
+        console.error(`❌ Unknown source "${sourceId}" (available: ${sources.map(source => source.id).join(', ')})`);
+        return 1;
+      }
+
+      log.info('backfill.started', `Back-filling publications since ${since}${notify ? ' (with notifications)' : ''}`, { since, notify, details });
+      const state = loadState();
+      const matched = [];
+      let found = 0;
+
+      for (const source of selected) {
+        const seenStore = store.namespace(state, source.id);
+        const publications = classifyListing((await source.fetchSince(sinceTime))
+          .map(p => ({ ...p, source: source.id, sourceName: source.name, backfilled: true })), seenStore);
+        if (publications.length === 0) {
+          log.warn('backfill.empty', 'No publications found for the back-fill period', { source: source.id });
+          continue;
+        }
+        found += publications.length;
+
+        const newCount = publications.filter(p => !store.isSeen(seenStore, p)).length;
+        const evaluated = details && source.details ? await enrichPublications(publications) : publications;
+        const sourceMatched = tagMatches(evaluated);
+        matched.push(...sourceMatched);
+
+        log.info('backfill.fetched', `${publications.length} publication(s) since ${since}, ${newCount} not previously seen`, { source: source.id, publications: publications.length, unseen: newCount });
+        for (const rule of watchRules) {
+          const hits = sourceMatched.filter(p => p.matchedRules.includes(rule.name));
+          console.log(`   🎯 ${rule.name}: ${hits.length} match(es)`);
+          hits.forEach(p => console.log(`      - ${p.date}: ${p.title}`));
+        }
+
+        store.recordPublications(seenStore, withEvaluation(publications, evaluated, sourceMatched));
+      }
+
+      if (found === 0) {
+        log.warn('backfill.empty', 'No publications found for the back-fill period');
+        return 2;
+      }
+
+      if (notify && matched.length > 0) {
+        await notifySubscribers(matched, {
+          event: 'backfill',
+          heading: `Back-fill: ${matched.length} matching Ofgem publication${matched.length > 1 ? 's' : ''} since ${since}`
+        });
+      }
+
+      saveState(state);
+      await deliverOutbox();
+      log.info('backfill.finished', `Back-fill complete (${store.countPublications(state)} publications tracked)`, { tracked: store.countPublications(state) });
+      return 0;
+    } catch (e) {
+      log.error('backfill.failed', 'Back-fill failed', { error: e.message });
+      return 1;
+    } finally {
+      http.save();
+    }
+  };
+
+  /**
+   * Prints open consultations with the days left until each closes (--consultations)
+   */
+  const listConsultations = () => {
+    const open = consultations.openConsultations(loadState());
+    console.log(`📅 ${open.length} open consultation(s)${open.length ? '' : ' with a known closing date'}`);
+    for (const { entry, daysLeft } of open) {
+      const left = daysLeft === 0 ? 'closes today' : `${daysLeft} day${daysLeft > 1 ? 's' : ''} left`;
+      const rules = entry.matchedRules?.length ? ` [${entry.matchedRules.join(', ')}]` : '';
+      const reminded = entry.remindersSent?.length ? ` • reminded at ${entry.remindersSent.join(', ')} days` : '';
+      console.log(`   • ${entry.closingDate} (${left}) ${entry.title}${rules}${reminded}`);
+      console.log(`     ${entry.link}`);
+    }
+    console.log(`ℹ️  Reminders go out ${reminderDays.join(', ')} day(s) before closing for consultations that matched a watch rule`);
+  };
+
+  /**
+   * Prints the newest stored publications (list)
+   * @param {{limit?:number, matched?:boolean, sourceId?:string}} [options] - matched keeps
+   *   only publications that matched a watch rule
+   */
+  const listPublications = ({ limit = 20, matched = false, sourceId } = {}) => {
+    const entryTime = (entry) => Date.parse(entry.isoDate || entry.firstSeen) || 0;
+    const entries = Object.entries(loadState().sources)
+      .filter(([id]) => !sourceId || id === sourceId)
+      .flatMap(([source, ns]) => Object.values(ns.publications).map(entry => ({ source, entry })))
+      .filter(({ entry }) => !matched || entry.matchedRules?.length)
+      .sort((a, b) => entryTime(b.entry) - entryTime(a.entry));
+
+    console.log(`🗂️  ${entries.length} stored publication(s)${matched ? ' that matched a watch rule' : ''}${entries.length > limit ? `; newest ${limit}` : ''}`);
+    for (const { source, entry } of entries.slice(0, limit)) {
+      const rules = entry.matchedRules?.length ? ` [${entry.matchedRules.join(', ')}]` : '';
+      const from = sources.length > 1 ? ` (${source})` : '';
+      console.log(`   • ${entry.date || entry.firstSeen.slice(0, 10)}: ${entry.title}${rules}${from}`);
+      console.log(`     ${entry.link}`);
+    }
+  };
+
+  /**
+   * Sends a sample alert straight through a channel, bypassing the outbox,
+   * so a new setup can be checked end to end (test-email)
+   * @param {{to?:Array<string>, channelId?:string}} [options] - Recipients (default: the
+   *   channel's subscribers) and channel (default: the first email channel)
+   * @returns {Promise<number>} Exit code: 0 sent, 1 nothing to send to or a send failed
+   */
+  const sendTestEmail = async ({ to = [], channelId } = {}) => {
+    const channel = channelId ? channels.find(c => c.id === channelId) : channels.find(c => c.isEmail);
+    if (!channel) {
+      console.error(channelId
+        ? `❌ Unknown channel "${channelId}" (available: ${channels.map(c => c.id).join(', ')})`
+        : '❌ No email channel is configured; pass --channel <id>');
+      return 1;
+    }
+    const recipients = !channel.isEmail ? [null]
+      : to.length > 0 ? to
+        : [...new Set(subscribers.filter(s => s.channels.includes(channel.id)).map(s => s.email))];
+    if (recipients.length === 0) {
+      console.error(`❌ Nobody subscribes through ${channel.id}; pass --to <address>`);
+      return 1;
+    }
+
+    // Show a real publication when there is one, so the message looks like a live alert
+    const stored = Object.values(loadState().sources)
+      .flatMap(ns => Object.values(ns.publications))
+      .sort((a, b) => (Date.parse(b.isoDate) || 0) - (Date.parse(a.isoDate) || 0))[0];
+    const sample = stored
+      ? { ...stored, matchedRules: stored.matchedRules || [] }
+      : { title: 'Example publication', date: new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: time.TIME_ZONE }), link: 'https://www.ofgem.gov.uk/', matchedRules: [] };
+    const message = renderMessage([sample], {
+      event: 'test',
+      heading: 'Ofgem Watch test message',
+      subject: '🧪 Ofgem Watch test message'
+    });
+
+    let failed = 0;
+    for (const recipient of recipients) {
+      const target = describeTarget({ channel: channel.id, recipient });
+      try {
+        await channel.send(message, recipient);
+        console.log(`✅ Test message sent to ${target}`);
+      } catch (error) {
+        failed++;
+        console.error(`❌ Test message to ${target} failed:`, error.message);
+      }
+    }
+    return failed > 0 ? 1 : 0;
+  };
+
+  /**
+   * Renders a template against sample publications, writes the HTML to a
+   * local file and prints the subject and text (preview)
+   * @param {{template?:string, event?:string, out?:string}} [options] - event is the kind
+   *   of message to preview: new (default), updated, digest or reminder
+   * @returns {number} Exit code: 0 written, 1 unknown template or event, or the file could not be written
+   */
+  const previewTemplate = ({ template = DEFAULT_TEMPLATE, event = 'new', out = 'template-preview.html' } = {}) => {
+    const events = ['new', 'updated', 'digest', 'reminder'];
+    if (!events.includes(event)) {
+      console.error(`❌ Unknown event "${event}" (expected ${events.join(', ')})`);
+      return 1;
+    }
+
+    // The newest matched publications in the store look most like a real alert
+    const sourceNames = Object.fromEntries(sources.map(source => [source.id, source.name]));
+    const stored = Object.entries(loadState().sources)
+      .flatMap(([id, ns]) => Object.values(ns.publications).map(entry => ({ ...entry, sourceName: sourceNames[id] || id })))
+      .filter(entry => entry.matchedRules?.length)
+      .sort((a, b) => (Date.parse(b.isoDate) || 0) - (Date.parse(a.isoDate) || 0))
+      .slice(0, 3);
+    const publications = (stored.length > 0 ? stored : SAMPLE_PUBLICATIONS).map(classified);
+    const count = `${publications.length} Ofgem ${event === 'reminder' ? 'consultation' : 'publication'}${publications.length > 1 ? 's' : ''}`;
+
+    const heading = {
+      updated: `${count} updated`,
+      digest: `Daily Ofgem digest: ${publications.length} update${publications.length > 1 ? 's' : ''}`,
+      reminder: `${count} close${publications.length > 1 ? '' : 's'} in 7 days`
+    }[event];
+    let message;
+    try {
+      message = renderMessage(
+        event === 'updated' ? publications.map(p => ({ ...p, changes: [{ field: 'title', before: `Draft: ${p.title}`, after: p.title }] })) : publications,
+        {
+          event,
+          template,
+          heading,
+          subject: { updated: `📝 ${heading}`, reminder: `⏰ ${heading}` }[event],
+          sections: event === 'digest' ? digest.groupDigestItems(publications, watchRules) : undefined
+        }
+      );
+      fs.writeFileSync(out, message.html);
+    } catch (error) {
+      console.error(`❌ Could not preview template "${template}": ${error.message}`);
+      return 1;
+    }
+
+    console.log(`🧪 ${template} template, ${event} message, ${stored.length > 0 ? `${stored.length} stored` : 'sample'} publication(s)`);
+    console.log(`Subject: ${message.subject}\n`);
+    console.log(message.text);
+    console.log(`\n✅ HTML written to ${out}`);
+    return 0;
+  };
+
+  /**
+   * Prints the dead-letter list, optionally moving every entry back to the outbox
+   * @param {{retry:boolean}} options
+   * @returns {number} Exit code
+   */
+  const manageDeadLetters = ({ retry }) => {
+    try {
+      const box = outbox.loadOutbox(config.outboxFile);
+      console.log(`☠️  ${box.deadLetters.length} dead letter(s), ${box.pending.length} pending notification(s)`);
+      for (const entry of box.deadLetters) {
+        console.log(`   • ${entry.deadAt} ${describeTarget(entry)}: "${entry.message.subject}" (${entry.attempts} attempts; ${entry.lastError})`);
+      }
+
+      if (retry && box.deadLetters.length > 0) {
+        const count = outbox.requeueDeadLetters(box);
+        outbox.saveOutbox(config.outboxFile, box);
+        console.log(`🔁 Moved ${count} notification(s) back to the outbox; they are sent on the next poll`);
+      }
+      return 0;
+    } catch (error) {
+      console.error('❌ Could not read outbox:', error.message);
+      return 1;
+    }
+  };
+
+  /**
+   * Compares a proposed rules file with the current rules over the stored
+   * publications and prints the matches gained and lost (replay)
+   * @param {{rulesFile:string, since?:string, sourceId?:string}} options - since is YYYY-MM-DD
+   * @returns {number} Exit code: 0 done, 1 bad options or rules file
+   */
+  const replay = ({ rulesFile, since, sourceId }) => {
+    if (!rulesFile) {
+      console.error('❌ Replay needs --rules <file>');
+      return 1;
+    }
+    const sinceTime = since === undefined ? undefined
+      : /^\d{4}-\d{2}-\d{2}$/.test(since) ? time.dayBound(since) : NaN;
+    if (Number.isNaN(sinceTime)) {
+      console.error('❌ Replay --since must be YYYY-MM-DD');
+      return 1;
+    }
+    if (sourceId && !sources.some(source => source.id === sourceId)) {
+      console.error(`❌ Unknown source "${sourceId}" (available: ${sources.map(source => source.id).join(', ')})`);
+      return 1;
+    }
+
+    let proposedRules;
+    try {
+      proposedRules = loadRules(rulesFile);
+    } catch (error) {
+      console.error(`❌ Could not load proposed rules from ${rulesFile}:`, error.message);
+      return 1;
+    }
+
+    const result = replayRules(loadState(), watchRules, proposedRules, { since: sinceTime, sourceId, classify: classifier.classify });
+    console.log(`🔁 Replayed ${proposedRules.length} proposed rule(s) against ${result.evaluated} stored publication(s)${since ? ` since ${since}` : ''}`);
+    for (const rule of [...watchRules, ...proposedRules].filter(r => r.fields.includes('body'))) {
+      console.warn(`⚠️  Rule "${rule.name}" searches page text, which is not stored; it is judged on its other fields only`);
+    }
+
+    for (const rule of result.rules) {
+      console.log(`   🎯 ${rule.name}: ${rule.current} → ${rule.proposed} match(es) (+${rule.gained}, -${rule.lost})`);
+    }
+
+    const list = (items) => items.forEach(({ entry, before, after }) => {
+      const rules = [...new Set([...before, ...after])]
+        .map(name => before.includes(name) && after.includes(name) ? name : `${after.includes(name) ? '+' : '-'}${name}`);
+      console.log(`      - ${entry.date || entry.firstSeen.slice(0, 10)}: ${entry.title} [${rules.join(', ')}]`);
+      console.log(`        ${entry.link}`);
+    });
+    console.log(`➕ ${result.gained.length} publication(s) would now alert`);
+    list(result.gained);
+    console.log(`➖ ${result.lost.length} publication(s) would no longer alert`);
+    list(result.lost);
+    if (result.changed.length > 0) {
+      console.log(`🔀 ${result.changed.length} publication(s) would alert through different rules`);
+      list(result.changed);
+    }
+    return 0;
+  };
+
+  /**
+   * Switches to a reloaded configuration. Stored state is untouched; a poll in
+   * progress finishes with the configuration it started with.
+   * @param {{config:Object, watchRules:Array<Object>, subscribers:Array<Object>, channels:Array<Object>,
+   *   sources:Array<Object>, operatorTargets?:Array<Object>, reminderDays:Array<number>, templates?:Object, classifier?:Object,
+   *   calendar?:Object}} next
+   */
+  const reconfigure = (next) => {
+    if (polling) {
+      pendingConfiguration = next;
+    } else {
+      applyConfiguration(next);
+    }
+  };
+
+  /**
+   * Builds the Atom/RSS/JSON feeds and consultation calendar from the seen store
+   * @param {Object} state
+   * @returns {Map<string, {contentType:string, body:string}>}
+   */
+  const buildFeeds = (state) => feeds.buildFeeds(state, watchRules, {
+    limit: config.feedSize,
+    baseUrl: config.feedBaseUrl
+  });
+
+  return {
+    loadState,
+    saveState,
+    syncState,
+    pollSource,
+    pollForUpdates,
+    notifySubscribers,
+    flushDigests,
+    deliverOutbox,
+    runBackfill,
+    listConsultations,
+    listPublications,
+    sendTestEmail,
+    manageDeadLetters,
+    replay,
+    buildFeeds,
+    previewTemplate,
+    reconfigure,
+    metrics,
+    getLastPoll: () => lastPoll
+  };
+};
+
+module.exports = {
+  createWatcher
+};
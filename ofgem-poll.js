@@ -1,787 +1,469 @@
+#!/usr/bin/env node
 /**
  * Ofgem Watch
  * 
- * Monitors the Ofgem website for new publications and sends email notifications
- * when new content is detected. Uses the API endpoint as primary method with
+ * Monitors the Ofgem website for new publications and sends notifications
+ * (email, Slack/Teams or webhooks) when new content is detected. Uses the API endpoint as primary method with
  * web scraping as fallback. Maintains state to avoid duplicate notifications.
  * 
  * Requirements:
- * - Node.js with puppeteer, resend packages
- * - Valid Resend API key and verified sender email
+ * - Node.js with puppeteer, resend and nodemailer packages
+ * - Valid Resend API key and verified sender email (or another channel in CHANNELS_FILE)
  * 
  * Usage:
  * Set environment variables: RESEND_API_KEY, NOTIFY_EMAILS, SENDER_EMAIL
  * NOTIFY_EMAILS should be comma-separated (e.g., "email1@example.com,email2@example.com")
- * Run: node ofgem-poll.js
+ * Everything else can go in ofgem-watch.yaml (see ofgem-watch.example.yaml)
+ * Run: node ofgem-poll.js [command] [options] (see `node ofgem-poll.js help`)
  * 
  * @author Muhammad Hamza
  * @version 1.3.0
  */
 
 require('dotenv').config();
-const fs = require('fs');
-const { Resend } = require('resend');
-const puppeteer = require('puppeteer');
+const { loadRules, compileRules, describeRule } = require('./lib/rules');
+const store = require('./lib/store');
+const outbox = require('./lib/outbox');
+const { createServer } = require('./lib/server');
+const health = require('./lib/health');
+const { createWatcher } = require('./lib/watcher');
+const { EXIT_CODES, parseCommandLine, formatHelp } = require('./lib/cli');
+const { loadSettings, loadConfiguration, keepRestartSettings, watchFiles } = require('./lib/config');
+const { collectStatus, printStatus } = require('./lib/status');
+const scheduler = require('./lib/scheduler');
+const { createBrowserPool } = require('./lib/browser');
+const { createHttpClient, USER_AGENT } = require('./lib/http-client');
+const { formatLondon } = require('./lib/time');
+const log = require('./lib/logger');
+
+let cli;
+try {
+  cli = parseCommandLine(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error('   Run `node ofgem-poll.js help` for usage');
+  process.exit(EXIT_CODES.USAGE);
+}
 
-// Configuration
-const CONFIG = {
-  apiUrl: 'https://www.ofgem.gov.uk/api/listing/4044?sort%5Bfield_published%5D%5Bpath%5D=field_published&sort%5Bfield_published%5D%5Bdirection%5D=desc',
-  baseUrl: 'https://www.ofgem.gov.uk/search?sort=field_published&direction=desc',
-  pollInterval: 5 * 60 * 1000, // 5 minutes
+// Built-in configuration; every value except sources and channels can be
+// overridden in the config file, the environment or a flag (see lib/config.js)
+const DEFAULTS = {
+  // Built-in sources, replaced by the config file or SOURCES_FILE. The first
+  // source also receives state written before sources had their own namespaces.
+  sources: [
+    {
+      id: 'ofgem-publications',
+      type: 'ofgem-listing',
+      name: 'Ofgem publications',
+      listingId: 4044,
+      searchUrl: 'https://www.ofgem.gov.uk/search?sort=field_published&direction=desc'
+    }
+  ],
+  sourcesFile: 'sources.json',
+  pollInterval: 5 * 60 * 1000, // 5 minutes, while Ofgem is publishing
+  offHoursPollInterval: 60 * 60 * 1000, // overnight, weekends and bank holidays
+  publishingHours: '07:00-18:00', // London time, on working days
+  bankHolidaysFile: 'bank_holidays.json',
+  bankHolidaysUrl: 'https://www.gov.uk/bank-holidays.json',
   stateFile: 'last_ofgem_publication.json',
+  rulesFile: 'watch-rules.json',
+  subscribersFile: 'subscribers.json',
+  // Built-in notification channels, replaced by CHANNELS_FILE when that file exists
+  channels: [
+    { id: 'email', type: 'resend' }
+  ],
+  channelsFile: 'channels.json',
+  notifyTimeout: 10000,
+  outboxFile: 'outbox.json',
+  // Failed notifications are retried on later polls after 1, 2, 4... minutes (capped at an hour)
+  deliveryRetry: { maxAttempts: 8, baseDelay: 60 * 1000, maxDelay: 60 * 60 * 1000 },
+  digestStateFile: 'digest_state.json',
+  dailyDigestHour: 8, // London time
+  digestDay: 'monday', // weekly digests
+  // The scraping fallback shares one browser, closed after 10 minutes unused
+  browserConcurrency: 2,
+  browserIdleTimeout: 10 * 60 * 1000,
   browserTimeout: 30000,
   selectorTimeout: 10000,
   apiTimeout: 10000,
+  // Every request identifies itself, revalidates cached responses and backs off
+  // from a failing site (see lib/http-client.js)
+  userAgent: USER_AGENT,
+  httpCacheFile: 'http_cache.json',
+  circuitBreakerThreshold: 5, // failed requests in a row
+  circuitBreakerCooldown: 15 * 60 * 1000,
+  detailTimeout: 15000,
+  maxDetailFetches: 20, // detail pages loaded per poll
+  // Pages of publications from the last fortnight are reloaded every 6 hours,
+  // within maxDetailFetches, to spot added documents and edited text
+  contentCheckDays: 14,
+  contentCheckInterval: 6 * 60 * 60 * 1000,
   rateLimitDelay: 2000, // 2 seconds between API calls
   maxRetries: 3,
-  maxRunMinutes: Number(process.env.MAX_RUN_MINUTES || 60)
+  maxPages: 10, // listing pages followed per poll while looking for a known item
+  maxBackfillPages: 200,
+  maxRunMinutes: 0, // watch runs until stopped
+  // Feeds are written here after each poll when set (also served by --serve under /feeds/)
+  feedDir: null,
+  feedBaseUrl: null,
+  feedSize: 100, // entries per feed
+  reminderDays: '14,7,1', // days before a consultation closes
+  // Topics and companies publications are tagged with (see lib/classify.js)
+  taxonomyFile: 'taxonomy.json',
+  entitiesFile: 'entities.json',
+  // Message templates of your own, added to the built-in ones in templates/
+  templatesDir: null,
+  brandName: 'Ofgem Watch',
+  brandColor: '#2d3748',
+  // Health history and open operator alerts (see lib/health.js)
+  healthStateFile: 'health_state.json',
+  operatorChannels: [],
+  operatorEmails: [],
+  fetchFailureAlertAfter: 3, // polls
+  quietAlertDays: 3, // working days
+  deliveryFailureAlertAfter: 3, // sends
+  heartbeatHour: null, // daily "still running" message to operators, e.g. 9
+  // Logging and metrics (see lib/logger.js and lib/metrics.js)
+  logLevel: 'info',
+  logFormat: 'auto', // text on a terminal, JSON lines otherwise
+  metricsFile: null, // e.g. /var/lib/node_exporter/textfile/ofgem_watch.prom
+  // --serve mode
+  serverPort: 3000,
+  serverHost: '127.0.0.1',
+  dashboardToken: null,
+  // Recipients when there is no subscribers file, and the email sender
+  notifyEmails: [],
+  senderEmail: null
 };
 
-const ENV = {
-  resendApiKey: process.env.RESEND_API_KEY,
-  notifyEmails: process.env.NOTIFY_EMAILS ? process.env.NOTIFY_EMAILS.split(',').map(email => email.trim()) : [],
-  senderEmail: process.env.SENDER_EMAIL
+/**
+ * Prints every problem found while loading the configuration
+ * @param {Error} error - From lib/config.js, with `problems`
+ */
+const reportConfigurationError = (error) => {
+  console.error('❌ Configuration Error:');
+  (error.problems || [error.message]).forEach(problem => console.error(`   ${problem}`));
 };
 
-// Validate required configuration
-if (!ENV.resendApiKey || ENV.notifyEmails.length === 0 || !ENV.senderEmail) {
-  console.error('❌ Configuration Error: Missing required environment variables');
-  console.error('   Required: RESEND_API_KEY, NOTIFY_EMAILS, SENDER_EMAIL');
-  console.error('   NOTIFY_EMAILS should be comma-separated (e.g., "email1@example.com,email2@example.com")');
-  process.exit(1);
-}
-
-const resend = new Resend(ENV.resendApiKey);
-
-// Global handles to allow clean shutdown from anywhere
-let pollIntervalHandle = null;
-let maxRuntimeTimerHandle = null;
+// `config validate` reports an invalid configuration as its result, not as a failure to start
+const configErrorCode = cli.command === 'config validate' ? EXIT_CODES.FAILURE : EXIT_CODES.CONFIG;
 
-// Graceful shutdown that clears timers/intervals and exits
-const shutdown = () => {
-  console.log('\n🛑 Shutting down Ofgem Watch...');
-  if (pollIntervalHandle) clearInterval(pollIntervalHandle);
-  if (maxRuntimeTimerHandle) clearTimeout(maxRuntimeTimerHandle);
-  process.exit(0);
-};
+let settings;
+try {
+  settings = loadSettings({ defaults: DEFAULTS, flags: cli.flags, env: process.env });
+} catch (error) {
+  reportConfigurationError(error);
+  process.exit(configErrorCode);
+}
+log.configure({ level: settings.config.logLevel, format: settings.config.logFormat });
 
-// State management utilities
-const loadState = () => {
+/**
+ * Checks watch rules and prints them (rules validate)
+ * @param {string} where - The file (and section) the rules come from
+ * @param {() => Array<Object>} load - Returns the compiled rules
+ * @returns {number} Exit code
+ */
+const validateRules = (where, load) => {
+  let rules;
   try {
-    return fs.existsSync(CONFIG.stateFile) 
-      ? JSON.parse(fs.readFileSync(CONFIG.stateFile, 'utf8')) 
-      : null;
+    rules = load();
   } catch (error) {
-    console.warn('⚠️  State file corrupted, starting fresh');
-    return null;
+    console.error(`❌ ${where} is not valid: ${error.message}`);
+    return EXIT_CODES.FAILURE;
   }
-};
-
-const saveState = (data) => {
-  try {
-    fs.writeFileSync(CONFIG.stateFile, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error('❌ Failed to save state:', error.message);
+  console.log(`✅ ${where}: ${rules.length} rule(s)`);
+  for (const rule of rules.map(describeRule)) {
+    const terms = [
+      rule.any.length ? `any of ${rule.any.join(', ')}` : null,
+      rule.all.length ? `all of ${rule.all.join(', ')}` : null,
+      rule.exclude.length ? `not ${rule.exclude.join(', ')}` : null
+    ].filter(Boolean).join('; ');
+    const filter = [
+      rule.kinds.length ? `kind ${rule.kinds.join('/')}` : null,
+      rule.tags.length ? `topic ${rule.tags.join('/')}` : null,
+      rule.entities.length ? `naming ${rule.entities.join('/')}` : null
+    ].filter(Boolean).join(', ');
+    console.log(`   • ${rule.name}${rule.enabled ? '' : ' (disabled)'}: ${terms || (filter ? 'any text' : 'dates only')} in ${rule.fields.join(', ')}${filter ? ` (${filter})` : ''}`);
   }
+  return EXIT_CODES.OK;
 };
 
-/**
- * Parses publication details from HTML markup
- * @param {string} markup - HTML markup string
- * @returns {Object|null} Publication object or null if parsing fails
- */
-const parsePublicationFromMarkup = (markup) => {
+// Commands that must work without the rest of the configuration
+if (cli.command === 'help') {
+  console.log(formatHelp(DEFAULTS));
+  process.exit(EXIT_CODES.OK);
+} else if (cli.command === 'rules validate') {
+  const [file] = cli.args;
+  if (!file && settings.document?.rules) {
+    process.exit(validateRules(`${settings.file} (rules)`, () => compileRules({ rules: settings.document.rules })));
+  }
+  process.exit(validateRules(file || settings.config.rulesFile, () => loadRules(file || settings.config.rulesFile)));
+} else if (cli.command === 'status') {
   try {
-    // Decode HTML entities
-    const decodedMarkup = markup
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&quot;/g, '"')
-      .replace(/&#039;/g, "'");
-    
-    // Extract title from h3 tag
-    const titleMatch = decodedMarkup.match(/<h3[^>]*>.*?<span[^>]*>.*?<span[^>]*>([^<]+)<\/span>/s);
-    const title = titleMatch ? titleMatch[1].trim() : null;
-    
-    // Extract link from href attribute
-    const linkMatch = decodedMarkup.match(/href="([^"]+)"/);
-    const link = linkMatch ? `https://www.ofgem.gov.uk${linkMatch[1]}` : null;
-    
-    // Extract date from time tag
-    const dateMatch = decodedMarkup.match(/<time[^>]*datetime="([^"]+)"[^>]*>([^<]+)<\/time>/);
-    const isoDate = dateMatch ? dateMatch[1].trim() : null;
-    const date = dateMatch ? dateMatch[2].trim() : 'Unknown';
-    
-    if (!title || !link) {
-      return null;
+    const status = collectStatus(settings.config);
+    if (cli.flags.json) {
+      console.log(JSON.stringify(status, null, 2));
+    } else {
+      printStatus(status);
     }
-    
-    return { title, link, date, isoDate };
-    
+    process.exit(status.needsAttention ? EXIT_CODES.ATTENTION : EXIT_CODES.OK);
   } catch (error) {
-    console.log(`⚠️  Failed to parse markup: ${error.message}`);
-    return null;
+    console.error('❌ Could not read status:', error.message);
+    process.exit(EXIT_CODES.FAILURE);
   }
-};
-
-/**
- * Fetches the latest publication using the API endpoint
- * @returns {Promise<Object|null>} Publication object or null if failed
- */
-const fetchLatestPublicationViaAPI = async () => {
-  try {
-    console.log('🔌 Attempting to fetch via API...');
-    
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.apiTimeout);
-    
-    const response = await fetch(CONFIG.apiUrl, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'Ofgem-Monitor/1.1.0'
-      },
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) {
-      throw new Error(`API responded with status: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    if (!data || !data.items || !Array.isArray(data.items) || data.items.length === 0) {
-      throw new Error('Invalid API response structure - missing items array');
-    }
-    
-    // Map items -> publications by parsing markup
-    const publications = [];
-    for (const item of data.items) {
-      if (!item || !item.markup) continue;
-      const parsed = parsePublicationFromMarkup(item.markup);
-      if (parsed) publications.push(parsed);
-      if (publications.length >= 30) break; // limit processing
-    }
+}
 
-    if (publications.length === 0) {
-      throw new Error('Failed to parse any publications from API response');
-    }
+// Kept across reloads, so a change to the sources does not start a second
+// browser or forget which sites are paused
+const browserPool = createBrowserPool({
+  concurrency: settings.config.browserConcurrency,
+  idleTimeout: settings.config.browserIdleTimeout
+});
+const http = createHttpClient({
+  userAgent: settings.config.userAgent,
+  cacheFile: settings.config.httpCacheFile,
+  readOnly: Boolean(cli.flags['dry-run']),
+  breakerThreshold: settings.config.circuitBreakerThreshold,
+  breakerCooldown: settings.config.circuitBreakerCooldown
+});
+const loadAll = () => loadConfiguration({ defaults: DEFAULTS, flags: cli.flags, env: process.env, browserPool, http });
+
+let loaded;
+try {
+  loaded = loadAll();
+} catch (error) {
+  reportConfigurationError(error);
+  process.exit(configErrorCode);
+}
+let { config: CONFIG, watchRules, channels, operatorTargets, subscribers, reminderDays, sources, templates, classifier, calendar } = loaded;
+
+if (cli.command === 'config validate') {
+  console.log(`✅ Configuration is valid (${loaded.files.length ? loaded.files.join(', ') : 'built-in defaults only'})`);
+  console.log(`   ${sources.length} source(s), ${channels.length} channel(s), ${watchRules.length} watch rule(s), ${subscribers.length} subscriber(s), ${operatorTargets.length} operator alert target(s)`);
+  console.log(`   Templates: ${templates.names.join(', ')}`);
+  console.log(`   ${classifier.tags.length} taxonomy topic(s), ${classifier.entities.length} tracked compan${classifier.entities.length === 1 ? 'y' : 'ies'}`);
+  process.exit(EXIT_CODES.OK);
+}
 
-    console.log('✅ API fetch successful');
-    // Return the first (latest) but also attach the list for callers that need it
-    return publications[0];
-    
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.log('⏰ API request timed out');
-    } else {
-      console.log(`⚠️  API fetch failed: ${error.message}`);
-    }
-    return null;
-  }
-};
+const watcher = createWatcher({
+  config: CONFIG,
+  watchRules,
+  subscribers,
+  channels,
+  sources,
+  operatorTargets,
+  reminderDays,
+  templates,
+  classifier,
+  calendar,
+  http,
+  // --dry-run prints what would be sent and leaves every state file untouched
+  dryRun: Boolean(cli.flags['dry-run']),
+  previewDir: cli.flags['preview-dir'] || null
+});
 
-/**
- * Fetch recent publications via API with retry until today's date appears
- * @returns {Promise<Array<{title:string,link:string,date:string,isoDate:string}>>}
- */
-const fetchRecentPublicationsUntilToday = async () => {
-  const isToday = (iso) => {
-    if (!iso) return false;
-    const d = new Date(iso);
-    const now = new Date();
-    return d.getUTCFullYear() === now.getUTCFullYear() &&
-           d.getUTCMonth() === now.getUTCMonth() &&
-           d.getUTCDate() === now.getUTCDate();
-  };
+// Global handles to allow clean shutdown from anywhere
+let pollScheduler = null;
+let maxRuntimeTimerHandle = null;
+let stopWatchingConfiguration = () => {};
 
-  for (let attempt = 0; attempt <= CONFIG.maxRetries; attempt++) {
-    // Single API fetch of items array
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.apiTimeout);
-    try {
-      const response = await fetch(CONFIG.apiUrl, {
-        method: 'GET',
-        headers: { 'Accept': 'application/json', 'User-Agent': 'Ofgem-Monitor/1.1.0' },
-        signal: controller.signal
-      });
-      clearTimeout(timeoutId);
-      if (!response.ok) throw new Error(`status ${response.status}`);
-      const data = await response.json();
-      if (!data || !Array.isArray(data.items)) throw new Error('bad items');
-      const pubs = [];
-      for (const item of data.items) {
-        if (!item?.markup) continue;
-        const parsed = parsePublicationFromMarkup(item.markup);
-        if (parsed) pubs.push(parsed);
-        if (pubs.length >= 50) break;
-      }
-      const hasToday = pubs.some(p => isToday(p.isoDate));
-      if (hasToday || attempt === CONFIG.maxRetries) return pubs;
-      await new Promise(r => setTimeout(r, CONFIG.rateLimitDelay * (attempt + 1)));
-    } catch (e) {
-      clearTimeout(timeoutId);
-      if (attempt === CONFIG.maxRetries) return [];
-      await new Promise(r => setTimeout(r, CONFIG.rateLimitDelay * (attempt + 1)));
-    }
-  }
-  return [];
+// Graceful shutdown that clears timers/intervals, closes the browser and exits
+const shutdown = async (code = EXIT_CODES.OK) => {
+  log.info('watch.stopping', 'Shutting down Ofgem Watch', { exitCode: code });
+  if (pollScheduler) pollScheduler.stop();
+  if (maxRuntimeTimerHandle) clearTimeout(maxRuntimeTimerHandle);
+  stopWatchingConfiguration();
+  await browserPool.close();
+  process.exit(code);
 };
 
 /**
- * Fetches the latest publication from Ofgem website using web scraping (fallback)
- * @returns {Promise<Object|null>} Publication object or null if failed
+ * Reloads the configuration after one of its files changed (watch). A change
+ * that does not load is reported and the running configuration kept; settings
+ * in RESTART_SETTINGS keep their running values until the next start.
  */
-const fetchLatestPublicationViaScraping = async () => {
-  console.log('🕷️  Falling back to web scraping...');
-  
-  const browser = await puppeteer.launch({ 
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox']
-  });
-  
+const reloadConfiguration = () => {
+  let next;
   try {
-    const page = await browser.newPage();
-    await page.goto(CONFIG.baseUrl, { 
-      waitUntil: 'networkidle2', 
-      timeout: CONFIG.browserTimeout 
-    });
-    
-    // Wait for content to load
-    await page.waitForSelector('article', { timeout: CONFIG.selectorTimeout });
-
-    // Extract publication details from first article
-    const publication = await page.$eval('article', (article) => {
-      const link = article.querySelector('a')?.href;
-      const title = article.querySelector('h3 span span')?.textContent?.trim();
-      
-      // Find publication date
-      const dateSpan = [...article.querySelectorAll('span.font-bold')]
-        .find(span => span.textContent?.includes('Published date:'));
-      const date = dateSpan?.parentElement?.querySelector('time')?.textContent?.trim();
-
-      return title && link ? { title, link, date: date || 'Unknown' } : null;
-    });
-
-    if (publication) {
-      console.log('✅ Web scraping fallback successful');
-    }
-    
-    return publication;
-    
+    next = loadAll();
   } catch (error) {
-    console.error('❌ Web scraping fallback failed:', error.message);
-    return null;
-  } finally {
-    await browser.close();
+    log.error('config.rejected', 'Configuration change rejected; keeping the running configuration', { problems: error.problems || [error.message] });
+    return;
   }
-};
 
-/**
- * Fetches the latest publication with fallback strategy
- * @returns {Promise<Object|null>} Publication object or null if all methods failed
- */
-const fetchLatestPublication = async () => {
-  // Try API first
-  let publication = await fetchLatestPublicationViaAPI();
-  
-  if (!publication) {
-    // Add delay to respect rate limiting
-    await new Promise(resolve => setTimeout(resolve, CONFIG.rateLimitDelay));
-    
-    // Try API again with retry
-    for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
-      console.log(`🔄 API retry attempt ${attempt}/${CONFIG.maxRetries}`);
-      publication = await fetchLatestPublicationViaAPI();
-      
-      if (publication) break;
-      
-      if (attempt < CONFIG.maxRetries) {
-        await new Promise(resolve => setTimeout(resolve, CONFIG.rateLimitDelay * attempt));
-      }
-    }
-  }
-  
-  // If API still fails, use web scraping fallback
-  if (!publication) {
-    publication = await fetchLatestPublicationViaScraping();
-  }
-  
-  return publication;
+  const { config, ignored } = keepRestartSettings(CONFIG, next.config);
+  if (ignored.length > 0) log.warn('config.restart_needed', `Restart to apply the new ${ignored.join(', ')}`, { settings: ignored });
+  CONFIG = config;
+  log.configure({ level: CONFIG.logLevel, format: CONFIG.logFormat });
+  ({ watchRules, channels, operatorTargets, subscribers, reminderDays, sources, templates, classifier, calendar } = next);
+  watcher.reconfigure({ config, watchRules, subscribers, channels, sources, operatorTargets, reminderDays, templates, classifier, calendar });
+
+  // New intervals or publishing hours apply to the pending poll
+  if (pollScheduler) pollScheduler.reschedule();
+  stopWatchingConfiguration();
+  stopWatchingConfiguration = watchFiles(next.files, reloadConfiguration);
+  log.info('config.reloaded', `Configuration reloaded: ${watchRules.length} rule(s), ${subscribers.length} subscriber(s), ${channels.length} channel(s), ${sources.length} source(s)`, {
+    rules: watchRules.length, subscribers: subscribers.length, channels: channels.length, sources: sources.length
+  });
 };
 
 /**
- * Sync the local state file to the newest available publication without sending emails
- * Used for CI/CD or pre-deploy to avoid triggering notifications on deploy
+ * Fetches GOV.UK's bank holidays when the cached list is missing or a week
+ * old, then reloads so the calendar uses them. A failed fetch keeps the list
+ * already loaded and is tried again on the next poll.
  */
-const syncStateToLatest = async () => {
+const refreshBankHolidays = async () => {
+  const { fetchedAt } = scheduler.loadBankHolidays(CONFIG.bankHolidaysFile);
+  if (fetchedAt && Date.now() - Date.parse(fetchedAt) < scheduler.REFRESH_AFTER_MS) return;
   try {
-    console.log('🗂️  Syncing state to latest publication (no emails)...');
-    const publications = await fetchRecentPublicationsUntilToday();
-    if (!publications || publications.length === 0) {
-      console.log('⚠️  Could not fetch publications to sync state');
-      process.exit(2);
-    }
-    saveState(publications[0]);
-    console.log('✅ State synced to:', publications[0].title);
-    process.exit(0);
-  } catch (e) {
-    console.error('❌ State sync failed:', e.message);
-    process.exit(1);
+    const dates = await scheduler.refreshBankHolidays({
+      file: CONFIG.bankHolidaysFile,
+      url: CONFIG.bankHolidaysUrl,
+      timeout: CONFIG.apiTimeout,
+      http
+    });
+    log.info('bank_holidays.refreshed', `Bank holidays refreshed: ${dates.length} date(s) from ${CONFIG.bankHolidaysUrl}`, { dates: dates.length, url: CONFIG.bankHolidaysUrl });
+    reloadConfiguration();
+  } catch (error) {
+    log.warn('bank_holidays.refresh_failed', `Could not refresh bank holidays; using the ${calendar.bankHolidays.length} already known`, { url: CONFIG.bankHolidaysUrl, error: error.message });
   }
 };
 
 /**
- * Sends individual emails to each recipient with multiple publications
- * @param {Array<{title:string,link:string,date:string}>} publications
+ * Starts the HTTP API and dashboard (--serve)
  */
-const sendBatchNotification = async (publications) => {
-  try {
-    const itemsHtml = publications.map((p) => `
-      <div style="padding:16px;border:1px solid #e2e8f0;border-radius:8px;margin:12px 0;background:#ffffff">
-        <div style="font-weight:600;color:#2d3748;margin-bottom:8px;line-height:1.5">${p.title}</div>
-        <div style="color:#4a5568;font-size:14px;margin-bottom:12px">Published: ${p.date}</div>
-        <a href="${p.link}" target="_blank" style="display:inline-block;background:#2d3748;color:#fff;text-decoration:none;padding:10px 16px;border-radius:6px;font-weight:500;font-size:14px">Read Publication</a>
-      </div>
-    `).join('');
-
-    const emailContent = {
-      subject: `📢 ${publications.length} Ofgem Update${publications.length > 1 ? 's' : ''} Detected`,
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Ofgem Updates</title>
-          <style>
-            body { font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif; line-height:1.6; color:#2d3748; margin:0; padding:20px; background:#f7fafc; }
-            .container { max-width:600px; margin:0 auto; background:#fff; border-radius:8px; box-shadow:0 1px 3px rgba(0,0,0,.1); overflow:hidden; }
-            .header { background:#2d3748; color:#fff; padding:24px; text-align:center; }
-            .header h1 { margin:0; font-size:20px; font-weight:600; letter-spacing:-0.02em; }
-            .content { padding:24px; }
-            .item { padding:16px; border:1px solid #e2e8f0; border-radius:8px; margin:12px 0; background:#ffffff; }
-            .title { font-weight:600; color:#2d3748; margin-bottom:8px; line-height:1.5; }
-            .meta { color:#4a5568; font-size:14px; margin-bottom:12px; }
-            .btn { display:inline-block; background:#2d3748; color:#fff; text-decoration:none; padding:10px 16px; border-radius:6px; font-weight:500; font-size:14px; }
-            .divider { height:1px; background:#e2e8f0; margin:24px 0; }
-            .cv-offer { background:#f7fafc; padding:20px; border-radius:6px; text-align:center; border:1px solid #e2e8f0; }
-            .cv-offer h3 { margin:0 0 8px 0; font-size:16px; font-weight:600; color:#2d3748; }
-            .cv-offer p { margin:0 0 16px 0; font-size:14px; color:#4a5568; }
-            .cv-button { display:inline-block; background:linear-gradient(45deg,#667eea,#764ba2,#f093fb,#f5576c,#4facfe,#00f2fe); background-size:300% 300%; color:#fff; text-decoration:none; padding:10px 18px; border-radius:5px; font-weight:500; font-size:14px; transition:all .3s ease; animation:shimmer 3s ease-in-out infinite; box-shadow:0 4px 15px rgba(102,126,234,.3); }
-            .cv-button:hover { transform:translateY(-2px); box-shadow:0 6px 20px rgba(102,126,234,.4); animation:shimmer 1.5s ease-in-out infinite; }
-            @keyframes shimmer { 0%{background-position:0% 50%} 50%{background-position:100% 50%} 100%{background-position:0% 50%} }
-            .footer { background:#f7fafc; padding:16px; text-align:center; border-top:1px solid #e2e8f0; font-size:12px; color:#718096; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header"><h1>${publications.length} new Ofgem update${publications.length > 1 ? 's' : ''}</h1></div>
-            <div class="content">
-              ${itemsHtml}
-              <div class="divider"></div>
-              <div class="cv-offer">
-                <h3>Need a boost?</h3>
-                <p>Quick motivation to power through your day</p>
-                <a href="https://www.youtube.com/watch?v=dQw4w9WgXcQ" class="cv-button" target="_blank">Get Motivated</a>
-              </div>
-            </div>
-            <div class="footer">Automated notification from Ofgem Watch • <a href="https://github.com/hamza3256/ofgem-watch" target="_blank" style="color:#2d3748;text-decoration:none;font-weight:600">GitHub</a></div>
-          </div>
-        </body>
-        </html>
-      `,
-      text: publications.map((p,i)=>`${i+1}. ${p.title}\nPublished: ${p.date}\n${p.link}`).join('\n\n')
-    };
-
-    // Send individual emails to each recipient
-    const emailPromises = ENV.notifyEmails.map(async (email) => {
-      try {
-        const { data, error } = await resend.emails.send({
-          from: ENV.senderEmail,
-          to: [email], // Send to individual recipient only
-          subject: emailContent.subject,
-          html: emailContent.html,
-          text: emailContent.text
-        });
-
-        if (error) {
-          throw new Error(error.message);
-        }
+const startServer = () => {
+  const server = createServer({
+    loadState: watcher.loadState,
+    getRules: () => watchRules,
+    getStatus: () => ({
+      lastPoll: watcher.getLastPoll(),
+      publications: store.countPublications(watcher.loadState()),
+      sourceProblems: health.openProblems(health.loadHealth(CONFIG.healthStateFile))
+    }),
+    loadOutbox: () => outbox.loadOutbox(CONFIG.outboxFile),
+    getSources: () => sources,
+    describeRule,
+    getFeed: (file) => watcher.buildFeeds(watcher.loadState()).get(file),
+    getMetrics: () => watcher.metrics.render(),
+    token: CONFIG.dashboardToken
+  });
 
-        console.log(`✅ Email sent to ${email}`);
-        return { success: true, email };
-      } catch (error) {
-        console.error(`❌ Failed to send email to ${email}:`, error.message);
-        return { success: false, email, error: error.message };
-      }
+  server.on('error', (error) => {
+    log.error('server.failed', 'HTTP server failed', { error: error.message });
+    shutdown(EXIT_CODES.FAILURE);
+  });
+  server.listen(CONFIG.serverPort, CONFIG.serverHost, () => {
+    log.info('server.listening', `Dashboard, API and metrics on http://${CONFIG.serverHost}:${CONFIG.serverPort}/${CONFIG.dashboardToken ? ' (token required)' : ''}`, {
+      host: CONFIG.serverHost, port: CONFIG.serverPort
     });
-
-    // Wait for all emails to be sent
-    const results = await Promise.all(emailPromises);
-    const successful = results.filter(r => r.success).length;
-    const failed = results.filter(r => !r.success).length;
-
-    console.log(`📧 Email summary: ${successful} sent successfully, ${failed} failed`);
-    
-    if (failed > 0) {
-      const failedEmails = results.filter(r => !r.success).map(r => r.email).join(', ');
-      console.error(`❌ Failed emails: ${failedEmails}`);
-    }
-
-  } catch (error) {
-    console.error('❌ Batch email failed:', error.message);
-  }
+  });
 };
 
 /**
- * Main polling function - checks for new publications
+ * Exit code for a single poll: failed outright, or finished with a source that failed
+ * @param {Object} poll - Poll record
+ * @returns {number}
  */
-const pollForUpdates = async () => {
-  console.log(`🔍 Checking for updates... [${new Date().toLocaleString('en-GB')}]`);
-  
-  try {
-    // Fetch multiple and ensure we include today's items if present
-    const publications = await fetchRecentPublicationsUntilToday();
-    
-    if (!publications || publications.length === 0) {
-      console.log('⚠️  No publication data retrieved');
-      return;
-    }
-
-    const previousPublication = loadState();
-    const previousId = previousPublication 
-      ? `${previousPublication.title}|${previousPublication.link}` 
-      : null;
-
-    const isToday = (iso) => {
-      if (!iso) return false;
-      const d = new Date(iso);
-      const now = new Date();
-      return d.getUTCFullYear() === now.getUTCFullYear() &&
-             d.getUTCMonth() === now.getUTCMonth() &&
-             d.getUTCDate() === now.getUTCDate();
-    };
-
-    // Collect unseen publications until we hit previous
-    const unseen = [];
-    for (const pub of publications) {
-      const id = `${pub.title}|${pub.link}`;
-      if (id === previousId) break;
-      unseen.push(pub);
-    }
-
-    if (unseen.length === 0) {
-      console.log('✨ No new publications');
-      return;
-    }
-
-    // Keyword filter
-    const matchKeyword = (title) => {
-      const t = title.toLowerCase();
-      return t.includes('tomato') || t.includes('senapt') || t.includes('logicor');
-    };
-
-    // Prefer today's items; if none, still update state to newest
-    const todaysUnseen = unseen.filter(p => isToday(p.isoDate));
-    const candidates = todaysUnseen.length > 0 ? todaysUnseen : unseen;
-
-    const matched = candidates.filter(p => matchKeyword(p.title));
-    if (matched.length > 0) {
-      console.log(`🎯 ${matched.length} publication(s) matched keywords; sending batch email`);
-      await sendBatchNotification(matched);
-    } else {
-      console.log('ℹ️  New items found but no keyword match among candidates');
-    }
-
-    // Save newest seen (top item from fetched list)
-    saveState(publications[0]);
-
-    console.log('✅ State updated to the newest fetched item');
-    
-  } catch (error) {
-    console.error('❌ Polling cycle failed:', error.message);
-  }
-};
+const pollExitCode = (poll) => !poll.ok ? EXIT_CODES.FAILURE
+  : poll.sources.some(source => source.error) ? EXIT_CODES.ATTENTION
+    : EXIT_CODES.OK;
 
 // Application startup
-if (process.argv.includes('--sync-state')) {
-  (async () => { await syncStateToLatest(); })();
+const { command, flags } = cli;
+if (command === 'sync-state') {
+  watcher.syncState().then(code => process.exit(code));
+} else if (command === 'list consultations') {
+  watcher.listConsultations();
+  process.exit(EXIT_CODES.OK);
+} else if (command === 'list') {
+  if (flags.limit !== undefined && !/^[1-9]\d*$/.test(flags.limit)) {
+    console.error(`❌ --limit must be a positive whole number (got "${flags.limit}")`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  watcher.listPublications({
+    limit: flags.limit ? Number(flags.limit) : undefined,
+    matched: Boolean(flags.matched),
+    sourceId: flags.source
+  });
+  process.exit(EXIT_CODES.OK);
+} else if (command === 'test-email') {
+  watcher.sendTestEmail({ to: flags.to, channelId: flags.channel }).then(code => process.exit(code));
+} else if (command === 'preview') {
+  process.exit(watcher.previewTemplate({ template: flags.template, event: flags.event, out: flags.out }));
+} else if (command === 'dead-letters') {
+  process.exit(watcher.manageDeadLetters({ retry: Boolean(flags.retry) }));
+} else if (command === 'replay') {
+  process.exit(watcher.replay({
+    rulesFile: flags.rules,
+    since: flags.since,
+    sourceId: flags.source
+  }));
+} else if (command === 'backfill') {
+  watcher.runBackfill({
+    since: flags.since,
+    notify: Boolean(flags.notify),
+    details: Boolean(flags.details),
+    sourceId: flags.source
+  }).then(code => process.exit(code));
+} else if (command === 'poll') {
+  if (flags['dry-run']) console.log('🧪 Dry run: polling once without sending notifications or saving state');
+  watcher.pollForUpdates().then(async (poll) => {
+    await browserPool.close();
+    process.exit(pollExitCode(poll));
+  });
 } else {
-  console.log('🚀 Starting Ofgem Watch');
-  console.log(`📧 Notifications will be sent to: ${ENV.notifyEmails.join(', ')}`);
-  console.log(`⏱️  Polling interval: ${CONFIG.pollInterval / 1000} seconds`);
-  console.log('─'.repeat(50));
-
-  // Initial check
-  pollForUpdates();
-
-  // Set up recurring polling
-  pollIntervalHandle = setInterval(pollForUpdates, CONFIG.pollInterval);
+  const serve = Boolean(flags.serve);
+  log.info('watch.started', 'Starting Ofgem Watch', {
+    subscribers: subscribers.map(s => `${s.email} (${s.mode}, ${s.channels.join('+')})`),
+    channels: channels.map(channel => `${channel.id} (${channel.type})`),
+    pollInterval: CONFIG.pollInterval,
+    offHoursPollInterval: CONFIG.offHoursPollInterval,
+    publishingHours: CONFIG.publishingHours,
+    rules: watchRules.map(rule => rule.name),
+    sources: sources.map(source => source.id)
+  });
 
-  // Set up auto-shutdown after cron job run (set in railway)
-  const maxRunMs = Math.max(1, CONFIG.maxRunMinutes) * 60 * 1000;
-  console.log(`⏳ Starting cron job; running for ${CONFIG.maxRunMinutes} minute(s)`);
-  maxRuntimeTimerHandle = setTimeout(() => {
-    console.log('⏰ End of cron job. Exiting...');
-    shutdown();
-  }, maxRunMs);
+  if (serve) startServer();
+
+  // Poll now, then as often as the publishing calendar calls for
+  pollScheduler = scheduler.createScheduler({
+    run: async () => {
+      await refreshBankHolidays();
+      await watcher.pollForUpdates();
+    },
+    nextDelay: (now) => scheduler.nextPollDelay(calendar, CONFIG, now),
+    onScheduled: (at) => log.info('poll.scheduled', `Next poll at ${formatLondon(at)}${calendar.isPublishingTime(at) ? '' : ' (outside publishing hours)'}`, {
+      at: at.toISOString(), inPublishingHours: calendar.isPublishingTime(at)
+    })
+  });
+  pollScheduler.start();
+
+  // Pick up edits to the config, rules, subscribers, sources and channels files
+  if (loaded.files.length > 0) log.info('config.watching', `Reloading on changes to ${loaded.files.join(', ')}`, { files: loaded.files });
+  stopWatchingConfiguration = watchFiles(loaded.files, reloadConfiguration);
+
+  // Optional auto-shutdown for cron-started runs; a server keeps running
+  if (!serve && CONFIG.maxRunMinutes > 0) {
+    const maxRunMs = CONFIG.maxRunMinutes * 60 * 1000;
+    log.info('watch.time_limited', `Running for ${CONFIG.maxRunMinutes} minute(s)`, { maxRunMinutes: CONFIG.maxRunMinutes });
+    maxRuntimeTimerHandle = setTimeout(() => {
+      log.info('watch.time_up', 'Run time is up; exiting');
+      shutdown();
+    }, maxRunMs);
+  }
 
-  process.on('SIGINT', shutdown);
-  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', () => shutdown());
+  process.on('SIGTERM', () => shutdown());
 }
 
-// (signal handlers bound inside normal run branch)
-
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-  console.error('💥 Uncaught Exception:', error.message);
-  shutdown();
+  log.error('process.uncaught_exception', 'Uncaught exception', { error: error.message, stack: error.stack });
+  shutdown(EXIT_CODES.FAILURE);
 });
 
 process.on('unhandledRejection', (reason) => {
-  console.error('💥 Unhandled Rejection:', reason);
-  shutdown();
+  log.error('process.unhandled_rejection', 'Unhandled rejection', { error: reason instanceof Error ? reason.message : String(reason) });
+  shutdown(EXIT_CODES.FAILURE);
 });
-
-// Unused code
-/**
- * Sends email notification for new publication to multiple recipients
- * @param {Object} publication - Publication details
- */
-// const sendNotification = async (publication) => {
-//   try {
-//     const { data, error } = await resend.emails.send({
-//       from: ENV.senderEmail,
-//       to: ENV.notifyEmails,
-//       subject: '📢 New Ofgem Update! 👁️👃👁️',
-//       html: `
-//         <!DOCTYPE html>
-//         <html>
-//         <head>
-//           <meta charset="utf-8">
-//           <meta name="viewport" content="width=device-width, initial-scale=1.0">
-//           <title>New Ofgem Publication</title>
-//           <style>
-//             body { 
-//               font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
-//               line-height: 1.6; 
-//               color: #2d3748; 
-//               margin: 0; 
-//               padding: 20px; 
-//               background-color: #f7fafc; 
-//             }
-//             .container { 
-//               max-width: 500px; 
-//               margin: 0 auto; 
-//               background: white; 
-//               border-radius: 8px; 
-//               box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); 
-//               overflow: hidden; 
-//             }
-//             .header { 
-//               background: #2d3748; 
-//               color: white; 
-//               padding: 24px; 
-//               text-align: center; 
-//             }
-//             .header h1 { 
-//               margin: 0; 
-//               font-size: 20px; 
-//               font-weight: 500; 
-//               letter-spacing: -0.025em; 
-//             }
-//             .header p { 
-//               margin: 8px 0 0 0; 
-//               opacity: 0.8; 
-//               font-size: 14px; 
-//               font-weight: 400; 
-//             }
-//             .content { 
-//               padding: 24px; 
-//             }
-//             .publication-title { 
-//               font-size: 16px; 
-//               font-weight: 600; 
-//               color: #2d3748; 
-//               margin-bottom: 16px; 
-//               line-height: 1.5; 
-//             }
-//             .publication-meta { 
-//               margin-bottom: 20px; 
-//             }
-//             .meta-item { 
-//               display: flex; 
-//               align-items: center; 
-//               margin-bottom: 8px; 
-//               font-size: 14px; 
-//               color: #4a5568; 
-//             }
-//             .meta-label { 
-//               font-weight: 500; 
-//               color: #2d3748; 
-//               min-width: 80px; 
-//             }
-//             .cta-button { 
-//               display: block; 
-//               background: #2d3748; 
-//               color: white; 
-//               text-decoration: none; 
-//               padding: 16px 32px; 
-//               border-radius: 8px; 
-//               font-weight: 600; 
-//               font-size: 16px; 
-//               margin: 20px auto; 
-//               text-align: center; 
-//               max-width: 280px; 
-//               transition: background-color 0.2s ease; 
-//             }
-//             .cta-button:hover { 
-//               background: #4a5568; 
-//             }
-//             .divider { 
-//               height: 1px; 
-//               background: #e2e8f0; 
-//               margin: 24px 0; 
-//             }
-//             .github-link { 
-//               text-align: center; 
-//               margin: 20px 0; 
-//             }
-//             .github-link a { 
-//               color: #4a5568; 
-//               text-decoration: none; 
-//               font-size: 14px; 
-//               transition: color 0.2s ease; 
-//             }
-//             .github-link a:hover { 
-//               color: #2d3748; 
-//             }
-//             .cv-offer { 
-//               background: #f7fafc; 
-//               padding: 20px; 
-//               border-radius: 6px; 
-//               text-align: center; 
-//               border: 1px solid #e2e8f0; 
-//             }
-//             .cv-offer h3 { 
-//               margin: 0 0 8px 0; 
-//               font-size: 16px; 
-//               font-weight: 600; 
-//               color: #2d3748; 
-//             }
-//             .cv-offer p { 
-//               margin: 0 0 16px 0; 
-//               font-size: 14px; 
-//               color: #4a5568; 
-//             }
-//             .cv-button { 
-//               display: inline-block; 
-//               background: linear-gradient(45deg, #667eea, #764ba2, #f093fb, #f5576c, #4facfe, #00f2fe);
-//               background-size: 300% 300%;
-//               color: white; 
-//               text-decoration: none; 
-//               padding: 10px 18px; 
-//               border-radius: 5px; 
-//               font-weight: 500; 
-//               font-size: 14px; 
-//               transition: all 0.3s ease; 
-//               animation: shimmer 3s ease-in-out infinite;
-//               box-shadow: 0 4px 15px rgba(102, 126, 234, 0.3);
-//             }
-//             .cv-button:hover { 
-//               transform: translateY(-2px);
-//               box-shadow: 0 6px 20px rgba(102, 126, 234, 0.4);
-//               animation: shimmer 1.5s ease-in-out infinite;
-//             }
-//             @keyframes shimmer {
-//               0% { background-position: 0% 50%; }
-//               50% { background-position: 100% 50%; }
-//               100% { background-position: 0% 50%; }
-//             }
-//             .footer { 
-//               background: #f7fafc; 
-//               padding: 20px 24px; 
-//               text-align: center; 
-//               border-top: 1px solid #e2e8f0; 
-//             }
-//             .footer-text { 
-//               color: #718096; 
-//               font-size: 13px; 
-//               margin-bottom: 8px; 
-//             }
-//             .footer-subtext { 
-//               color: #a0aec0; 
-//               font-size: 12px; 
-//             }
-//             @media (max-width: 600px) {
-//               body { padding: 10px; }
-//               .container { margin: 0; border-radius: 6px; }
-//               .header, .content, .footer { padding: 20px; }
-//             }
-//           </style>
-//         </head>
-//         <body>
-//           <div class="container">
-//             <div class="header">
-//               <h1>New Ofgem Update</h1>
-//               <p>Tomato Energy updates delivered to your inbox</p>
-//             </div>
-            
-//             <div class="content">
-//               <div class="publication-title">${publication.title}</div>
-              
-//               <div class="publication-meta">
-//                 <div class="meta-item">
-//                   <span class="meta-label">Published</span>
-//                   <span>${publication.date}</span>
-//                 </div>
-//                 <div class="meta-item">
-//                   <span class="meta-label">Type</span>
-//                   <span>Publication</span>
-//                 </div>
-//               </div>
-              
-//               <a href="${publication.link}" class="cta-button" target="_blank">
-//                 Read Publication
-//               </a>
-              
-//               <div class="divider"></div>
-              
-//                 <div class="cv-offer">
-//                   <h3>Need a boost?</h3>
-//                   <p>Quick motivation to power through your day</p>
-//                   <a href="https://www.youtube.com/watch?v=dQw4w9WgXcQ" class="cv-button" target="_blank">
-//                     Get Motivated
-//                   </a>
-//                 </div>
-//             </div>
-            
-//             <div class="footer">
-//               <div class="footer-text">
-//                 Automated notification from Ofgem Watch
-//               </div>
-//               <div class="footer-subtext">
-//                 Powered by <a href="https://www.shazpay.link" target="_blank" style="color: #2d3748; text-decoration: none;">Shazpay</a>
-//               </div>
-//             </div>
-//           </div>
-//         </body>
-//         </html>
-//       `,
-//       text: `New Ofgem Publication\n\nTitle: ${publication.title}\nPublished: ${publication.date}\nLink: ${publication.link}\n\n---\nAutomated notification from Ofgem Watch`
-//     });
-
-//     if (error) {
-//       throw new Error(error.message);
-//     }
-    
-//     console.log(`✅ Email notification sent successfully to ${ENV.notifyEmails.length} recipient(s)`);
-    
-//   } catch (error) {
-//     console.error('❌ Email notification failed:', error.message);
-//   }
-// };
\ No newline at end of file
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createBrowserPool } = require('../lib/browser');
+
+/**
+ * A stand-in for a Puppeteer browser that records its pages and the
+ * requests each page let through
+ */
+const fakeBrowser = () => {
+  const browser = new EventEmitter();
+  browser.open = 0;
+  browser.mostOpen = 0;
+  browser.closed = false;
+  browser.newPage = async () => {
+    const page = new EventEmitter();
+    page.allowed = [];
+    browser.open++;
+    browser.mostOpen = Math.max(browser.mostOpen, browser.open);
+    page.setRequestInterception = async () => {};
+    // Like Puppeteer, handling a request fails once the page has closed
+    const handle = (fn) => async () => {
+      if (page.closed) throw new Error('Protocol error: Target closed');
+      fn();
+    };
+    page.load = (types) => types.forEach(type => page.emit('request', {
+      resourceType: () => type,
+      abort: handle(() => {}),
+      continue: handle(() => page.allowed.push(type))
+    }));
+    page.close = async () => {
+      page.closed = true;
+      browser.open--;
+    };
+    return page;
+  };
+  browser.close = async () => { browser.closed = true; };
+  return browser;
+};
+
+test('pages share one browser, a few at a time, without images or fonts', async () => {
+  const browsers = [];
+  const pool = createBrowserPool({ concurrency: 2, launch: async () => browsers[browsers.push(fakeBrowser()) - 1] });
+
+  const allowed = await Promise.all([1, 2, 3, 4, 5].map(() => pool.withPage(async (page) => {
+    page.load(['document', 'script', 'image', 'font', 'xhr']);
+    await new Promise(resolve => setImmediate(resolve));
+    return page.allowed;
+  })));
+
+  assert.equal(browsers.length, 1);
+  assert.equal(browsers[0].mostOpen, 2);
+  assert.equal(browsers[0].open, 0);
+  assert.deepEqual(allowed[4], ['document', 'script', 'xhr']);
+  await pool.close();
+  assert.equal(browsers[0].closed, true);
+});
+
+test('requests still arriving after a page closes are ignored', async () => {
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  const pool = createBrowserPool({ launch: async () => fakeBrowser() });
+
+  const page = await pool.withPage(async (open) => open);
+  page.load(['document', 'image']);
+  await new Promise(resolve => setImmediate(resolve));
+
+  process.off('unhandledRejection', onUnhandled);
+  assert.deepEqual(unhandled, []);
+  await pool.close();
+});
+
+test('a crashed or failed browser is relaunched on the next use', async () => {
+  const browsers = [];
+  let failLaunch = true;
+  const pool = createBrowserPool({
+    launch: async () => {
+      if (failLaunch) {
+        failLaunch = false;
+        throw new Error('Failed to launch the browser process');
+      }
+      return browsers[browsers.push(fakeBrowser()) - 1];
+    }
+  });
+
+  await assert.rejects(pool.withPage(async () => {}), /Failed to launch/);
+  assert.equal(pool.stats().active, 0);
+
+  await pool.withPage(async () => {});
+  browsers[0].emit('disconnected');
+  assert.equal(pool.stats().running, false);
+  await pool.withPage(async () => {});
+  assert.equal(browsers.length, 2);
+  assert.equal(pool.stats().launches, 3);
+  await pool.close();
+});
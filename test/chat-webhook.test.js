@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createChatWebhookNotifier } = require('../lib/notifiers/chat-webhook');
+
+/**
+ * Starts a webhook receiver that records each JSON body it is sent
+ * @returns {Promise<{url:string, bodies:Array<Object>, close:() => Promise<void>}>}
+ */
+const startReceiver = async () => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      bodies.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    bodies,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+const message = {
+  heading: 'Ofgem Watch is running',
+  details: ['Publications tracked: 120'],
+  publications: [
+    { title: 'Decision <b>X</b> | see [here](https://evil.example)', link: 'javascript:alert(1)', date: '19 September 2025', matchedRules: ['x_y'] },
+    { title: 'Tomato & partners', link: 'https://www.ofgem.gov.uk/decision/a(b)?x=1&y=2', date: '18 September 2025' }
+  ]
+};
+
+test('Slack and Teams messages escape titles and only link to http(s) pages', async (t) => {
+  const receiver = await startReceiver();
+  t.after(receiver.close);
+  const send = (type) => createChatWebhookNotifier({ id: type, type, urlEnv: 'HOOK_URL' }, { env: { HOOK_URL: receiver.url }, timeout: 2000 }).send(message);
+  await send('slack');
+  await send('teams');
+  const [slack, teams] = receiver.bodies.map(body => body.text);
+
+  assert.match(slack, /^\*Ofgem Watch is running\*\nPublications tracked: 120\n/);
+  assert.match(slack, /• <#\|Decision &lt;b&gt;X&lt;\/b&gt; \| see \[here\]\(https:\/\/evil\.example\)>/);
+  assert.match(slack, /<https:\/\/www\.ofgem\.gov\.uk\/decision\/a%28b%29\?x=1&amp;y=2\|Tomato &amp; partners>/);
+
+  assert.match(teams, /^\*\*Ofgem Watch is running\*\*\n\n- Publications tracked: 120\n\n/);
+  assert.match(teams, /- \[Decision &lt;b&gt;X&lt;\/b&gt; \\\| see \\\[here\\\]\\\(https:\/\/evil\.example\\\)\]\(#\)/);
+  assert.match(teams, /Matched: x\\_y/);
+  assert.match(teams, /\[Tomato &amp; partners\]\(https:\/\/www\.ofgem\.gov\.uk\/decision\/a%28b%29\?x=1&y=2\)/);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadFixture } = require('./helpers/site');
+const { parsePublicationFromMarkup } = require('../lib/sources/ofgem-listing');
+const {
+  compileTaxonomy, compileEntities, loadTaxonomy, loadEntities, createClassifier,
+  compileFilter, matchesFilter, validateFilterNames
+} = require('../lib/classify');
+
+const classifier = createClassifier({
+  taxonomy: loadTaxonomy(path.join(__dirname, '..', 'taxonomy.json')),
+  entities: loadEntities(path.join(__dirname, '..', 'entities.json'))
+});
+const listing = ['listing-page-0.json', 'listing-page-1.json']
+  .flatMap(file => loadFixture(file).items.map(item => parsePublicationFromMarkup(item.markup)));
+
+test('each listing item gets a kind from its path, type and title', () => {
+  assert.deepEqual(listing.map(p => classifier.classify(p).kind), [
+    'consultation', 'decision', 'enforcement', 'guidance', 'open-letter', 'enforcement', 'other'
+  ]);
+  // The page's own type counts before the path; enforcement wording wins over both
+  const link = 'https://www.ofgem.gov.uk/decision/x';
+  assert.equal(classifier.classify({ title: 'RIIO-3 templates', link, type: 'Guidance' }).kind, 'guidance');
+  assert.equal(classifier.classify({ title: 'Investigation into a supplier', link, type: 'Decision' }).kind, 'enforcement');
+  assert.equal(classifier.classify({ title: 'Decision to modify the standard conditions of the gas transporter licence', link }).kind, 'decision');
+  assert.equal(classifier.classify({ title: 'Modification of the electricity supply licence conditions', link }).kind, 'licence-modification');
+});
+
+test('topics and companies are found as whole words in the title and summary', () => {
+  const [tomato, cap, senapt] = listing.map(p => classifier.classify(p));
+  assert.deepEqual(tomato, { kind: 'consultation', tags: ['Retail market'], suppliers: ['Tomato Energy'], networks: [] });
+  assert.deepEqual(cap.tags, ['Price cap']);
+  assert.deepEqual(senapt.suppliers, ['Senapt']);
+
+  const result = classifier.classify({
+    title: 'Assessment of connections',
+    summary: 'Cadent and UKPN responses on the standing charges review; Octopus also wrote.',
+    link: 'https://www.ofgem.gov.uk/publications/x'
+  });
+  assert.deepEqual(result.networks, ['Cadent', 'UK Power Networks']);
+  assert.deepEqual(result.suppliers, ['Octopus Energy']);
+  assert.deepEqual(result.tags, ['Standing charges']);
+});
+
+test('taxonomies and entity lists are validated', () => {
+  assert.throws(() => compileTaxonomy({}), /"topics" array/);
+  assert.throws(() => compileTaxonomy([{ name: 'Price cap', terms: [] }]), /Topic "Price cap": needs at least one term/);
+  assert.throws(() => compileTaxonomy([{ name: 'A', terms: ['a'] }, { name: 'a', terms: ['b'] }]), /Duplicate taxonomy topic "a"/);
+  assert.throws(() => compileEntities([{ name: 'Octopus', kind: 'retailer' }]), /Entity "Octopus": "kind" must be one of supplier, network/);
+  assert.deepEqual(loadTaxonomy(path.join(__dirname, 'no-such-taxonomy.json')), []);
+});
+
+test('filters need every list they set to match', () => {
+  const publication = { kind: 'enforcement', tags: ['Enforcement'], suppliers: ['Senapt'], networks: [] };
+  const filter = (definition) => compileFilter(definition, 'Rule "x"');
+
+  assert.equal(filter({ any: ['x'] }), null);
+  assert.ok(matchesFilter(filter({ kinds: ['enforcement', 'decision'] }), publication));
+  assert.ok(matchesFilter(filter({ kinds: 'enforcement', entities: ['senapt'] }), publication));
+  assert.equal(matchesFilter(filter({ kinds: ['enforcement'], tags: ['Price cap'] }), publication), false);
+  assert.equal(matchesFilter(filter({ entities: ['Cadent'] }), publication), false);
+  assert.throws(() => filter({ kinds: ['order'] }), /Rule "x": unknown kind "order"/);
+
+  assert.throws(() => validateFilterNames([{ where: 'Subscriber a@b.c', filter: filter({ tags: ['Prices'] }) }], classifier),
+    /Subscriber a@b\.c: unknown taxonomy topic "Prices"/);
+  assert.doesNotThrow(() => validateFilterNames([{ where: 'Rule "x"', filter: filter({ entities: ['cadent'] }) }], classifier));
+});
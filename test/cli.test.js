@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommandLine, formatHelp } = require('../lib/cli');
+const { SETTINGS } = require('../lib/config');
+
+const DEFAULTS = {
+  pollInterval: 300000,
+  rulesFile: 'watch-rules.json',
+  notifyEmails: [],
+  feedDir: null
+};
+
+test('subcommands are parsed with their arguments and flags', () => {
+  assert.deepEqual(parseCommandLine(['rules', 'validate', 'new.yaml']), { command: 'rules validate', args: ['new.yaml'], flags: {} });
+  const { command, flags } = parseCommandLine(['test-email', '--to', 'a@example.com', '--to', 'b@example.com']);
+  assert.equal(command, 'test-email');
+  assert.deepEqual(flags.to, ['a@example.com', 'b@example.com']);
+  assert.equal(parseCommandLine(['--help']).command, 'help');
+});
+
+test('no command watches, and the old flags still select their commands', () => {
+  assert.equal(parseCommandLine([]).command, 'watch');
+  assert.equal(parseCommandLine(['--serve']).command, 'watch');
+  assert.equal(parseCommandLine(['--sync-state']).command, 'sync-state');
+  assert.equal(parseCommandLine(['--consultations']).command, 'list consultations');
+  assert.equal(parseCommandLine(['--dead-letters', '--retry']).command, 'dead-letters');
+  assert.equal(parseCommandLine(['--dry-run']).command, 'poll');
+  assert.equal(parseCommandLine(['--backfill', '--dry-run', '--since', '2025-01-01']).command, 'backfill');
+});
+
+test('unknown commands, options and stray arguments are usage errors', () => {
+  assert.throws(() => parseCommandLine(['pol']), /Unknown command "pol"/);
+  assert.throws(() => parseCommandLine(['rules', 'check']), /Unknown command "rules check" \(expected "rules validate"\)/);
+  assert.throws(() => parseCommandLine(['config']), /Unknown command "config" \(expected "config validate"\)/);
+  assert.throws(() => parseCommandLine(['poll', 'now']), /Unexpected argument "now" for poll/);
+  assert.throws(() => parseCommandLine(['poll', '--dryrun']), /Unknown option --dryrun/);
+  assert.throws(() => parseCommandLine(['backfill', '--since']), /--since/);
+});
+
+test('every setting has a flag and an environment variable listed in the help', () => {
+  const help = formatHelp(DEFAULTS);
+  for (const setting of SETTINGS) {
+    assert.ok(help.includes(`--${setting.flag} / ${setting.env}`), setting.key);
+  }
+  assert.equal(new Set(SETTINGS.map(setting => setting.flag)).size, SETTINGS.length);
+  assert.equal(new Set(SETTINGS.map(setting => setting.env)).size, SETTINGS.length);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { applySettings, loadConfiguration, keepRestartSettings, watchFiles } = require('../lib/config');
+const { tempDir } = require('./helpers/watcher');
+
+const DEFAULTS = {
+  sources: [{ id: 'ofgem-publications', type: 'ofgem-listing', apiUrl: 'http://127.0.0.1:9/api', searchUrl: false }],
+  sourcesFile: 'sources.json',
+  channels: [{ id: 'email', type: 'resend' }],
+  channelsFile: 'channels.json',
+  rulesFile: 'watch-rules.json',
+  subscribersFile: 'subscribers.json',
+  pollInterval: 300000,
+  stateFile: 'state.json',
+  notifyEmails: [],
+  senderEmail: null,
+  operatorEmails: [],
+  operatorChannels: [],
+  reminderDays: '14,7,1',
+  deliveryRetry: { maxAttempts: 8, baseDelay: 60000, maxDelay: 3600000 },
+  feedDir: null,
+  dashboardToken: null
+};
+const ENV = { RESEND_API_KEY: 're_test', SENDER_EMAIL: 'alerts@example.com' };
+
+const problemsOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.problems;
+  }
+  assert.fail('expected a configuration error');
+};
+
+const writeConfig = (dir, document) => {
+  const file = path.join(dir, 'ofgem-watch.json');
+  fs.writeFileSync(file, JSON.stringify(document));
+  return file;
+};
+
+test('a flag beats the environment, which beats the config file', () => {
+  const config = applySettings(DEFAULTS, {
+    file: { pollInterval: 90000, rulesFile: 'file.yaml', notifyEmails: ['c@example.com'], feedDir: null },
+    flags: { 'poll-interval': '60000' },
+    env: { POLL_INTERVAL: '120000', RULES_FILE: 'team.yaml', NOTIFY_EMAILS: 'a@example.com, b@example.com', FEED_DIR: '' }
+  });
+  assert.equal(config.pollInterval, 60000);
+  assert.equal(config.rulesFile, 'team.yaml');
+  assert.deepEqual(config.notifyEmails, ['a@example.com', 'b@example.com']);
+  assert.equal(config.feedDir, null);
+  assert.equal(applySettings(DEFAULTS, { file: { notifyEmails: ['c@example.com'] } }).notifyEmails[0], 'c@example.com');
+});
+
+test('nested settings are overridden without touching the defaults', () => {
+  const config = applySettings(DEFAULTS, { file: { deliveryRetry: { baseDelay: 1000 } }, env: { DELIVERY_MAX_ATTEMPTS: '3' } });
+  assert.deepEqual(config.deliveryRetry, { maxAttempts: 3, baseDelay: 1000, maxDelay: 3600000 });
+  assert.equal(DEFAULTS.deliveryRetry.maxAttempts, 8);
+});
+
+test('every bad setting is reported at once, with where it came from', () => {
+  assert.deepEqual(problemsOf(() => applySettings(DEFAULTS, {
+    file: { pollIntervall: 1000, dashboardToken: 'hunter2', digestDay: 'Funday', pollInterval: 10 },
+    flags: { 'max-pages': '10x' },
+    env: { PORT: '-1' }
+  })), [
+    'settings.pollIntervall is not a setting (did you mean "pollInterval"?)',
+    'settings.dashboardToken is a secret; set DASHBOARD_TOKEN in the environment instead',
+    'settings.digestDay must be one of sunday, monday, tuesday, wednesday, thursday, friday, saturday (got "Funday")',
+    'settings.pollInterval must be at least 1000 (got 10)',
+    '--max-pages must be a whole number (got "10x")',
+    'PORT must be a whole number (got "-1")'
+  ]);
+});
+
+test('one config file holds settings, sources, channels, rules and subscribers', (t) => {
+  const dir = tempDir(t);
+  const file = writeConfig(dir, {
+    settings: { pollInterval: 60000, reminderDays: '3' },
+    sources: [{ id: 'decisions', type: 'ofgem-listing', apiUrl: 'http://127.0.0.1:9/api', searchUrl: false }],
+    channels: [{ id: 'email', type: 'resend' }, { id: 'team-chat', type: 'slack', urlEnv: 'SLACK_URL' }],
+    rules: [{ name: 'price-cap', any: ['price cap'], channels: ['team-chat'] }],
+    subscribers: [{ email: 'ana@example.com', mode: 'daily' }]
+  });
+
+  const loaded = loadConfiguration({ defaults: DEFAULTS, flags: { config: file }, env: { ...ENV, SLACK_URL: 'https://hooks.example.com/x' } });
+  assert.equal(loaded.config.pollInterval, 60000);
+  assert.deepEqual(loaded.reminderDays, [3]);
+  assert.deepEqual(loaded.sources.map(source => source.id), ['decisions']);
+  assert.deepEqual(loaded.channels.map(channel => channel.id), ['email', 'team-chat']);
+  assert.deepEqual(loaded.watchRules.map(rule => rule.name), ['price-cap']);
+  assert.deepEqual(loaded.subscribers.map(subscriber => [subscriber.email, subscriber.mode]), [['ana@example.com', 'daily']]);
+  assert.deepEqual(loaded.files, [file]);
+});
+
+test('loading lists the problems in every section of the config file', (t) => {
+  const dir = tempDir(t);
+  const file = writeConfig(dir, {
+    channels: [{ id: 'team-chat', type: 'slack', url: 'https://hooks.example.com/x' }],
+    rules: [{ name: 'price-cap' }],
+    sources: [{ id: 'decisions', type: 'rss' }]
+  });
+
+  const problems = problemsOf(() => loadConfiguration({ defaults: DEFAULTS, flags: { config: file }, env: ENV }));
+  assert.equal(problems.length, 3);
+  assert.match(problems[0], new RegExp(`^${file.replace(/[\\.]/g, '\\$&')} \\(rules\\): `));
+  assert.match(problems[1], /\(channels\): Channel "team-chat": do not put "url" in the file; set it in an environment variable and name that in "urlEnv"/);
+  assert.match(problems[2], /\(sources\): .*rss/);
+});
+
+test('filters must name topics and companies from the taxonomy and entity list', (t) => {
+  const dir = tempDir(t);
+  const file = writeConfig(dir, {
+    taxonomy: [{ name: 'Price cap', terms: ['price cap'] }],
+    entities: [{ name: 'Cadent', kind: 'network' }],
+    rules: [{ name: 'cap', tags: ['Price cap'], entities: ['Cadant'] }],
+    subscribers: [{ email: 'ana@example.com', tags: ['Prices'], groupBy: 'tag' }]
+  });
+  assert.deepEqual(problemsOf(() => loadConfiguration({ defaults: DEFAULTS, flags: { config: file }, env: ENV })), [
+    'kinds / tags / entities: Rule "cap": unknown entity "Cadant" (known: Cadent)'
+  ]);
+
+  fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('Cadant', 'Cadent'));
+  assert.match(problemsOf(() => loadConfiguration({ defaults: DEFAULTS, flags: { config: file }, env: ENV }))[0],
+    /Subscriber ana@example\.com: unknown taxonomy topic "Prices"/);
+});
+
+test('the outline of the config file is checked before anything else', (t) => {
+  const dir = tempDir(t);
+  const file = writeConfig(dir, { setings: {}, rules: { name: 'x' } });
+  assert.deepEqual(problemsOf(() => loadConfiguration({ defaults: DEFAULTS, flags: { config: file }, env: ENV })), [
+    `${file}: unknown section "setings" (did you mean "settings"?)`,
+    `${file}: "rules" must be a list`
+  ]);
+  assert.deepEqual(problemsOf(() => loadConfiguration({ defaults: DEFAULTS, env: { ...ENV, CONFIG_FILE: path.join(dir, 'missing.yaml') } })),
+    [`${path.join(dir, 'missing.yaml')}: file not found`]);
+});
+
+test('a configuration nobody would receive alerts from is refused', (t) => {
+  const dir = tempDir(t);
+  const file = writeConfig(dir, { rules: [{ name: 'price-cap', any: ['price cap'] }] });
+  assert.deepEqual(problemsOf(() => loadConfiguration({ defaults: DEFAULTS, flags: { config: file }, env: ENV })),
+    ['Nobody would receive alerts: set NOTIFY_EMAILS, add subscribers, or give a watch rule its own channels']);
+
+  const heartbeat = writeConfig(dir, { settings: { heartbeatHour: 9, notifyEmails: ['analyst@example.com'] } });
+  assert.deepEqual(problemsOf(() => loadConfiguration({ defaults: DEFAULTS, flags: { config: heartbeat }, env: ENV })),
+    ['heartbeatHour: nobody would receive the heartbeat; set OPERATOR_EMAILS or OPERATOR_CHANNELS']);
+});
+
+test('a reload keeps the settings that need a restart', () => {
+  const running = { ...DEFAULTS, stateFile: 'state.json', pollInterval: 300000 };
+  const { config, ignored } = keepRestartSettings(running, { ...DEFAULTS, stateFile: 'other.json', pollInterval: 60000 });
+  assert.equal(config.stateFile, 'state.json');
+  assert.equal(config.pollInterval, 60000);
+  assert.deepEqual(ignored, ['stateFile']);
+});
+
+test('changes to a watched file are reported once they settle', async (t) => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'ofgem-watch.yaml');
+  fs.writeFileSync(file, 'settings: {}\n');
+  let changes = 0;
+  const stop = watchFiles([file], () => changes++, 20);
+  t.after(stop);
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const later = new Date(Date.now() + 5000);
+  fs.writeFileSync(file, 'settings:\n  pollInterval: 60000\n');
+  fs.utimesSync(file, later, later);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(changes, 1);
+});
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePublicationPage } = require('../lib/details');
+const { readFixture } = require('./helpers/site');
+
+const LINK = 'https://www.ofgem.gov.uk/consultation/statutory-consultation-tomato-energy-supply-licence';
+
+test('a closing <time> is read as its London day', () => {
+  assert.equal(parsePublicationPage(readFixture('consultation-page.html'), LINK).closingDate, '2025-11-03');
+
+  const midnightBst = readFixture('consultation-page.html')
+    .replace('datetime="2025-11-03T12:00:00Z"', 'datetime="2026-07-01T00:00:00+01:00"');
+  assert.equal(parsePublicationPage(midnightBst, LINK).closingDate, '2026-07-01');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const digest = require('../lib/digest');
+const { compileRules } = require('../lib/rules');
+
+const daily = { cadence: 'daily', hour: 8, weekday: 1 };
+const weekly = { cadence: 'weekly', hour: 8, weekday: 1 }; // Mondays
+
+test('lastScheduledTime finds the latest slot at or before now, on London time', () => {
+  // Wednesday 17 September 2025, when London is on BST (UTC+1)
+  assert.equal(digest.lastScheduledTime(daily, new Date('2025-09-17T09:00:00+01:00')).toISOString(), '2025-09-17T07:00:00.000Z');
+  assert.equal(digest.lastScheduledTime(daily, new Date('2025-09-17T07:59:00+01:00')).toISOString(), '2025-09-16T07:00:00.000Z');
+  assert.equal(digest.lastScheduledTime(weekly, new Date('2025-09-17T09:00:00+01:00')).toISOString(), '2025-09-15T07:00:00.000Z');
+  assert.equal(digest.lastScheduledTime(weekly, new Date('2025-09-15T07:00:00+01:00')).toISOString(), '2025-09-08T07:00:00.000Z');
+  // In winter London is on GMT
+  assert.equal(digest.lastScheduledTime(daily, new Date('2025-12-03T09:00:00Z')).toISOString(), '2025-12-03T08:00:00.000Z');
+});
+
+test('dueWindow starts where the previous digest stopped', () => {
+  const now = new Date('2025-09-17T09:00:00+01:00');
+  assert.deepEqual(digest.dueWindow(daily, undefined, now), {
+    from: new Date('2025-09-16T08:00:00+01:00'),
+    to: new Date('2025-09-17T08:00:00+01:00')
+  });
+  assert.equal(digest.dueWindow(daily, '2025-09-17T07:00:00.000Z', now), null);
+  // After two days of downtime one digest covers the whole gap
+  assert.deepEqual(digest.dueWindow(daily, '2025-09-15T07:00:00.000Z', now).from, new Date('2025-09-15T07:00:00Z'));
+  // The first window is one London day even across a clock change
+  assert.deepEqual(digest.dueWindow(daily, undefined, new Date('2025-10-26T09:00:00Z')), {
+    from: new Date('2025-10-25T08:00:00+01:00'),
+    to: new Date('2025-10-26T08:00:00Z')
+  });
+});
+
+test('collectDigestItems picks new and edited items in the window, skipping back-fill', () => {
+  const state = {
+    sources: {
+      ofgem: {
+        publications: {
+          '/a': { key: '/a', title: 'Tomato decision', link: 'https://x/a', firstSeen: '2025-09-16T12:00:00Z', matchedRules: ['tomato'] },
+          '/b': { key: '/b', title: 'Annual report', link: 'https://x/b', firstSeen: '2025-09-16T13:00:00Z', matchedRules: [] },
+          '/c': { key: '/c', title: 'Tomato licence', link: 'https://x/c', firstSeen: '2025-09-01T12:00:00Z', updatedAt: '2025-09-16T14:00:00Z', changes: [{ field: 'title' }], matchedRules: ['tomato'] },
+          '/d': { key: '/d', title: 'Old tomato item', link: 'https://x/d', firstSeen: '2025-09-16T15:00:00Z', backfilled: true, matchedRules: ['tomato'] }
+        }
+      }
+    }
+  };
+  const window = { from: new Date('2025-09-16T08:00:00Z'), to: new Date('2025-09-17T08:00:00Z') };
+
+  const matched = digest.collectDigestItems(state, window, { followed: new Set(['tomato']), scope: 'matched' });
+  assert.deepEqual(matched.map(item => item.key).sort(), ['/a', '/c']);
+  assert.ok(matched.find(item => item.key === '/c').changes);
+  assert.equal(matched.find(item => item.key === '/a').changes, undefined);
+
+  const all = digest.collectDigestItems(state, window, { followed: new Set(['tomato']), scope: 'all' });
+  assert.deepEqual(all.map(item => item.key).sort(), ['/a', '/b', '/c']);
+
+  const sections = digest.groupDigestItems(all, compileRules({ rules: [{ name: 'tomato', any: ['tomato'] }] }));
+  assert.deepEqual(sections.map(section => section.title), ['tomato · Publication', 'Other publications · Publication']);
+});
+
+test('groupDigestItems can group by kind, topic or company', () => {
+  const items = [
+    { title: 'Senapt final order', kind: 'enforcement', tags: ['Enforcement'], suppliers: ['Senapt'], networks: [], matchedRules: [] },
+    { title: 'Cap decision', kind: 'decision', tags: ['Price cap'], suppliers: [], networks: [], matchedRules: [] },
+    { title: 'Annual report', kind: 'other', tags: [], suppliers: [], networks: [], matchedRules: [] },
+    { title: 'Cadent consultation', kind: 'consultation', tags: [], suppliers: [], networks: ['Cadent'], matchedRules: [] }
+  ];
+  const titles = (groupBy) => digest.groupDigestItems(items, [], groupBy).map(section => section.title);
+
+  assert.deepEqual(titles('kind'), ['Enforcement', 'Consultation', 'Decision', 'Other']);
+  assert.deepEqual(titles('tag'), ['Enforcement', 'Price cap', 'Other topics']);
+  assert.deepEqual(titles('entity'), ['Cadent', 'Senapt', 'No company named']);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const health = require('../lib/health');
+
+const poll = (history, samples, start = Date.parse('2025-09-20T08:00:00Z')) =>
+  samples.map((sample, i) => health.recordSample(history, 'ofgem', sample, health.DEFAULT_THRESHOLDS, new Date(start + i * 5 * 60 * 1000)));
+
+test('items that all fail to parse raise an alert once, then a recovery', () => {
+  const history = { sources: {} };
+  const alerts = poll(history, [
+    { items: 10, parsed: 10 },
+    { items: 10, parsed: 0, fallback: true },
+    { items: 10, parsed: 0, fallback: true },
+    { items: 10, parsed: 10 }
+  ]);
+
+  assert.deepEqual(alerts.map(list => list.map(a => `${a.condition}:${a.status}`)), [
+    [],
+    ['parse-failure:raised'],
+    [],
+    ['parse-failure:resolved']
+  ]);
+  assert.deepEqual(health.openProblems(history), []);
+});
+
+test('a sharp drop against the usual parse rate is flagged', () => {
+  const history = { sources: {} };
+  const alerts = poll(history, [
+    { items: 10, parsed: 10 },
+    { items: 10, parsed: 9 },
+    { items: 10, parsed: 10 },
+    { items: 10, parsed: 3 }
+  ]).flat();
+
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].condition, 'parse-drop');
+  assert.match(alerts[0].message, /30%.*usually 100%/);
+  assert.equal(health.openProblems(history)[0].condition, 'parse-drop');
+});
+
+test('repeated use of the fallback is flagged from the third poll', () => {
+  const history = { sources: {} };
+  const alerts = poll(history, [
+    { items: 0, parsed: 0, fallback: true },
+    { items: 0, parsed: 0, fallback: true },
+    { items: 0, parsed: 0, fallback: true }
+  ]);
+  assert.deepEqual(alerts.map(list => list.map(a => a.condition)), [[], [], ['fallback']]);
+});
+
+test('an open problem is repeated once the repeat interval has passed', () => {
+  const history = { sources: {} };
+  const start = Date.parse('2025-09-20T08:00:00Z');
+  const broken = { items: 10, parsed: 0 };
+  health.recordSample(history, 'ofgem', broken, health.DEFAULT_THRESHOLDS, new Date(start));
+  assert.deepEqual(health.recordSample(history, 'ofgem', broken, health.DEFAULT_THRESHOLDS, new Date(start + 60 * 60 * 1000)), []);
+
+  const [repeat] = health.recordSample(history, 'ofgem', broken, health.DEFAULT_THRESHOLDS, new Date(start + 25 * 60 * 60 * 1000));
+  assert.equal(repeat.status, 'ongoing');
+  assert.equal(repeat.since, new Date(start).toISOString());
+});
+
+test('polls that fetch nothing alert in place of the fallback warning', () => {
+  const history = { sources: {} };
+  const alerts = poll(history, [
+    { items: 0, parsed: 0, fallback: true, fetched: 0 },
+    { items: 0, parsed: 0, fallback: true, fetched: 0 },
+    { items: 0, parsed: 0, fallback: false, fetched: 0, error: 'fetch failed' },
+    { items: 10, parsed: 10, fetched: 10 }
+  ]);
+  assert.deepEqual(alerts.map(list => list.map(a => `${a.condition}:${a.status}`)), [[], [], ['fetch-failure:raised'], ['fetch-failure:resolved']]);
+  assert.match(alerts[2][0].message, /3 consecutive polls \(last error: fetch failed\)/);
+});
+
+test('a source quiet for several working days is flagged until something new arrives', () => {
+  const history = { sources: {} };
+  const weekdays = (day) => ![0, 6].includes(new Date(`${day}T00:00:00Z`).getUTCDay());
+  const at = (iso, sample) => health.recordSample(history, 'ofgem', { items: 10, parsed: 10, fetched: 10, ...sample }, health.DEFAULT_THRESHOLDS, new Date(iso), weekdays);
+
+  at('2025-09-19T10:00:00+01:00', { unseen: 2 }); // Friday
+  // Monday to Wednesday are the three full working days
+  assert.deepEqual(at('2025-09-24T17:00:00+01:00', { unseen: 0 }), []);
+  const [quiet] = at('2025-09-25T09:00:00+01:00', { unseen: 0 });
+  assert.equal(quiet.condition, 'quiet');
+  assert.match(quiet.message, /No new publications for 3 working days \(last on 19\/09\/2025, 10:00:00\)/);
+
+  // A failed fetch neither raises nor clears it
+  assert.deepEqual(at('2025-09-25T10:00:00+01:00', { fetched: 0, items: 0, error: 'timeout' }), []);
+  assert.deepEqual(at('2025-09-25T11:00:00+01:00', { unseen: 1 }).map(a => a.status), ['resolved']);
+});
+
+test('a run of failed sends raises a delivery alert until one succeeds', () => {
+  const history = health.loadHealth('/nonexistent/health.json');
+  assert.deepEqual(health.recordDeliveries(history, { sent: 0, failed: 2, lastError: 'invalid API key' }), []);
+  const [raised] = health.recordDeliveries(history, { sent: 0, failed: 1, lastError: 'invalid API key' });
+  assert.equal(raised.source, health.DELIVERY);
+  assert.match(raised.message, /3 notification send\(s\) in a row have failed \(last error: invalid API key\)/);
+  assert.equal(health.openProblems(history)[0].condition, 'delivery-failure');
+
+  assert.deepEqual(health.recordDeliveries(history, { sent: 0, failed: 0 }), []);
+  assert.deepEqual(health.recordDeliveries(history, { sent: 1, failed: 0 }).map(a => a.status), ['resolved']);
+  assert.deepEqual({ sent: history.stats.sent, failedSends: history.stats.failedSends }, { sent: 1, failedSends: 3 });
+});
+
+test('the heartbeat is due once a day after its hour, London time', () => {
+  const history = health.loadHealth('/nonexistent/health.json');
+  assert.equal(health.heartbeatDue(history, null), false);
+  assert.equal(health.heartbeatDue(history, 9, new Date('2025-09-19T08:30:00+01:00')), true);
+
+  health.recordPoll(history, { ok: true, matched: 1, sources: [{ new: 2 }, { error: 'timeout' }] });
+  const covered = health.resetStats(history, new Date('2025-09-19T08:30:00+01:00'));
+  assert.deepEqual([covered.polls, covered.failedPolls, covered.newItems, covered.matched], [1, 1, 2, 1]);
+  assert.equal(history.stats.polls, 0);
+
+  // Sent at 08:30 for the 18th's slot; the next is due at 09:00
+  assert.equal(health.heartbeatDue(history, 9, new Date('2025-09-19T08:59:00+01:00')), false);
+  assert.equal(health.heartbeatDue(history, 9, new Date('2025-09-19T09:00:00+01:00')), true);
+});
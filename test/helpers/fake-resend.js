@@ -0,0 +1,60 @@
+/**
+ * Capturing fake for the Resend API
+ *
+ * Records every email the Resend notifier sends and can be told to reject
+ * the next few. The resend package reads RESEND_BASE_URL when it is first
+ * loaded, so start the fake before anything requires lib/notifiers.
+ */
+
+const http = require('http');
+
+/**
+ * Starts the fake on a random local port and points RESEND_BASE_URL at it
+ * @returns {Promise<{url:string, emails:Array<Object>, failNext:(count?:number, message?:string) => void,
+ *   close:() => Promise<void>}>} emails: request bodies of accepted sends, oldest first
+ */
+const startFakeResend = async () => {
+  const emails = [];
+  let failures = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.method !== 'POST' || req.url !== '/emails') {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ statusCode: 404, name: 'not_found', message: 'Not found' }));
+        return;
+      }
+      if (failures.length > 0) {
+        const message = failures.shift();
+        res.statusCode = 500;
+        res.end(JSON.stringify({ statusCode: 500, name: 'application_error', message }));
+        return;
+      }
+      emails.push(JSON.parse(body));
+      res.end(JSON.stringify({ id: `email-${emails.length}` }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.RESEND_BASE_URL = url;
+
+  return {
+    url,
+    emails,
+    failNext: (count = 1, message = 'Internal server error') => {
+      failures = failures.concat(Array(count).fill(message));
+    },
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = {
+  startFakeResend
+};
@@ -0,0 +1,97 @@
+/**
+ * Local stand-in for the Ofgem website
+ *
+ * Serves listing API pages and publication pages from fixtures so sources,
+ * detail fetching and the whole poll cycle run without network access. The
+ * `listing` and `pages` objects can be changed between polls to simulate new
+ * or edited publications. Listing pages carry an ETag and answer a matching
+ * If-None-Match with 304; failNext() makes the next requests fail.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const LISTING_PATH = '/api/listing/4044';
+
+/**
+ * Reads a fixture file
+ * @param {string} name - File name under test/fixtures
+ * @returns {string}
+ */
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+/**
+ * Reads a JSON fixture; each call returns a fresh copy
+ * @param {string} name
+ * @returns {Object}
+ */
+const loadFixture = (name) => JSON.parse(readFixture(name));
+
+/**
+ * Starts the stand-in site on a random local port
+ * @param {{listing?:Array<Object>, pages?:Object<string, string>}} [content]
+ *   listing: API responses by zero-based page number; pages: HTML keyed by path
+ * @returns {Promise<{url:string, listingUrl:string, listing:Array<Object>, pages:Object<string, string>,
+ *   requests:Array<string>, failNext:(count?:number, status?:number, headers?:Object) => void,
+ *   close:() => Promise<void>}>} requests: method, path and whether it was conditional
+ */
+const startSite = async ({ listing = [], pages = {} } = {}) => {
+  let failures = [];
+  const site = {
+    listing,
+    pages,
+    requests: [],
+    failNext: (count = 1, status = 503, headers = {}) => {
+      failures = failures.concat(Array(count).fill({ status, headers }));
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    site.requests.push(`${req.method} ${url.pathname}${url.search}${req.headers['if-none-match'] ? ' (conditional)' : ''}`);
+
+    if (failures.length > 0) {
+      const { status, headers } = failures.shift();
+      res.writeHead(status, { 'Content-Type': 'text/plain', ...headers });
+      res.end('Unavailable');
+    } else if (url.pathname === LISTING_PATH) {
+      const body = JSON.stringify(site.listing[Number(url.searchParams.get('page') || 0)] || { items: [] });
+      const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json', ETag: etag });
+      res.end(body);
+    } else if (site.pages[url.pathname]) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(req.method === 'HEAD' ? undefined : site.pages[url.pathname]);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return Object.assign(site, {
+    url,
+    listingUrl: `${url}${LISTING_PATH}`,
+    close: () => new Promise((resolve) => {
+      // fetch keeps connections alive; drop them so the test process can exit
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  });
+};
+
+module.exports = {
+  readFixture,
+  loadFixture,
+  startSite
+};
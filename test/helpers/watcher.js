@@ -0,0 +1,131 @@
+/**
+ * Builds a watcher for tests: state files in a temporary directory, the
+ * listing source pointed at the stand-in site and email sent through the
+ * real Resend notifier to the fake Resend API (start that first).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Makes a temporary directory removed when the test finishes
+ * @param {Object} t - node:test context
+ * @returns {string}
+ */
+const tempDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ofgem-watch-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+/**
+ * Hides the watcher's console output for the rest of a test
+ * @param {Object} t - node:test context
+ */
+const silenceConsole = (t) => {
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, () => {});
+  }
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.dir - Directory for state files
+ * @param {string} options.listingUrl - Listing API URL of the stand-in site
+ * @param {Array<Object>} options.rules - Raw watch rule definitions
+ * @param {Array<Object>} [options.subscribers] - Raw subscriber entries (default: one instant subscriber)
+ * @param {Array<string>} [options.operatorEmails]
+ * @param {Object} [options.config] - CONFIG overrides
+ * @param {string} [options.templatesDir] - Message templates of your own
+ * @param {boolean} [options.dryRun]
+ * @returns {Object} Watcher, plus the `config` it was built with
+ */
+const createTestWatcher = ({ dir, listingUrl, rules, subscribers, operatorEmails = [], config: overrides = {}, templatesDir = null, dryRun = false }) => {
+  // Required lazily so the resend package sees RESEND_BASE_URL from the fake
+  const { compileRules } = require('../../lib/rules');
+  const { loadSubscribers } = require('../../lib/subscribers');
+  const { loadSources } = require('../../lib/sources');
+  const { loadChannels, resolveOperatorTargets } = require('../../lib/notifiers');
+  const { createWatcher } = require('../../lib/watcher');
+  const { loadTemplates } = require('../../lib/templates');
+  const { createClassifier, loadTaxonomy, loadEntities } = require('../../lib/classify');
+  const { createHttpClient } = require('../../lib/http-client');
+
+  const config = {
+    sources: [{
+      id: 'ofgem-publications',
+      name: 'Ofgem publications',
+      type: 'ofgem-listing',
+      apiUrl: listingUrl,
+      searchUrl: false,
+      waitForToday: false
+    }],
+    stateFile: path.join(dir, 'state.json'),
+    outboxFile: path.join(dir, 'outbox.json'),
+    digestStateFile: path.join(dir, 'digest_state.json'),
+    healthStateFile: path.join(dir, 'health_state.json'),
+    deliveryRetry: { maxAttempts: 3, baseDelay: 60 * 1000, maxDelay: 60 * 60 * 1000 },
+    dailyDigestHour: 8,
+    digestDay: 'monday',
+    apiTimeout: 2000,
+    detailTimeout: 2000,
+    maxDetailFetches: 20,
+    contentCheckDays: 14,
+    contentCheckInterval: 60 * 60 * 1000,
+    rateLimitDelay: 0,
+    maxRetries: 0,
+    maxPages: 10,
+    maxBackfillPages: 10,
+    feedDir: null,
+    feedBaseUrl: null,
+    feedSize: 100,
+    ...overrides
+  };
+
+  // Shared by the sources and detail fetches, with no waiting between retries
+  const http = createHttpClient({
+    userAgent: 'Ofgem-Watch-Test',
+    cacheFile: path.join(dir, 'http_cache.json'),
+    readOnly: dryRun,
+    breakerThreshold: config.circuitBreakerThreshold || 5,
+    sleep: async () => {}
+  });
+  const watchRules = compileRules({ rules });
+  const channels = loadChannels(null, [{ id: 'email', type: 'resend' }], {
+    env: { RESEND_API_KEY: 're_test' },
+    senderEmail: 'Ofgem Watch <watch@example.com>',
+    timeout: 2000
+  });
+
+  let subscribersFile = null;
+  if (subscribers) {
+    subscribersFile = path.join(dir, 'subscribers.json');
+    fs.writeFileSync(subscribersFile, JSON.stringify({ subscribers }));
+  }
+
+  const watcher = createWatcher({
+    config,
+    watchRules,
+    subscribers: loadSubscribers(subscribersFile, watchRules, ['analyst@example.com'], channels),
+    channels,
+    sources: loadSources(null, config.sources, { ...config, http }),
+    http,
+    operatorTargets: resolveOperatorTargets([], operatorEmails, channels),
+    reminderDays: [14, 7, 1],
+    templates: loadTemplates(templatesDir),
+    // The maintained taxonomy and entity list from the repository root
+    classifier: createClassifier({
+      taxonomy: loadTaxonomy(path.join(__dirname, '..', '..', 'taxonomy.json')),
+      entities: loadEntities(path.join(__dirname, '..', '..', 'entities.json'))
+    }),
+    dryRun
+  });
+  return { ...watcher, config };
+};
+
+module.exports = {
+  tempDir,
+  silenceConsole,
+  createTestWatcher
+};
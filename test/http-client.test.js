@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHttpClient, parseRetryAfter, backoffDelay } = require('../lib/http-client');
+const { silenceConsole } = require('./helpers/watcher');
+
+const ORIGIN = 'https://www.ofgem.gov.uk';
+const URL_A = `${ORIGIN}/api/listing/4044`;
+
+/**
+ * A fetch that answers from a script of responses and records each request
+ * @param {Array<{status:number, body?:string, headers?:Object}|Error>} script
+ */
+const scriptedFetch = (script) => {
+  const calls = [];
+  const fetch = async (url, options) => {
+    calls.push({ url, headers: options.headers });
+    const next = script.shift();
+    if (next instanceof Error) throw next;
+    return new Response(next.status === 304 ? null : next.body ?? '', { status: next.status, headers: next.headers });
+  };
+  return { fetch, calls };
+};
+
+const tempFile = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ofgem-http-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'http_cache.json');
+};
+
+test('responses with an ETag are revalidated and a 304 is answered from the disk cache', async (t) => {
+  const cacheFile = tempFile(t);
+  const first = scriptedFetch([{ status: 200, body: '{"items":[]}', headers: { ETag: '"v1"' } }]);
+  const client = createHttpClient({ cacheFile, userAgent: 'Test/1', fetch: first.fetch });
+  const response = await client.request(URL_A);
+  assert.equal(response.fromCache, false);
+  assert.equal(first.calls[0].headers['User-Agent'], 'Test/1');
+  // Nothing is written until the poll saves
+  assert.equal(fs.existsSync(cacheFile), false);
+  client.save();
+
+  // A new client, as in the next cron run, reads the cache back
+  const second = scriptedFetch([{ status: 304, headers: { ETag: '"v1"' } }]);
+  const cached = await createHttpClient({ cacheFile, fetch: second.fetch }).request(URL_A);
+  assert.equal(second.calls[0].headers['If-None-Match'], '"v1"');
+  assert.deepEqual({ status: cached.status, body: cached.body, fromCache: cached.fromCache }, { status: 200, body: '{"items":[]}', fromCache: true });
+});
+
+test('429 and 5xx responses are retried, waiting for Retry-After when given', async (t) => {
+  silenceConsole(t);
+  const waits = [];
+  const { fetch, calls } = scriptedFetch([
+    { status: 429, headers: { 'Retry-After': '7' } },
+    { status: 503 },
+    Object.assign(new Error('fetch failed'), { cause: new Error('ECONNRESET') }),
+    { status: 200, body: 'ok' }
+  ]);
+  const client = createHttpClient({ fetch, sleep: async (ms) => { waits.push(ms); } });
+
+  const response = await client.request(URL_A, { retries: 3, retryDelay: 1000 });
+  assert.equal(response.body, 'ok');
+  assert.equal(calls.length, 4);
+  assert.equal(waits[0], 7000);
+  assert.ok(waits[1] >= 1000 && waits[1] <= 2000);
+  assert.ok(waits[2] >= 2000 && waits[2] <= 4000);
+});
+
+test('repeated failures pause a site until the cooldown, then one trial request decides', async (t) => {
+  silenceConsole(t);
+  const { fetch, calls } = scriptedFetch([{ status: 500 }, { status: 500 }, { status: 500 }, { status: 200, body: 'back' }]);
+  const client = createHttpClient({ fetch, breakerThreshold: 2, breakerCooldown: 60 * 1000 });
+
+  await assert.rejects(client.request(URL_A), /status 500/);
+  assert.equal(client.pausedUntil(ORIGIN), null);
+  await assert.rejects(client.request(URL_A), (error) => error.status === 500 && Boolean(error.retryAt));
+  assert.ok(client.pausedUntil(ORIGIN));
+  await assert.rejects(client.request(`${ORIGIN}/decision/anything`), { code: 'CIRCUIT_OPEN' });
+  assert.equal(calls.length, 2);
+  // Other sites are unaffected
+  await assert.rejects(client.request('https://www.elexon.co.uk/news'), /status 500/);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 61 * 1000 });
+  assert.equal(client.pausedUntil(ORIGIN), null);
+  assert.equal((await client.request(URL_A)).body, 'back');
+  assert.equal(client.pausedUntil(ORIGIN), null);
+});
+
+test('a named circuit pauses only the requests made on it, and the pause is saved', async (t) => {
+  silenceConsole(t);
+  const cacheFile = tempFile(t);
+  const { fetch, calls } = scriptedFetch([{ status: 500 }, { status: 500 }, { status: 200, body: '{"items":[]}' }]);
+  const client = createHttpClient({ cacheFile, fetch, breakerThreshold: 2 });
+
+  const page = `${ORIGIN}/decision/anything`;
+  await assert.rejects(client.request(page, { circuit: 'pages' }), /status 500/);
+  await assert.rejects(client.request(page, { circuit: 'pages' }), /status 500/);
+  await assert.rejects(client.request(page, { circuit: 'pages' }), { code: 'CIRCUIT_OPEN' });
+  assert.ok(client.pausedUntil('pages'));
+  // The listing, on the same site, is still fetched
+  assert.equal(client.pausedUntil('listing'), null);
+  assert.equal((await client.request(URL_A, { circuit: 'listing' })).body, '{"items":[]}');
+  assert.equal(calls.length, 3);
+
+  client.save();
+  const next = createHttpClient({ cacheFile, fetch: scriptedFetch([]).fetch });
+  assert.ok(next.pausedUntil('pages'));
+  assert.equal(next.pausedUntil('listing'), null);
+});
+
+test('a Retry-After longer than a minute pauses the site instead of waiting', async (t) => {
+  silenceConsole(t);
+  const { fetch } = scriptedFetch([{ status: 503, headers: { 'Retry-After': '3600' } }]);
+  const client = createHttpClient({ fetch, sleep: async () => assert.fail('should not wait') });
+
+  await assert.rejects(client.request(URL_A, { retries: 5 }), /status 503/);
+  const pausedFor = Date.parse(client.pausedUntil(ORIGIN)) - Date.now();
+  assert.ok(pausedFor > 3590 * 1000 && pausedFor <= 3600 * 1000);
+});
+
+test('Retry-After and backoff arithmetic', () => {
+  const now = Date.parse('2025-09-19T10:00:00Z');
+  assert.equal(parseRetryAfter('120', now), 120000);
+  assert.equal(parseRetryAfter('Fri, 19 Sep 2025 10:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(backoffDelay(0, 1000, 60000, () => 0), 500);
+  assert.equal(backoffDelay(3, 1000, 60000, () => 1), 8000);
+  assert.equal(backoffDelay(10, 1000, 60000, () => 1), 60000);
+});
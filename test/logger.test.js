@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const log = require('../lib/logger');
+
+const captured = (t) => {
+  const lines = [];
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, (line) => lines.push({ method, line }));
+  }
+  t.after(() => log.configure({ level: 'info', format: 'json' }));
+  return lines;
+};
+
+test('entries are JSON lines carrying the poll id of their context', async (t) => {
+  const lines = captured(t);
+  log.configure({ level: 'info', format: 'json' });
+
+  await log.withContext({ pollId: 'abc123' }, async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    log.warn('notification.failed', 'Failed to send notification', { channel: 'email', attempt: 2 });
+  });
+  log.info('poll.scheduled', 'Next poll soon');
+
+  assert.equal(lines[0].method, 'warn');
+  const entry = JSON.parse(lines[0].line);
+  assert.match(entry.time, /^\d{4}-\d\d-\d\dT/);
+  assert.deepEqual({ ...entry, time: null }, {
+    time: null, level: 'warn', event: 'notification.failed', msg: 'Failed to send notification', pollId: 'abc123', channel: 'email', attempt: 2
+  });
+  assert.equal(JSON.parse(lines[1].line).pollId, undefined);
+});
+
+test('entries below the level are dropped and text format reads as key=value', (t) => {
+  const lines = captured(t);
+  log.configure({ level: 'warn', format: 'text' });
+
+  log.info('source.no_new', 'No new publications', { source: 'ofgem' });
+  log.error('source.failed', 'Polling failed', { source: 'ofgem', error: 'socket hang up' });
+
+  assert.equal(lines.length, 1);
+  assert.match(lines[0].line, /^\d\d:\d\d:\d\d ERROR Polling failed source=ofgem error="socket hang up"$/);
+  assert.throws(() => log.configure({ level: 'verbose' }), /Unknown log level "verbose"/);
+});
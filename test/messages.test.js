@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildBatchMessage, buildOperatorMessage, buildHeartbeatMessage } = require('../lib/messages');
+
+const publication = {
+  title: 'Final order: Senapt Ltd',
+  link: 'https://www.ofgem.gov.uk/decision/final-order-senapt-ltd',
+  date: '17 September 2025',
+  type: 'Decision',
+  sourceName: 'Ofgem publications',
+  matchedRules: ['tracked-suppliers']
+};
+
+test('a batch lists every publication in the html and text parts', () => {
+  const message = buildBatchMessage([publication, { ...publication, title: 'Second', link: 'https://www.ofgem.gov.uk/decision/second' }]);
+  assert.equal(message.event, 'new');
+  assert.equal(message.subject, '📢 2 Ofgem Updates Detected');
+  assert.equal(message.heading, '2 new Ofgem updates');
+  assert.match(message.text, /^1\. Final order: Senapt Ltd\nPublished: 17 September 2025 \(Decision\)\nMatched: tracked-suppliers\nhttps:\/\/www\.ofgem\.gov\.uk\/decision\/final-order-senapt-ltd/);
+  assert.match(message.html, /href="https:\/\/www\.ofgem\.gov\.uk\/decision\/second"/);
+});
+
+test('custom headings, edits and source names are rendered', () => {
+  const message = buildBatchMessage([{ ...publication, changes: [{ field: 'title', before: 'Final order', after: publication.title }] }], {
+    event: 'updated',
+    heading: '1 Ofgem publication updated',
+    showSource: true
+  });
+  assert.equal(message.subject, '📢 1 Ofgem publication updated');
+  assert.match(message.text, /\[Ofgem publications\]/);
+  assert.match(message.text, /Title changed: Final order -> Final order: Senapt Ltd/);
+});
+
+test('digest sections get their own headings', () => {
+  const message = buildBatchMessage([publication], {
+    event: 'digest',
+    heading: 'Daily Ofgem digest: 1 update',
+    sections: [{ title: 'tracked-suppliers · Decision', publications: [publication] }]
+  });
+  assert.match(message.text, /^== tracked-suppliers · Decision ==/);
+  assert.match(message.html, /<h2[^>]*>tracked-suppliers · Decision<\/h2>/);
+});
+
+test('operator messages describe problems and recoveries', () => {
+  const since = '2025-09-20T08:00:00Z';
+  const problem = buildOperatorMessage([{ source: 'ofgem', status: 'raised', message: 'none could be parsed', since }], { ofgem: 'Ofgem publications' });
+  assert.equal(problem.event, 'operator-alert');
+  assert.match(problem.subject, /^🚨 /);
+  assert.match(problem.text, /\[Ofgem publications\] none could be parsed/);
+
+  const recovery = buildOperatorMessage([{ source: 'ofgem', status: 'resolved', message: 'none could be parsed', since }]);
+  assert.match(recovery.subject, /^✅ /);
+  assert.match(recovery.text, /\(was: none could be parsed\)/);
+});
+
+test('the heartbeat has a one-line heading and its stats as detail lines', () => {
+  const heartbeat = buildHeartbeatMessage({
+    stats: { since: '2025-09-19T08:00:00Z', polls: 48, failedPolls: 1, newItems: 3, matched: 1, sent: 2, failedSends: 0 },
+    tracked: 120,
+    outbox: { pending: 0, deadLetters: 0 },
+    problems: [],
+    sources: [{ name: 'Ofgem publications', lastNewAt: null }]
+  });
+  assert.equal(heartbeat.subject, '💓 Ofgem Watch is running');
+  assert.equal(heartbeat.heading, 'Ofgem Watch is running');
+  assert.match(heartbeat.details[0], /48 poll\(s\), 1 with failures/);
+  assert.ok(heartbeat.details.includes('Last new item from Ofgem publications: none yet'));
+});
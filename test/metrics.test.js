@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMetrics, writeMetricsFile } = require('../lib/metrics');
+
+test('metrics render in the Prometheus text format', () => {
+  const metrics = createMetrics();
+  metrics.polls.inc({ result: 'ok' });
+  metrics.polls.inc({ result: 'ok' });
+  metrics.ruleMatches.inc({ rule: 'say "hi"' }, 3);
+  metrics.outboxPending.set({}, 4);
+
+  const text = metrics.render();
+  assert.match(text, /^# TYPE ofgem_watch_polls_total counter$/m);
+  assert.match(text, /^ofgem_watch_polls_total\{result="ok"\} 2$/m);
+  assert.match(text, /^ofgem_watch_rule_matches_total\{rule="say \\"hi\\""\} 3$/m);
+  assert.match(text, /^ofgem_watch_outbox_pending 4$/m);
+  assert.ok(text.endsWith('\n'));
+});
+
+test('histograms count observations into cumulative buckets', () => {
+  const metrics = createMetrics();
+  const labels = { source: 'ofgem', method: 'api' };
+  [0.2, 0.7, 45].forEach(seconds => metrics.fetchDuration.observe(labels, seconds));
+
+  const text = metrics.render();
+  assert.match(text, /^ofgem_watch_fetch_duration_seconds_bucket\{source="ofgem",method="api",le="0.25"\} 1$/m);
+  assert.match(text, /^ofgem_watch_fetch_duration_seconds_bucket\{source="ofgem",method="api",le="1"\} 2$/m);
+  assert.match(text, /^ofgem_watch_fetch_duration_seconds_bucket\{source="ofgem",method="api",le="\+Inf"\} 3$/m);
+  assert.match(text, /^ofgem_watch_fetch_duration_seconds_sum\{source="ofgem",method="api"\} 45.9$/m);
+});
+
+test('writeMetricsFile replaces the file without leaving a temporary one', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ofgem-metrics-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'ofgem_watch.prom');
+  const metrics = createMetrics();
+
+  writeMetricsFile(file, metrics);
+  metrics.polls.inc({ result: 'failed' });
+  writeMetricsFile(file, metrics);
+
+  assert.match(fs.readFileSync(file, 'utf8'), /ofgem_watch_polls_total\{result="failed"\} 1/);
+  assert.deepEqual(fs.readdirSync(dir), ['ofgem_watch.prom']);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePublicationFromMarkup, createOfgemListingSource } = require('../lib/sources/ofgem-listing');
+const { loadFixture, startSite } = require('./helpers/site');
+const { silenceConsole } = require('./helpers/watcher');
+
+const context = { apiTimeout: 2000, maxRetries: 0, rateLimitDelay: 0, maxPages: 10, maxBackfillPages: 10, userAgent: 'Ofgem-Watch-Test' };
+
+test('parses listing markup from the API', () => {
+  const [first] = loadFixture('listing-page-0.json').items;
+  assert.deepEqual(parsePublicationFromMarkup(first.markup), {
+    title: 'Statutory consultation on Tomato Energy\'s supply licence',
+    link: 'https://www.ofgem.gov.uk/consultation/statutory-consultation-tomato-energy-supply-licence',
+    date: '19 September 2025',
+    isoDate: '2025-09-19T12:00:00Z'
+  });
+});
+
+test('decodes entity-encoded markup and every entity in titles', () => {
+  const encoded = loadFixture('listing-page-0.json').items[2].markup;
+  assert.ok(encoded.startsWith('&lt;article'));
+  const publication = parsePublicationFromMarkup(encoded);
+  assert.equal(publication.title, 'Final order: Senapt Ltd & Senapt Supply Ltd');
+  assert.equal(publication.link, 'https://www.ofgem.gov.uk/decision/final-order-senapt-ltd');
+});
+
+test('falls back to other selectors when the card layout differs', () => {
+  const publication = parsePublicationFromMarkup(
+    '<div class="result"><h2 class="result__title"><a href="/decision/x">Decision on &#8220;X&#8221;</a></h2><time>3 March 2025</time></div>',
+    'https://www.ofgem.gov.uk'
+  );
+  assert.deepEqual(publication, {
+    title: 'Decision on “X”',
+    link: 'https://www.ofgem.gov.uk/decision/x',
+    date: '3 March 2025',
+    isoDate: '2025-03-03T00:00:00.000Z'
+  });
+});
+
+test('returns null for markup without a title and link', () => {
+  for (const item of loadFixture('listing-changed-markup.json').items) {
+    assert.equal(parsePublicationFromMarkup(item.markup), null);
+  }
+});
+
+test('fetchRecent pages back until it reaches a known publication', async (t) => {
+  silenceConsole(t);
+  const site = await startSite({ listing: [loadFixture('listing-page-0.json'), loadFixture('listing-page-1.json')] });
+  t.after(site.close);
+  const source = createOfgemListingSource({ id: 'ofgem', apiUrl: site.listingUrl, searchUrl: false, waitForToday: false }, context);
+
+  const firstPage = await source.fetchRecent();
+  assert.equal(firstPage.length, 4);
+  assert.ok(firstPage.every(p => p.link.startsWith(site.url)));
+
+  const untilKnown = await source.fetchRecent({ isKnown: p => p.link.endsWith('/decision/logicor-energy-provisional-order') });
+  assert.equal(untilKnown.length, 7);
+  assert.ok(site.requests.some(request => request.includes('page=1')));
+  assert.deepEqual(source.fetchStats(), { items: 7, parsed: 7 });
+});
+
+test('fetchSince fails rather than return part of the history', async (t) => {
+  silenceConsole(t);
+  const site = await startSite({ listing: [loadFixture('listing-page-0.json'), loadFixture('listing-page-1.json')] });
+  t.after(site.close);
+  const source = createOfgemListingSource({ id: 'ofgem', apiUrl: site.listingUrl, searchUrl: false, waitForToday: false }, context);
+
+  assert.equal((await source.fetchSince(Date.parse('2025-01-01'))).length, 7);
+  site.failNext(1, 503);
+  await assert.rejects(source.fetchSince(Date.parse('2025-01-01')), /listing page 1 of ofgem failed: status 503/);
+});
+
+test('fetchStats counts items that no longer parse', async (t) => {
+  silenceConsole(t);
+  const site = await startSite({ listing: [loadFixture('listing-changed-markup.json')] });
+  t.after(site.close);
+  const source = createOfgemListingSource({ id: 'ofgem', apiUrl: site.listingUrl, searchUrl: false, waitForToday: false }, context);
+
+  assert.deepEqual(await source.fetchRecent(), []);
+  assert.deepEqual(source.fetchStats(), { items: 3, parsed: 0 });
+});
+
+test('the scraping fallback returns every article on the search page', async (t) => {
+  silenceConsole(t);
+  const markups = loadFixture('listing-page-0.json').items.map(item => item.markup);
+  const visited = [];
+  const browserPool = {
+    withPage: async (fn) => fn({
+      goto: async (url) => visited.push(url),
+      waitForSelector: async () => {},
+      // The last article repeats the first, as a pinned item would
+      $$eval: async () => [...markups, markups[0]]
+    })
+  };
+  const source = createOfgemListingSource({ id: 'ofgem', apiUrl: 'https://example.com/api/listing/1', searchUrl: 'https://example.com/search' }, { ...context, browserPool });
+
+  const publications = await source.fallback();
+  assert.deepEqual(visited, ['https://example.com/search']);
+  assert.equal(publications.length, 4);
+  assert.deepEqual(Object.keys(publications[0]), ['title', 'link', 'date', 'isoDate']);
+  assert.ok(publications.every(p => p.link.startsWith('https://example.com/') && !Number.isNaN(Date.parse(p.isoDate))));
+});
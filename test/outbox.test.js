@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const outbox = require('../lib/outbox');
+
+const policy = { maxAttempts: 3, baseDelay: 60 * 1000, maxDelay: 5 * 60 * 1000 };
+const message = { event: 'new', subject: '📢 1 Ofgem Update Detected' };
+const at = (minutes) => new Date(Date.parse('2025-09-20T08:00:00Z') + minutes * 60 * 1000);
+
+test('a key stops the same delivery being queued twice', () => {
+  const box = outbox.emptyOutbox();
+  assert.ok(outbox.enqueue(box, { channel: 'email', recipient: 'a@example.com', message, key: 'digest|a' }));
+  assert.equal(outbox.enqueue(box, { channel: 'email', recipient: 'a@example.com', message, key: 'digest|a' }), null);
+  assert.ok(outbox.enqueue(box, { channel: 'email', recipient: 'a@example.com', message }));
+  assert.equal(box.pending.length, 2);
+});
+
+test('failed entries back off, then move to the dead-letter list', () => {
+  const box = outbox.emptyOutbox();
+  const { id } = outbox.enqueue(box, { channel: 'email', recipient: 'a@example.com', message }, at(0));
+
+  assert.equal(outbox.markFailed(box, id, 'timeout', policy, at(0)), 'retry');
+  assert.deepEqual(outbox.dueEntries(box, at(0.5)), []);
+  assert.equal(outbox.dueEntries(box, at(1)).length, 1);
+
+  assert.equal(outbox.markFailed(box, id, 'timeout', policy, at(1)), 'retry');
+  assert.equal(box.pending[0].nextAttemptAt, at(3).toISOString());
+
+  assert.equal(outbox.markFailed(box, id, 'timeout', policy, at(3)), 'dead');
+  assert.equal(box.pending.length, 0);
+  assert.equal(box.deadLetters[0].attempts, 3);
+  assert.deepEqual(box.history.map(h => h.status), ['retry', 'retry', 'dead']);
+});
+
+test('backoff doubles per attempt up to the cap', () => {
+  assert.deepEqual([1, 2, 3, 4, 5].map(n => outbox.backoffDelay(n, policy) / 60000), [1, 2, 4, 5, 5]);
+});
+
+test('dead letters can be requeued with a fresh attempt count', () => {
+  const box = outbox.emptyOutbox();
+  const { id } = outbox.enqueue(box, { channel: 'email', recipient: 'a@example.com', message }, at(0));
+  outbox.markFailed(box, id, 'rejected', { ...policy, maxAttempts: 1 }, at(0));
+
+  assert.equal(outbox.requeueDeadLetters(box, at(10)), 1);
+  assert.equal(box.deadLetters.length, 0);
+  assert.equal(box.pending[0].attempts, 0);
+  assert.equal(outbox.dueEntries(box, at(10)).length, 1);
+
+  outbox.markDelivered(box, id, at(10));
+  assert.equal(box.pending.length, 0);
+  assert.equal(box.history.at(-1).status, 'sent');
+});
@@ -0,0 +1,400 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadFixture, readFixture, startSite } = require('./helpers/site');
+const { startFakeResend } = require('./helpers/fake-resend');
+const { tempDir, silenceConsole, createTestWatcher } = require('./helpers/watcher');
+
+const CONSULTATION_PATH = '/consultation/statutory-consultation-tomato-energy-supply-licence';
+const rules = [{ name: 'tracked-suppliers', any: ['tomato', 'senapt', 'logicor'], fields: ['title', 'summary'] }];
+
+let resend;
+test.before(async () => { resend = await startFakeResend(); });
+test.after(() => resend.close());
+test.beforeEach(() => { resend.emails.length = 0; });
+
+/**
+ * A watcher whose store already holds the listing minus its newest item,
+ * which is published (put back at the top of the listing) by calling publish()
+ */
+const setUp = async (t, options = {}) => {
+  silenceConsole(t);
+  const page0 = loadFixture('listing-page-0.json');
+  const newest = page0.items.shift();
+  const site = await startSite({
+    listing: [page0, loadFixture('listing-page-1.json')],
+    pages: { [CONSULTATION_PATH]: readFixture('consultation-page.html') }
+  });
+  t.after(site.close);
+
+  const watcher = createTestWatcher({ dir: tempDir(t), listingUrl: site.listingUrl, rules, ...options });
+  assert.equal(await watcher.syncState(), 0);
+  return { site, watcher, page0, publish: () => page0.items.unshift(newest) };
+};
+
+const readOutbox = (watcher) => JSON.parse(fs.readFileSync(watcher.config.outboxFile, 'utf8'));
+
+test('syncing the state records the listing without sending anything', async (t) => {
+  const { watcher } = await setUp(t);
+  const state = watcher.loadState();
+  assert.equal(Object.keys(state.sources['ofgem-publications'].publications).length, 3);
+  assert.equal(resend.emails.length, 0);
+});
+
+test('a new matching publication is enriched, emailed once and stored', async (t) => {
+  const { watcher, publish } = await setUp(t);
+  publish();
+
+  const poll = await watcher.pollForUpdates();
+  assert.equal(poll.ok, true);
+  assert.equal(poll.matched, 1);
+  assert.deepEqual(poll.sources[0], { id: 'ofgem-publications', fetched: 4, new: 1, matched: 1, edited: 0, items: 4, parsed: 4, fallback: false, error: null });
+
+  assert.equal(resend.emails.length, 1);
+  const [email] = resend.emails;
+  assert.deepEqual(email.to, ['analyst@example.com']);
+  assert.equal(email.from, 'Ofgem Watch <watch@example.com>');
+  assert.equal(email.subject, '📢 1 Ofgem Update Detected');
+  assert.match(email.text, /Statutory consultation on Tomato Energy's supply licence/);
+  assert.match(email.text, /Closing date: 3 November 2025/);
+  assert.match(email.text, /Document: Statutory consultation: Tomato Energy supply licence \(PDF, 412\.5 KB\)/);
+
+  const entry = watcher.loadState().sources['ofgem-publications'].publications[CONSULTATION_PATH];
+  assert.deepEqual(entry.matchedRules, ['tracked-suppliers']);
+  assert.equal(entry.type, 'Consultation');
+  assert.equal(entry.closingDate, '2025-11-03');
+  assert.equal(entry.kind, 'consultation');
+  assert.deepEqual(entry.suppliers, ['Tomato Energy']);
+  assert.match(email.text, /Companies: Tomato Energy/);
+
+  await watcher.pollForUpdates();
+  assert.equal(resend.emails.length, 1);
+  assert.equal(readOutbox(watcher).pending.length, 0);
+});
+
+test('publications that match no rule are recorded silently', async (t) => {
+  const { watcher, page0 } = await setUp(t);
+  page0.items.unshift(loadFixture('listing-page-1.json').items[2]);
+  page0.items[0].markup = page0.items[0].markup.replace(/ofgem-annual-report-2024-25/g, 'ofgem-forward-work-programme');
+
+  const poll = await watcher.pollForUpdates();
+  assert.equal(poll.sources[0].new, 1);
+  assert.equal(poll.matched, 0);
+  assert.equal(resend.emails.length, 0);
+  assert.ok(watcher.loadState().sources['ofgem-publications'].publications['/publications/ofgem-forward-work-programme']);
+});
+
+test('a matching item from an earlier day is alerted alongside today\'s unrelated one', async (t) => {
+  const { watcher, page0, publish } = await setUp(t);
+  // Back after downtime: yesterday's Tomato consultation is followed by an unrelated item today
+  publish();
+  page0.items.unshift(loadFixture('listing-page-1.json').items[2]);
+  page0.items[0].markup = page0.items[0].markup
+    .replace(/ofgem-annual-report-2024-25/g, 'ofgem-forward-work-programme')
+    .replace(/datetime="[^"]+"/, `datetime="${new Date().toISOString()}"`);
+
+  const poll = await watcher.pollForUpdates();
+  assert.equal(poll.sources[0].new, 2);
+  assert.equal(poll.matched, 1);
+  assert.equal(resend.emails.length, 1);
+  assert.match(resend.emails[0].text, /Tomato Energy/);
+  assert.deepEqual(watcher.loadState().sources['ofgem-publications'].publications[CONSULTATION_PATH].matchedRules, ['tracked-suppliers']);
+});
+
+test('new items past the page limit are evaluated on the next poll', async (t) => {
+  const { watcher, page0, publish } = await setUp(t, { config: { maxDetailFetches: 1 } });
+  publish();
+  page0.items.unshift(loadFixture('listing-page-1.json').items[2]);
+  page0.items[0].markup = page0.items[0].markup.replace(/ofgem-annual-report-2024-25/g, 'ofgem-forward-work-programme');
+
+  const first = await watcher.pollForUpdates();
+  assert.equal(first.sources[0].new, 1);
+  assert.equal(resend.emails.length, 0);
+  assert.equal(watcher.loadState().sources['ofgem-publications'].publications[CONSULTATION_PATH], undefined);
+
+  // The Tomato consultation's page is loaded now, so its summary and documents are in the alert
+  const second = await watcher.pollForUpdates();
+  assert.equal(second.sources[0].new, 1);
+  assert.equal(second.matched, 1);
+  assert.equal(resend.emails.length, 1);
+  assert.match(resend.emails[0].text, /Closing date: 3 November 2025/);
+});
+
+test('a busy day is followed across listing pages', async (t) => {
+  silenceConsole(t);
+  const site = await startSite({ listing: [loadFixture('listing-page-1.json')] });
+  t.after(site.close);
+  const watcher = createTestWatcher({ dir: tempDir(t), listingUrl: site.listingUrl, rules, config: { sources: [{ id: 'ofgem-publications', type: 'ofgem-listing', apiUrl: site.listingUrl, searchUrl: false, waitForToday: false, details: false }] } });
+  await watcher.syncState();
+
+  // Four new items push everything known onto the second page
+  site.listing.unshift(loadFixture('listing-page-0.json'));
+  const poll = await watcher.pollForUpdates();
+
+  assert.equal(poll.sources[0].new, 4);
+  assert.ok(site.requests.some(request => request.includes('page=1')));
+  assert.equal(resend.emails.length, 1);
+  assert.equal(resend.emails[0].subject, '📢 2 Ofgem Updates Detected');
+  assert.match(resend.emails[0].text, /Tomato Energy/);
+  assert.match(resend.emails[0].text, /Senapt Ltd & Senapt Supply Ltd/);
+});
+
+test('subscribers filter by kind and group their alerts by it', async (t) => {
+  silenceConsole(t);
+  const site = await startSite({ listing: [loadFixture('listing-page-1.json')] });
+  t.after(site.close);
+  const watcher = createTestWatcher({
+    dir: tempDir(t),
+    listingUrl: site.listingUrl,
+    rules: [{ name: 'everything', dateFrom: '2000-01-01' }],
+    subscribers: [
+      { email: 'enforcement@example.com', kinds: ['enforcement'] },
+      { email: 'grouped@example.com', groupBy: 'kind' }
+    ],
+    config: { sources: [{ id: 'ofgem-publications', type: 'ofgem-listing', apiUrl: site.listingUrl, searchUrl: false, waitForToday: false, details: false }] }
+  });
+  await watcher.syncState();
+  site.listing.unshift(loadFixture('listing-page-0.json'));
+  await watcher.pollForUpdates();
+
+  const byRecipient = Object.fromEntries(resend.emails.map(email => [email.to[0], email]));
+  assert.equal(byRecipient['enforcement@example.com'].subject, '📢 1 Ofgem Update Detected');
+  assert.match(byRecipient['enforcement@example.com'].text, /Senapt Ltd & Senapt Supply Ltd/);
+  const headings = byRecipient['grouped@example.com'].text.match(/^== .+ ==$/gm);
+  assert.deepEqual(headings, ['== Enforcement ==', '== Guidance ==', '== Consultation ==', '== Decision ==']);
+});
+
+test('an edited title sends an "updated" email with the change', async (t) => {
+  const { watcher, page0 } = await setUp(t);
+  // The Senapt item arrives entity-encoded; edit it in place
+  const index = page0.items.findIndex(item => item.markup.includes('final-order-senapt-ltd'));
+  page0.items[index].markup = page0.items[index].markup.replace('Final order:', 'Final order (corrected):');
+
+  const poll = await watcher.pollForUpdates();
+  assert.equal(poll.edited, 1);
+  assert.equal(resend.emails.length, 1);
+  assert.equal(resend.emails[0].subject, '📝 1 Ofgem publication updated');
+  assert.match(resend.emails[0].text, /Title changed: Final order: Senapt Ltd & Senapt Supply Ltd -> Final order \(corrected\): Senapt Ltd & Senapt Supply Ltd/);
+});
+
+test('a retitled publication that matched on its page text sends an update', async (t) => {
+  const { watcher, page0, publish } = await setUp(t, { rules: [{ name: 'payment-difficulty', any: ['payment difficulty'], fields: ['body'] }] });
+  publish();
+  assert.equal((await watcher.pollForUpdates()).matched, 1);
+
+  page0.items[0].markup = page0.items[0].markup.replace('Statutory consultation', 'Revised statutory consultation');
+  const poll = await watcher.pollForUpdates();
+  assert.equal(poll.edited, 1);
+  assert.equal(resend.emails.length, 2);
+  assert.equal(resend.emails[1].subject, '📝 1 Ofgem publication updated');
+  assert.match(resend.emails[1].text, /Matched: payment-difficulty/);
+});
+
+test('a document added to a recent publication is spotted when its page is reloaded', async (t) => {
+  const { site, watcher, page0, publish } = await setUp(t, { config: { contentCheckInterval: 1 } });
+  publish();
+  page0.items[0].markup = page0.items[0].markup.replace(/datetime="[^"]+"/, `datetime="${new Date().toISOString()}"`);
+  assert.equal((await watcher.pollForUpdates()).matched, 1);
+
+  site.pages[CONSULTATION_PATH] = site.pages[CONSULTATION_PATH].replace('</ul>',
+    '  <li><a href="/sites/default/files/2025-09/Impact_assessment.pdf">Impact assessment</a> (PDF, 1 MB)</li>\n    </ul>');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const poll = await watcher.pollForUpdates();
+  assert.equal(poll.edited, 1);
+  assert.equal(resend.emails.length, 2);
+  assert.equal(resend.emails[1].subject, '📝 1 Ofgem publication updated');
+  assert.match(resend.emails[1].text, /Documents changed: Statutory consultation: Tomato Energy supply licence; Response template -> .*; Impact assessment/);
+
+  // Checked again with nothing new: no further update
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal((await watcher.pollForUpdates()).edited, 0);
+  assert.equal(resend.emails.length, 2);
+});
+
+test('a poll is logged under its id and counted in the metrics', async (t) => {
+  const { watcher, publish } = await setUp(t, { config: { metricsFile: path.join(tempDir(t), 'ofgem_watch.prom') } });
+  publish();
+
+  const poll = await watcher.pollForUpdates();
+  const entries = console.log.mock.calls
+    .map(call => call.arguments[0])
+    .filter(line => line.startsWith('{'))
+    .map(line => JSON.parse(line))
+    .filter(entry => entry.pollId === poll.pollId);
+  assert.match(poll.pollId, /^[0-9a-f]{8}$/);
+  assert.deepEqual(entries.find(entry => entry.event === 'publication.matched').rules, ['tracked-suppliers']);
+  assert.equal(entries.find(entry => entry.event === 'notification.sent').channel, 'email');
+  assert.equal(entries.at(-1).event, 'delivery.summary');
+
+  const { metrics } = watcher;
+  assert.equal(metrics.polls.value({ result: 'ok' }), 1);
+  assert.equal(metrics.fetches.value({ source: 'ofgem-publications', method: 'api', result: 'ok' }), 1);
+  assert.equal(metrics.newPublications.value({ source: 'ofgem-publications' }), 1);
+  assert.equal(metrics.ruleMatches.value({ rule: 'tracked-suppliers' }), 1);
+  assert.equal(metrics.notifications.value({ channel: 'email', type: 'resend', result: 'sent' }), 1);
+  const exported = fs.readFileSync(watcher.config.metricsFile, 'utf8');
+  assert.match(exported, /^ofgem_watch_fetch_duration_seconds_count\{source="ofgem-publications",method="api"\} 1$/m);
+});
+
+test('an unchanged listing is revalidated, and a site that keeps failing is paused', async (t) => {
+  const { site, watcher } = await setUp(t, { config: { circuitBreakerThreshold: 1, maxRetries: 1 } });
+
+  await watcher.pollForUpdates();
+  assert.equal(site.requests.at(-1), 'GET /api/listing/4044 (conditional)');
+
+  site.failNext(2, 503);
+  const failed = await watcher.pollForUpdates();
+  assert.equal(failed.sources[0].fetched, 0);
+  assert.equal(watcher.metrics.fetches.value({ source: 'ofgem-publications', method: 'api', result: 'empty' }), 1);
+
+  const requests = site.requests.length;
+  const paused = await watcher.pollForUpdates();
+  assert.equal(site.requests.length, requests);
+  assert.match(paused.sources[0].error, /^paused until /);
+  assert.equal(watcher.metrics.fetches.value({ source: 'ofgem-publications', method: 'api', result: 'paused' }), 1);
+});
+
+test('a failed send stays in the outbox and is retried', async (t) => {
+  const { watcher, publish } = await setUp(t, { config: { deliveryRetry: { maxAttempts: 3, baseDelay: 0, maxDelay: 0 } } });
+  publish();
+  resend.failNext(1, 'Service unavailable');
+
+  await watcher.pollForUpdates();
+  assert.equal(resend.emails.length, 0);
+  const [pending] = readOutbox(watcher).pending;
+  assert.equal(pending.attempts, 1);
+  assert.equal(pending.lastError, 'Service unavailable');
+  // The publication is recorded even though its email has not gone out yet
+  assert.ok(watcher.loadState().sources['ofgem-publications'].publications[CONSULTATION_PATH]);
+
+  await watcher.deliverOutbox();
+  assert.equal(resend.emails.length, 1);
+  const box = readOutbox(watcher);
+  assert.equal(box.pending.length, 0);
+  assert.deepEqual(box.history.map(h => h.status), ['retry', 'sent']);
+});
+
+test('listing items that stop parsing alert the operator', async (t) => {
+  const { watcher, site } = await setUp(t, { operatorEmails: ['ops@example.com'] });
+  site.listing.splice(0, site.listing.length, loadFixture('listing-changed-markup.json'));
+
+  const poll = await watcher.pollForUpdates();
+  assert.deepEqual(poll.sources[0], { id: 'ofgem-publications', fetched: 0, new: 0, matched: 0, edited: 0, items: 3, parsed: 0, fallback: true, error: null });
+  assert.equal(resend.emails.length, 1);
+  assert.deepEqual(resend.emails[0].to, ['ops@example.com']);
+  assert.match(resend.emails[0].subject, /^🚨 Ofgem Watch needs attention/);
+  assert.match(resend.emails[0].text, /The listing returned 3 item\(s\) but none could be parsed/);
+
+  // Still broken: no repeat until the repeat interval has passed
+  await watcher.pollForUpdates();
+  assert.equal(resend.emails.length, 1);
+});
+
+test('sends that keep failing alert the operator, then a recovery follows', async (t) => {
+  const { watcher, publish } = await setUp(t, {
+    operatorEmails: ['ops@example.com'],
+    config: { deliveryRetry: { maxAttempts: 5, baseDelay: 0, maxDelay: 0 }, deliveryFailureAlertAfter: 2 }
+  });
+  publish();
+  resend.failNext(2, 'Invalid API key');
+
+  await watcher.pollForUpdates();
+  await watcher.deliverOutbox();
+  assert.equal(resend.emails.length, 0);
+  assert.equal(readOutbox(watcher).pending.filter(entry => entry.message.event === 'operator-alert').length, 1);
+
+  // Sending works again: the queued alert and the publication go out, and the recovery after them
+  await watcher.deliverOutbox();
+  await watcher.deliverOutbox();
+  const operator = resend.emails.filter(email => email.to[0] === 'ops@example.com');
+  assert.equal(operator.length, 2);
+  assert.match(operator[0].subject, /^🚨 Ofgem Watch needs attention/);
+  assert.match(operator[1].subject, /^✅ Ofgem Watch: problems resolved/);
+  assert.match(operator[0].text, /2 notification send\(s\) in a row have failed \(last error: Invalid API key\)/);
+  assert.match(operator[0].text, /RESEND_API_KEY/);
+});
+
+test('the daily heartbeat tells the operator the watcher is alive', async (t) => {
+  const { watcher, publish } = await setUp(t, { operatorEmails: ['ops@example.com'], config: { heartbeatHour: 0 } });
+  publish();
+
+  await watcher.pollForUpdates();
+  const heartbeats = () => resend.emails.filter(email => email.subject.startsWith('💓'));
+  assert.equal(heartbeats().length, 1);
+  assert.deepEqual(heartbeats()[0].to, ['ops@example.com']);
+  assert.match(heartbeats()[0].text, /1 poll\(s\), 0 with failures/);
+  assert.match(heartbeats()[0].text, /New publications: 1, of which 1 matched a watch rule/);
+
+  // Once a day
+  await watcher.pollForUpdates();
+  assert.equal(heartbeats().length, 1);
+});
+
+test('a dry run prints what would be sent and writes nothing', async (t) => {
+  const { site, watcher: synced, publish } = await setUp(t);
+  const stateBefore = fs.readFileSync(synced.config.stateFile, 'utf8');
+  publish();
+
+  const watcher = createTestWatcher({ dir: path.dirname(synced.config.stateFile), listingUrl: site.listingUrl, rules, dryRun: true });
+  const poll = await watcher.pollForUpdates();
+  assert.equal(poll.ok, true);
+  assert.equal(poll.matched, 1);
+
+  assert.equal(resend.emails.length, 0);
+  assert.equal(fs.readFileSync(watcher.config.stateFile, 'utf8'), stateBefore);
+  assert.equal(fs.existsSync(watcher.config.outboxFile), false);
+  assert.equal(fs.existsSync(watcher.config.healthStateFile), false);
+  const printed = console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  assert.match(printed, /🧪 Would send to analyst@example\.com via email: 📢 1 Ofgem Update Detected/);
+  assert.match(printed, /Closing date: 3 November 2025/);
+});
+
+test('a test email goes straight out with the newest stored publication', async (t) => {
+  const { watcher } = await setUp(t);
+
+  assert.equal(await watcher.sendTestEmail({ to: ['new-analyst@example.com'] }), 0);
+  assert.equal(resend.emails.length, 1);
+  assert.deepEqual(resend.emails[0].to, ['new-analyst@example.com']);
+  assert.equal(resend.emails[0].subject, '🧪 Ofgem Watch test message');
+  assert.match(resend.emails[0].text, /Decision on the default tariff cap level/);
+  assert.equal(fs.existsSync(watcher.config.outboxFile), false);
+
+  resend.failNext(1, 'Invalid API key');
+  assert.equal(await watcher.sendTestEmail(), 1);
+  assert.equal(await watcher.sendTestEmail({ channelId: 'slack' }), 1);
+});
+
+test('each subscriber gets their own template, falling back to the rule\'s', async (t) => {
+  const templatesDir = tempDir(t);
+  for (const name of ['compact', 'legal']) {
+    fs.mkdirSync(path.join(templatesDir, name));
+    fs.writeFileSync(path.join(templatesDir, name, 'subject.hbs'), `${name}: {{heading}}`);
+  }
+  const { watcher, publish } = await setUp(t, {
+    templatesDir,
+    rules: [{ ...rules[0], template: 'compact' }],
+    subscribers: [{ email: 'analyst@example.com' }, { email: 'legal@example.com', template: 'legal' }],
+    config: { brandName: 'Acme Energy' }
+  });
+  publish();
+
+  await watcher.pollForUpdates();
+  const subjects = Object.fromEntries(resend.emails.map(email => [email.to[0], email.subject]));
+  assert.deepEqual(subjects, {
+    'analyst@example.com': 'compact: 1 new Ofgem update',
+    'legal@example.com': 'legal: 1 new Ofgem update'
+  });
+  assert.match(resend.emails[0].html, /Automated notification from Acme Energy/);
+});
+
+test('preview renders a template to a local html file', async (t) => {
+  const { watcher } = await setUp(t);
+  const out = path.join(tempDir(t), 'preview.html');
+
+  assert.equal(watcher.previewTemplate({ event: 'digest', out }), 0);
+  assert.match(fs.readFileSync(out, 'utf8'), /<h1>Daily Ofgem digest: \d+ updates?<\/h1>/);
+  assert.equal(watcher.previewTemplate({ template: 'fancy', out }), 1);
+  assert.equal(watcher.previewTemplate({ event: 'weekly', out }), 1);
+  assert.equal(resend.emails.length, 0);
+});
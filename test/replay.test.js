@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const store = require('../lib/store');
+const { compileRules } = require('../lib/rules');
+const { replayRules } = require('../lib/replay');
+const { parsePublicationFromMarkup } = require('../lib/sources/ofgem-listing');
+const { loadFixture } = require('./helpers/site');
+
+const storedListing = () => {
+  const state = store.emptyStore();
+  const publications = [
+    ...loadFixture('listing-page-0.json').items,
+    ...loadFixture('listing-page-1.json').items
+  ].map(item => parsePublicationFromMarkup(item.markup));
+  store.recordPublications(store.namespace(state, 'ofgem-publications'), publications);
+  return state;
+};
+
+const current = compileRules({ rules: [
+  { name: 'suppliers', any: ['tomato', 'senapt', 'logicor'] },
+  { name: 'networks', any: ['RIIO'] }
+] });
+const proposed = compileRules({ rules: [
+  { name: 'suppliers', any: ['tomato'] },
+  { name: 'enforcement', any: ['final order', 'provisional order'] },
+  { name: 'price-cap', any: ['tariff cap'] }
+] });
+
+test('replay reports publications gained, lost and moved between rules', () => {
+  const result = replayRules(storedListing(), current, proposed);
+  assert.equal(result.evaluated, 7);
+  assert.deepEqual(result.gained.map(r => r.entry.title), ['Decision on the default tariff cap level: 1 October to 31 December 2025']);
+  assert.deepEqual(result.lost.map(r => r.entry.title), ['RIIO-3 business plan data templates']);
+  assert.deepEqual(result.changed.map(r => [r.entry.title, r.before, r.after]), [
+    ['Final order: Senapt Ltd & Senapt Supply Ltd', ['suppliers'], ['enforcement']],
+    ['Logicor Energy: provisional order', ['suppliers'], ['enforcement']]
+  ]);
+  assert.deepEqual(result.rules, [
+    { name: 'suppliers', current: 3, proposed: 1, gained: 0, lost: 2 },
+    { name: 'networks', current: 1, proposed: 0, gained: 0, lost: 1 },
+    { name: 'enforcement', current: 0, proposed: 2, gained: 2, lost: 0 },
+    { name: 'price-cap', current: 0, proposed: 1, gained: 1, lost: 0 }
+  ]);
+});
+
+test('replay only looks at publications since the given time', () => {
+  const result = replayRules(storedListing(), current, proposed, { since: Date.parse('2025-09-17T00:00:00Z') });
+  assert.equal(result.evaluated, 3);
+  assert.equal(result.lost.length, 0);
+  assert.deepEqual(result.changed.map(r => r.entry.title), ['Final order: Senapt Ltd & Senapt Supply Ltd']);
+});
+
+test('replaying the current rules changes nothing', () => {
+  const result = replayRules(storedListing(), current, current);
+  assert.deepEqual([result.gained, result.lost, result.changed], [[], [], []]);
+  assert.ok(result.rules.every(rule => rule.current === rule.proposed));
+});
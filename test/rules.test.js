@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRules, evaluateRules, findPassages } = require('../lib/rules');
+
+const publication = {
+  title: 'Statutory consultation on Tomato Energy\'s supply licence',
+  link: 'https://www.ofgem.gov.uk/consultation/statutory-consultation-tomato-energy-supply-licence',
+  isoDate: '2025-09-19T12:00:00Z',
+  summary: 'We are consulting on modifications to the standard conditions of the supply licence.',
+  attachments: [{ name: 'Response template', url: 'https://www.ofgem.gov.uk/x.docx' }]
+};
+
+const names = (rules) => evaluateRules(publication, compileRules({ rules }));
+
+test('substring matching is case-insensitive by default', () => {
+  assert.deepEqual(names([{ name: 'tomato', any: ['TOMATO'] }]), ['tomato']);
+  assert.deepEqual(names([{ name: 'tomato', any: ['TOMATO'], caseSensitive: true }]), []);
+});
+
+test('word matching ignores terms inside longer words', () => {
+  assert.deepEqual(names([{ name: 'tom', any: ['Tom'], match: 'word' }]), []);
+  assert.deepEqual(names([{ name: 'tom', any: ['Tom'] }]), ['tom']);
+});
+
+test('regex rules, all terms and exclusions combine', () => {
+  assert.deepEqual(names([{ name: 'licence', any: ['supply licen[cs]e'], match: 'regex' }]), ['licence']);
+  assert.deepEqual(names([{ name: 'both', all: ['tomato', 'consultation'] }]), ['both']);
+  assert.deepEqual(names([{ name: 'both', all: ['tomato', 'decision'] }]), []);
+  assert.deepEqual(names([{ name: 'no-consultations', any: ['tomato'], exclude: ['consultation'] }]), []);
+});
+
+test('rules only search the fields they name', () => {
+  assert.deepEqual(names([{ name: 'summary', any: ['standard conditions'] }]), []);
+  assert.deepEqual(names([{ name: 'summary', any: ['standard conditions'], fields: ['summary'] }]), ['summary']);
+  assert.deepEqual(names([{ name: 'path', any: ['/consultation/'], fields: ['path'] }]), ['path']);
+  assert.deepEqual(names([{ name: 'documents', any: ['response template'], fields: ['attachments'] }]), ['documents']);
+});
+
+test('date bounds include the whole of a date-only upper bound', () => {
+  assert.deepEqual(names([{ name: 'september', dateFrom: '2025-09-01', dateTo: '2025-09-19' }]), ['september']);
+  assert.deepEqual(names([{ name: 'october', dateFrom: '2025-10-01' }]), []);
+});
+
+test('date-only bounds are London days, also during BST', () => {
+  // 00:30 BST on 20 September is still 19 September in UTC
+  const earlyHours = { ...publication, isoDate: '2025-09-19T23:30:00Z' };
+  const evaluate = (rules) => evaluateRules(earlyHours, compileRules({ rules }));
+  assert.deepEqual(evaluate([{ name: 'from-20th', dateFrom: '2025-09-20' }]), ['from-20th']);
+  assert.deepEqual(evaluate([{ name: 'to-19th', dateTo: '2025-09-19' }]), []);
+});
+
+test('disabled rules never match', () => {
+  assert.deepEqual(names([{ name: 'off', any: ['tomato'], enabled: false }]), []);
+});
+
+test('findPassages reports the field and surrounding text', () => {
+  const rules = compileRules({ rules: [{ name: 'conditions', any: ['standard conditions'], fields: ['title', 'summary'] }] });
+  const [passage] = findPassages(publication, rules);
+  assert.equal(passage.rule, 'conditions');
+  assert.equal(passage.field, 'summary');
+  assert.match(passage.passage, /modifications to the standard conditions/);
+});
+
+test('kind, topic and company filters narrow a rule', () => {
+  const classified = { ...publication, kind: 'consultation', tags: ['Retail market'], suppliers: ['Tomato Energy'], networks: [] };
+  const rules = compileRules({ rules: [
+    { name: 'tomato-consultations', any: ['tomato'], kinds: ['consultation'] },
+    { name: 'tomato-decisions', any: ['tomato'], kinds: ['decision'] },
+    { name: 'retail', tags: ['Retail market'], entities: ['Tomato Energy', 'Senapt'] }
+  ] });
+  assert.deepEqual(evaluateRules(classified, rules), ['tomato-consultations', 'retail']);
+  // Unclassified publications fail every filter
+  assert.deepEqual(evaluateRules(publication, rules), []);
+});
+
+test('invalid rules are rejected with the rule name', () => {
+  assert.throws(() => compileRules({ rules: [{ name: 'broken', any: ['('], match: 'regex' }] }), /Rule "broken": invalid any pattern/);
+  assert.throws(() => compileRules({ rules: [{ name: 'empty' }] }), /Rule "empty": needs at least one/);
+});
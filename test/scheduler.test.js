@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scheduler = require('../lib/scheduler');
+
+const calendar = scheduler.createCalendar({ publishingHours: '07:00-18:00' });
+const intervals = { pollInterval: 5 * 60 * 1000, offHoursPollInterval: 60 * 60 * 1000 };
+
+test('the calendar knows publishing hours, weekends and bank holidays', () => {
+  // Friday 19 September 2025, London on BST
+  assert.equal(calendar.isPublishingTime(new Date('2025-09-19T07:00:00+01:00')), true);
+  assert.equal(calendar.isPublishingTime(new Date('2025-09-19T06:59:00+01:00')), false);
+  assert.equal(calendar.isPublishingTime(new Date('2025-09-19T18:00:00+01:00')), false);
+  assert.equal(calendar.isPublishingTime(new Date('2025-09-20T10:00:00+01:00')), false);
+  // Summer bank holiday
+  assert.equal(calendar.isPublishingDay(new Date('2025-08-25T10:00:00+01:00')), false);
+  assert.equal(calendar.isWorkingDay('2025-08-26'), true);
+});
+
+test('nextPublishingStart skips weekends and bank holidays', () => {
+  assert.equal(calendar.nextPublishingStart(new Date('2025-09-19T19:00:00+01:00')).toISOString(), '2025-09-22T06:00:00.000Z');
+  // Christmas Day and Boxing Day fall on Thursday and Friday
+  assert.equal(calendar.nextPublishingStart(new Date('2025-12-24T20:00:00Z')).toISOString(), '2025-12-29T07:00:00.000Z');
+});
+
+test('nextPollDelay polls often while publishing and backs off otherwise', () => {
+  assert.equal(scheduler.nextPollDelay(calendar, intervals, new Date('2025-09-19T12:00:00+01:00')), intervals.pollInterval);
+  assert.equal(scheduler.nextPollDelay(calendar, intervals, new Date('2025-09-20T12:00:00+01:00')), intervals.offHoursPollInterval);
+  // Wakes for the opening rather than sleeping through it
+  assert.equal(scheduler.nextPollDelay(calendar, intervals, new Date('2025-09-19T06:40:00+01:00')), 20 * 60 * 1000);
+});
+
+test('parsePublishingHours rejects malformed and backwards ranges', () => {
+  assert.deepEqual(scheduler.parsePublishingHours('09:30 - 17:00'), { start: 570, end: 1020 });
+  assert.throws(() => scheduler.parsePublishingHours('9-5'), /must look like 07:00-18:00/);
+  assert.throws(() => scheduler.parsePublishingHours('18:00-07:00'), /must start before it ends/);
+});
+
+test('loadBankHolidays adds the cached list to the built-in one', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ofgem-holidays-'));
+  const file = path.join(dir, 'bank_holidays.json');
+  try {
+    assert.deepEqual(scheduler.loadBankHolidays(file), { dates: scheduler.BUILT_IN_BANK_HOLIDAYS, fetchedAt: null });
+
+    fs.writeFileSync(file, JSON.stringify({ fetchedAt: '2028-01-02T00:00:00.000Z', dates: ['2028-01-03', 'bad'] }));
+    const { dates, fetchedAt } = scheduler.loadBankHolidays(file);
+    assert.equal(fetchedAt, '2028-01-02T00:00:00.000Z');
+    assert.equal(dates.at(-1), '2028-01-03');
+    assert.equal(dates.includes('bad'), false);
+    assert.equal(dates.includes('2025-12-25'), true);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const store = require('../lib/store');
+const { parsePublicationFromMarkup } = require('../lib/sources/ofgem-listing');
+const { loadFixture } = require('./helpers/site');
+
+const listing = () => [
+  ...loadFixture('listing-page-0.json').items,
+  ...loadFixture('listing-page-1.json').items
+].map(item => parsePublicationFromMarkup(item.markup));
+
+test('publications are keyed on their normalised URL path', () => {
+  assert.equal(store.publicationKey('https://www.ofgem.gov.uk/Decision/Final-Order/?utm=x'), '/decision/final-order');
+  assert.equal(store.publicationKey('/decision/caf%C3%A9'), '/decision/café');
+});
+
+test('findUnseen returns only publications the store has not recorded', () => {
+  const ns = store.namespace(store.emptyStore(), 'ofgem-publications');
+  const publications = listing();
+  store.recordPublications(ns, publications.slice(2));
+
+  const unseen = store.findUnseen(ns, publications);
+  assert.deepEqual(unseen.map(p => p.title), publications.slice(0, 2).map(p => p.title));
+});
+
+test('retitled publications are not unseen but are reported as changed', () => {
+  const ns = store.namespace(store.emptyStore(), 'ofgem-publications');
+  const publications = listing();
+  store.recordPublications(ns, publications, new Date('2025-09-20T08:00:00Z'));
+
+  const edited = publications.map((p, i) => i === 1 ? { ...p, title: `${p.title} (corrected)` } : p);
+  assert.deepEqual(store.findUnseen(ns, edited), []);
+
+  const [changed] = store.findChanged(ns, edited);
+  assert.equal(changed.publication.link, publications[1].link);
+  assert.deepEqual(changed.changes, [{ field: 'title', before: publications[1].title, after: `${publications[1].title} (corrected)` }]);
+
+  store.recordPublications(ns, edited, new Date('2025-09-21T08:00:00Z'));
+  const entry = ns.publications[store.publicationKey(publications[1].link)];
+  assert.equal(entry.firstSeen, '2025-09-20T08:00:00.000Z');
+  assert.equal(entry.updatedAt, '2025-09-21T08:00:00.000Z');
+});
+
+test('added documents and edited page text are changes once the page is reloaded', () => {
+  const ns = store.namespace(store.emptyStore(), 'ofgem-publications');
+  const [listed] = listing();
+  const page = { summary: 'We are consulting.', body: 'Full text.', attachments: [{ name: 'Consultation', url: 'https://www.ofgem.gov.uk/a.pdf' }] };
+  store.recordPublications(ns, [{ ...listed, ...page }]);
+
+  // Without its page the listing item is compared with the stored content
+  assert.deepEqual(store.findChanged(ns, [listed]), []);
+  assert.deepEqual(store.findChanged(ns, [{ ...listed, ...page }]), []);
+
+  const reloaded = {
+    ...listed,
+    ...page,
+    body: 'Full text, corrected.',
+    attachments: [...page.attachments, { name: 'Annex', url: 'https://www.ofgem.gov.uk/b.pdf' }]
+  };
+  const [changed] = store.findChanged(ns, [reloaded]);
+  assert.deepEqual(changed.changes, [
+    { field: 'documents', before: 'Consultation', after: 'Consultation; Annex' },
+    { field: 'content', before: 'earlier page text', after: 'page text edited' }
+  ]);
+});
+
+test('a legacy single-publication state treats everything from that item down as seen', () => {
+  const publications = listing();
+  const state = store.migrateState(publications[2], 'ofgem-publications');
+  const ns = store.namespace(state, 'ofgem-publications');
+
+  assert.equal(state.version, store.STORE_VERSION);
+  assert.deepEqual(store.findUnseen(ns, publications).map(p => p.link), publications.slice(0, 2).map(p => p.link));
+
+  store.recordPublications(ns, publications);
+  assert.equal(ns.legacyBaseline, undefined);
+  assert.equal(store.countPublications(state), publications.length);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadTemplates, selectTemplate, validateTemplateNames, SAMPLE_PUBLICATIONS } = require('../lib/templates');
+const { buildBatchMessage } = require('../lib/messages');
+const { compileRules } = require('../lib/rules');
+const { tempDir } = require('./helpers/watcher');
+
+const writeTemplate = (dir, file, source) => {
+  fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dir, file), source);
+};
+
+test('titles and links are escaped in the html, and only web links are kept', () => {
+  const message = buildBatchMessage([{
+    title: 'Caps <script>alert(1)</script> & "quotes"',
+    link: 'javascript:alert(1)',
+    date: '1 October 2025',
+    matchedRules: ['price-cap'],
+    attachments: [{ name: 'Annex <A>', url: 'https://www.ofgem.gov.uk/annex.pdf?a=1&b=2', format: 'PDF' }]
+  }]);
+  assert.ok(message.html.includes('Caps &lt;script&gt;alert(1)&lt;/script&gt; &amp; &quot;quotes&quot;'));
+  assert.ok(!message.html.includes('javascript:'));
+  assert.match(message.html, /href="#"/);
+  assert.match(message.html, /href="https:\/\/www\.ofgem\.gov\.uk\/annex\.pdf\?a&#x3D;1&amp;b&#x3D;2"/);
+  assert.ok(!message.html.includes('Get Motivated'));
+  assert.match(message.text, /^1\. Caps <script>alert\(1\)<\/script> & "quotes"$/m);
+});
+
+test('templates of your own replace parts of the default and add named ones', (t) => {
+  const dir = tempDir(t);
+  writeTemplate(dir, 'default/subject.hbs', '[{{brand.name}}] {{heading}}');
+  writeTemplate(dir, 'compact/text.hbs', '{{#each publications}}\n* {{title}}\n{{/each}}');
+  writeTemplate(dir, 'partials/publication-html.hbs', '<p class="mine">{{title}}</p>');
+  const templates = loadTemplates(dir);
+  assert.deepEqual(templates.names, ['compact', 'default']);
+  assert.equal(templates.files.length, 3);
+
+  const options = { templates, brand: { name: 'Acme Energy' }, heading: 'Price cap news' };
+  const standard = buildBatchMessage(SAMPLE_PUBLICATIONS, options);
+  assert.equal(standard.subject, '[Acme Energy] Price cap news');
+  assert.match(standard.html, /<p class="mine">Decision on the default tariff cap level/);
+  assert.match(standard.html, /Automated notification from Acme Energy/);
+  assert.match(standard.text, /^1\. Decision on the default tariff cap level/);
+
+  const compact = buildBatchMessage(SAMPLE_PUBLICATIONS, { ...options, template: 'compact' });
+  assert.equal(compact.subject, '[Acme Energy] Price cap news');
+  assert.equal(compact.text, '* Decision on the default tariff cap level: 1 October to 31 December 2025\n* Consultation on standing charges & <domestic> customers');
+  assert.throws(() => buildBatchMessage(SAMPLE_PUBLICATIONS, { templates, template: 'fancy' }), /Unknown template "fancy" \(available: compact, default\)/);
+});
+
+test('a template that does not parse is reported with its file', (t) => {
+  const dir = tempDir(t);
+  writeTemplate(dir, 'broken/html.hbs', '{{#each publications}}<p>{{title}}</p>');
+  assert.throws(() => loadTemplates(dir), (error) => error.message.startsWith(path.join(dir, 'broken', 'html.hbs')));
+  assert.throws(() => loadTemplates(path.join(dir, 'missing')), /templates directory not found/);
+});
+
+test('a subscriber template wins over a rule template, which wins over the default', () => {
+  const rules = compileRules({ rules: [
+    { name: 'suppliers', any: ['tomato'] },
+    { name: 'price-cap', any: ['price cap'], template: 'compact' }
+  ] });
+  const matched = [{ matchedRules: ['suppliers'] }, { matchedRules: ['price-cap'] }];
+  assert.equal(selectTemplate(rules, matched, { template: 'legal' }), 'legal');
+  assert.equal(selectTemplate(rules, matched, { template: null }), 'compact');
+  assert.equal(selectTemplate(rules, [{ matchedRules: ['suppliers'] }]), 'default');
+  assert.throws(() => validateTemplateNames(rules, [], { names: ['default'] }), /Rule "price-cap": unknown template "compact" \(available: default\)/);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const time = require('../lib/time');
+
+test('isToday compares London dates, not UTC ones', () => {
+  // 00:30 on 19 September in London is still the 18th in UTC
+  const now = new Date('2025-09-19T00:30:00+01:00');
+  assert.equal(time.isToday('2025-09-18T23:45:00Z', now), true);
+  assert.equal(time.isToday('2025-09-18T22:59:00Z', now), false);
+  assert.equal(time.isToday(null, now), false);
+  assert.equal(time.isToday('not a date', now), false);
+});
+
+test('londonTime finds the instant of a wall-clock time on either side of a clock change', () => {
+  assert.equal(time.londonTime('2025-03-29', 8).toISOString(), '2025-03-29T08:00:00.000Z');
+  assert.equal(time.londonTime('2025-03-30', 8).toISOString(), '2025-03-30T07:00:00.000Z');
+  assert.equal(time.londonTime('2025-10-26', 8).toISOString(), '2025-10-26T08:00:00.000Z');
+  assert.equal(time.londonTime('2025-10-25', 0).toISOString(), '2025-10-24T23:00:00.000Z');
+});
+
+test('day arithmetic works on YYYY-MM-DD strings', () => {
+  assert.equal(time.addDays('2025-12-31', 1), '2026-01-01');
+  assert.equal(time.addDays('2025-03-01', -1), '2025-02-28');
+  assert.equal(time.weekday('2025-09-20'), 6);
+  assert.equal(time.daysBetween('2025-10-20', '2025-11-03'), 14);
+  assert.equal(time.londonDay(new Date('2025-06-30T23:30:00Z')), '2025-07-01');
+});
+
+test('parsePublishedDate reads a bare date as London midnight', () => {
+  assert.equal(time.parsePublishedDate('19 September 2025'), '2025-09-18T23:00:00.000Z');
+  assert.equal(time.parsePublishedDate('2025-12-03'), '2025-12-03T00:00:00.000Z');
+  assert.equal(time.parsePublishedDate('2025-09-19T10:15:00Z'), '2025-09-19T10:15:00.000Z');
+  assert.equal(time.parsePublishedDate('soon'), null);
+  assert.equal(time.parsePublishedDate(''), null);
+});
+
+test('dayBound covers a whole London day', () => {
+  assert.equal(time.dayBound('2025-09-20'), Date.parse('2025-09-19T23:00:00Z'));
+  assert.equal(time.dayBound('2025-09-20', true), Date.parse('2025-09-20T23:00:00Z') - 1);
+  assert.equal(time.dayBound('2025-12-03', true), Date.parse('2025-12-04T00:00:00Z') - 1);
+  assert.equal(time.dayBound('2025-09-20T10:00:00Z', true), Date.parse('2025-09-20T10:00:00Z'));
+  assert.ok(Number.isNaN(time.dayBound('2025-02-30x')));
+});